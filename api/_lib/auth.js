@@ -0,0 +1,217 @@
+// api/_lib/auth.js
+// Named accounts with roles, password hashing and signed session tokens.
+//   viewer: can see the tree    editor: can add and edit people    owner: can import, restore and manage users
+// The shared ADMIN_KEY still logs in as a built-in owner so a fresh install can create the first accounts.
+// Without ADMIN_KEY (or SESSION_SECRET) nothing can be signed in, unless ALLOW_INSECURE_DEV=true for local work.
+import { getStorage, readText, PreconditionFailedError } from './storage/index.js';
+import { json, HttpError } from './http.js';
+
+export const ROLES = ['viewer', 'editor', 'owner'];
+export const BOOTSTRAP_USER = 'admin';
+
+const USERS_KEY = 'family/users.json';
+const LEGACY_USERS_PREFIX = 'family/users-';
+const PBKDF2_ITERATIONS = 100000;
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS || '') || 12) * 60 * 60 * 1000;
+const DEV_SECRET = 'insecure-development-secret';
+const encoder = new TextEncoder();
+
+export function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+// ---------- encoding ----------
+
+function toBase64Url(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// Compares without bailing out early, so timing does not reveal how much matched
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// ---------- passwords ----------
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return toBase64Url(bits);
+}
+
+// Stored as "pbkdf2$<iterations>$<salt>$<hash>"
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toBase64Url(salt)}$${hash}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'pbkdf2' || !salt || !hash) return false;
+  const candidate = await pbkdf2(password, fromBase64Url(salt), parseInt(iterations, 10));
+  return safeEqual(candidate, hash);
+}
+
+// ---------- users ----------
+// Kept in one private JSON file at a fixed key, written only if it still has the ETag it was
+// read with, so two owners changing accounts at once cannot overwrite each other.
+// Older installs kept public copies with a random suffix; those are read until the next write removes them.
+
+// Thrown when the users file changed between reading and writing it
+export class UsersConflictError extends Error {
+  constructor() {
+    super('The user accounts were changed by someone else');
+    this.name = 'UsersConflictError';
+  }
+}
+
+async function listLegacyUserFiles(storage) {
+  const items = await storage.list(LEGACY_USERS_PREFIX);
+  return items.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+}
+
+// { users, revision }: revision is the stored ETag, or '' when the private file doesn't exist yet
+async function readUserFile() {
+  const stored = await readText(USERS_KEY, { access: 'private' });
+  if (stored) return { users: JSON.parse(stored.text).users || {}, revision: stored.etag };
+
+  const [latest] = await listLegacyUserFiles(await getStorage());
+  const legacy = latest ? await readText(latest.key) : null;
+  return { users: legacy ? JSON.parse(legacy.text).users || {} : {}, revision: '' };
+}
+
+export async function readUsers() {
+  return (await readUserFile()).users;
+}
+
+// Writes the users if the stored file still has `revision`; otherwise throws UsersConflictError
+async function writeUsers(users, revision) {
+  const storage = await getStorage();
+  const options = { access: 'private', contentType: 'application/json; charset=utf-8' };
+  if (revision === '') options.onlyIfNew = true;
+  else options.ifMatch = revision;
+  try {
+    await storage.put(USERS_KEY, JSON.stringify({ users }, null, 2), options);
+  } catch (e) {
+    if (e instanceof PreconditionFailedError) throw new UsersConflictError();
+    throw e;
+  }
+  const legacy = await listLegacyUserFiles(storage);
+  if (legacy.length) await storage.remove(legacy.map(item => item.key));
+}
+
+// Read-modify-write of the users. `mutate(users)` changes them in place (throwing an HttpError to
+// refuse) and is re-run on fresh users if another write lands in between. Resolves to the saved users.
+export async function updateUsers(mutate, { attempts = 3 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const { users, revision } = await readUserFile();
+    await mutate(users);
+    try {
+      await writeUsers(users, revision);
+      return users;
+    } catch (e) {
+      if (!(e instanceof UsersConflictError) || attempt >= attempts) throw e;
+    }
+  }
+}
+
+export function publicUser(user) {
+  return { username: user.username, role: user.role, createdAt: user.createdAt || null };
+}
+
+// The shared ADMIN_KEY, compared in constant time
+export function matchesAdminKey(password) {
+  const expected = process.env.ADMIN_KEY;
+  return !!expected && typeof password === 'string' && safeEqual(password, expected);
+}
+
+// ---------- sessions ----------
+
+// Explicit opt-in for running without any keys, e.g. on a laptop. Never set it in production.
+export function insecureDevAllowed() {
+  return process.env.ALLOW_INSECURE_DEV === 'true';
+}
+
+function sessionSecret() {
+  const secret = process.env.SESSION_SECRET || process.env.ADMIN_KEY;
+  if (secret) return secret;
+  if (!insecureDevAllowed()) {
+    throw new HttpError(500, 'Server is not configured: set ADMIN_KEY (or SESSION_SECRET)');
+  }
+  console.warn('Neither SESSION_SECRET nor ADMIN_KEY is set. ALLOW_INSECURE_DEV is on, so sessions use an insecure development secret.');
+  return DEV_SECRET;
+}
+
+async function hmac(text) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(sessionSecret()), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toBase64Url(await crypto.subtle.sign('HMAC', key, encoder.encode(text)));
+}
+
+// Token: base64url(JSON payload) + "." + base64url(HMAC-SHA256 of that payload).
+// The payload carries iat/exp in milliseconds; tokens stop working after SESSION_TTL_HOURS (default 12).
+export async function signSession(payload) {
+  const iat = Date.now();
+  const exp = iat + SESSION_TTL_MS;
+  const body = toBase64Url(encoder.encode(JSON.stringify({ ...payload, iat, exp })));
+  return { token: `${body}.${await hmac(body)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+export async function verifySession(token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature || !safeEqual(signature, await hmac(body))) return null;
+  let session;
+  try {
+    session = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+  } catch {
+    return null;
+  }
+  if (!session || typeof session.exp !== 'number' || session.exp <= Date.now()) return null;
+  return session;
+}
+
+function bearerToken(req) {
+  const header = req.headers.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+// The signed-in user for a request, with the role as stored now (not as it was at login), or null
+export async function currentUser(req) {
+  const session = await verifySession(bearerToken(req));
+  if (!session) return null;
+  if (session.bootstrap) return { username: BOOTSTRAP_USER, role: 'owner', bootstrap: true };
+
+  const users = await readUsers();
+  const user = users[session.sub];
+  return user ? publicUser(user) : null;
+}
+
+// Resolves to { user } when the request may proceed, or { response } with a 401/403 to return as is.
+// Reading ('viewer') is open to everyone unless REQUIRE_LOGIN_TO_VIEW is set.
+export async function authorize(req, requiredRole) {
+  if (requiredRole === 'viewer' && process.env.REQUIRE_LOGIN_TO_VIEW !== 'true') return { user: null };
+
+  let user;
+  try {
+    user = await currentUser(req);
+  } catch (e) {
+    console.error('Auth error:', e);
+    const status = e instanceof HttpError ? e.status : 500;
+    return { response: json({ ok: false, error: e instanceof HttpError ? e.message : 'Server error' }, status) };
+  }
+  if (!user) return { response: json({ ok: false, error: 'Unauthorized' }, 401) };
+  if (!roleAtLeast(user.role, requiredRole)) {
+    return { response: json({ ok: false, error: `Requires the ${requiredRole} role` }, 403) };
+  }
+  return { user };
+}
@@ -0,0 +1,233 @@
+// api/_lib/family.js
+// Server-side rules for the people graph, mirroring normalizeData() in script.js.
+// normalizeParentTypes() and normalizeUnions() live in shared/family.js so the browser applies them alike.
+import { parseGenealogicalDate, formatGenealogicalDate, dateYear } from '../../shared/dates.js';
+import { ID_PATTERN, PARENT_TYPES, normalizeParentTypes, normalizeUnions } from '../../shared/family.js';
+
+// Fields a client may set directly on a person; links go through the relationship routes
+export const PERSON_FIELDS = ['name', 'birthDate', 'birthYear', 'deathDate', 'deathYear', 'bio', 'gender', 'marriedCity', 'photo', 'photoMedium', 'photoThumb', 'media', 'deceased', 'year'];
+
+// Fields a client may set on a union (a marriage or partnership); partners and children have their own rules
+export const UNION_FIELDS = ['startDate', 'startPlace', 'endDate', 'endReason'];
+export const END_REASONS = ['', 'divorce', 'widowed', 'annulment', 'separation'];
+
+// How a child is linked to each parent, and the characters an ID may use (see shared/family.js)
+export { PARENT_TYPES, ID_PATTERN };
+
+export function exists(d, id) {
+  return !!(d.people && Object.prototype.hasOwnProperty.call(d.people, id));
+}
+
+export function pickPersonFields(body) {
+  const fields = {};
+  PERSON_FIELDS.forEach(f => {
+    if (body && body[f] !== undefined) fields[f] = body[f];
+  });
+  syncDateFields(fields, 'birth');
+  syncDateFields(fields, 'death');
+  return fields;
+}
+
+export function pickUnionFields(body) {
+  const fields = {};
+  UNION_FIELDS.forEach(f => {
+    if (body && body[f] !== undefined) fields[f] = body[f];
+  });
+  ['startDate', 'endDate'].forEach(f => {
+    const date = fields[f] !== undefined ? parseGenealogicalDate(fields[f]) : null;
+    if (date) fields[f] = formatGenealogicalDate(date);
+  });
+  return fields;
+}
+
+// Keeps birthYear/deathYear in step with birthDate/deathDate: a date sets the year (and is stored
+// in its normal form); a year sent on its own replaces the detailed date. Unreadable dates are left
+// for the schema check to report.
+function syncDateFields(fields, kind) {
+  const dateField = `${kind}Date`;
+  const yearField = `${kind}Year`;
+  if (fields[dateField] !== undefined) {
+    const date = parseGenealogicalDate(fields[dateField]);
+    if (date) {
+      fields[dateField] = formatGenealogicalDate(date);
+      fields[yearField] = dateYear(date);
+    } else if (fields[dateField] === '' && fields[yearField] === undefined) {
+      fields[yearField] = '';
+    }
+  } else if (fields[yearField] !== undefined) {
+    fields[dateField] = '';
+  }
+}
+
+// Dedupes links, drops dangling IDs, rebuilds children from parents and spouses from unions
+export function normalizeFamily(d) {
+  if (!d.people || typeof d.people !== 'object') d.people = {};
+  const people = Object.values(d.people);
+
+  people.forEach(p => {
+    p.children = [];
+    p.parents = Array.from(new Set(p.parents || [])).filter(id => id !== p.id && exists(d, id));
+    p.spouses = Array.from(new Set(p.spouses || [])).filter(id => id !== p.id && exists(d, id));
+    normalizeParentTypes(p);
+  });
+
+  people.forEach(child => {
+    child.parents.forEach(pid => {
+      const parent = d.people[pid];
+      if (!parent.children.includes(child.id)) parent.children.push(child.id);
+    });
+  });
+
+  normalizeUnions(d);
+  return d;
+}
+
+export function unionsBetween(d, aId, bId) {
+  return Object.values(d.unions || {}).filter(u => u.partners.includes(aId) && u.partners.includes(bId));
+}
+
+export function newPersonId(d) {
+  let id = String(Date.now());
+  while (exists(d, id)) id = String(Number(id) + 1);
+  return id;
+}
+
+// Links a parent; `type` (see PARENT_TYPES) is only changed when given
+export function linkParent(d, childId, parentId, type) {
+  const child = d.people[childId];
+  if (!child.parents.includes(parentId)) child.parents.push(parentId);
+  if (type !== undefined) setParentType(d, childId, parentId, type);
+}
+
+export function unlinkParent(d, childId, parentId) {
+  const child = d.people[childId];
+  child.parents = child.parents.filter(id => id !== parentId);
+  setParentType(d, childId, parentId, 'biological');
+}
+
+export function setParentType(d, childId, parentId, type) {
+  const child = d.people[childId];
+  const types = { ...(child.parentTypes || {}) };
+  if (type === 'biological') delete types[parentId];
+  else types[parentId] = type;
+  if (Object.keys(types).length) child.parentTypes = types;
+  else delete child.parentTypes;
+}
+
+export function newUnionId(d) {
+  let n = Date.now();
+  while (d.unions[`u${n}`]) n++;
+  return `u${n}`;
+}
+
+// Adds a union even when the couple already has one (people do remarry)
+export function addUnion(d, aId, bId, fields = {}) {
+  const id = newUnionId(d);
+  d.unions[id] = { id, partners: [aId, bId], startDate: '', startPlace: '', endDate: '', endReason: '', ...fields, children: [] };
+  if (!d.people[aId].spouses.includes(bId)) d.people[aId].spouses.push(bId);
+  if (!d.people[bId].spouses.includes(aId)) d.people[bId].spouses.push(aId);
+  return d.unions[id];
+}
+
+// Links two people as spouses: a new union, unless they already have one
+export function linkSpouses(d, aId, bId) {
+  return unionsBetween(d, aId, bId)[0] || addUnion(d, aId, bId);
+}
+
+// Removes every union between the two
+export function unlinkSpouses(d, aId, bId) {
+  unionsBetween(d, aId, bId).forEach(u => delete d.unions[u.id]);
+  d.people[aId].spouses = d.people[aId].spouses.filter(id => id !== bId);
+  d.people[bId].spouses = d.people[bId].spouses.filter(id => id !== aId);
+}
+
+export function removeUnion(d, id) {
+  const [aId, bId] = d.unions[id].partners;
+  delete d.unions[id];
+  if (!unionsBetween(d, aId, bId).length) unlinkSpouses(d, aId, bId);
+}
+
+// Attributes children to a union: both partners become their parents, and other unions let go of them
+export function setUnionChildren(d, union, childIds) {
+  const ids = Array.from(new Set(childIds));
+  Object.values(d.unions).forEach(u => {
+    if (u !== union) u.children = u.children.filter(cid => !ids.includes(cid));
+  });
+  ids.forEach(cid => union.partners.forEach(pid => linkParent(d, cid, pid)));
+  union.children = ids;
+}
+
+// Removes a person and every link pointing at them
+export function removePerson(d, id) {
+  delete d.people[id];
+  Object.values(d.unions || {}).forEach(u => {
+    if (u.partners.includes(id)) delete d.unions[u.id];
+    else u.children = u.children.filter(cid => cid !== id);
+  });
+  Object.values(d.people).forEach(p => {
+    p.parents = (p.parents || []).filter(pid => pid !== id);
+    if (p.parentTypes) setParentType(d, p.id, id, 'biological');
+    p.spouses = (p.spouses || []).filter(sid => sid !== id);
+    p.children = (p.children || []).filter(cid => cid !== id);
+  });
+}
+
+// Folds a duplicate record into the kept person. The duplicate's parents and marriages move over,
+// every link that named the duplicate names the kept person instead, and the duplicate is removed.
+// A couple that ends up with two marriages keeps one, with the blanks filled in from the other.
+// The kept person's own fields are left to the caller.
+export function mergePeople(d, keepId, duplicateId) {
+  const keep = d.people[keepId];
+  const duplicate = d.people[duplicateId];
+  const rename = id => (id === duplicateId ? keepId : id);
+
+  duplicate.parents.forEach(pid => {
+    if (keep.parents.includes(pid) || pid === keepId) return;
+    keep.parents.push(pid);
+    if (duplicate.parentTypes && duplicate.parentTypes[pid]) setParentType(d, keepId, pid, duplicate.parentTypes[pid]);
+  });
+
+  Object.values(d.people).forEach(p => {
+    if (p.parents.includes(duplicateId)) {
+      const type = (p.parentTypes && p.parentTypes[duplicateId]) || 'biological';
+      setParentType(d, p.id, duplicateId, 'biological');
+      if (!p.parents.includes(keepId) && p.id !== keepId) setParentType(d, p.id, keepId, type);
+      p.parents = Array.from(new Set(p.parents.map(rename)));
+    }
+    p.spouses = Array.from(new Set(p.spouses.map(rename)));
+  });
+
+  Object.values(d.unions || {}).forEach(u => {
+    u.children = u.children.map(rename);
+    if (!u.partners.includes(duplicateId)) return;
+    u.partners = u.partners.map(rename);
+    if (u.partners[0] === u.partners[1]) {
+      delete d.unions[u.id]; // The two records were married to each other
+      return;
+    }
+    const twin = Object.values(d.unions).find(other => other !== u && u.partners.every(pid => other.partners.includes(pid)));
+    if (!twin) return;
+    UNION_FIELDS.forEach(f => { if (!twin[f] && u[f]) twin[f] = u[f]; });
+    twin.children = Array.from(new Set([...twin.children, ...u.children]));
+    delete d.unions[u.id];
+  });
+
+  delete d.people[duplicateId];
+  keep.spouses = keep.spouses.filter(id => id !== keepId);
+}
+
+function changedRecords(before = {}, after = {}) {
+  const changed = {};
+  Object.values(after).forEach(record => {
+    const old = before[record.id];
+    if (!old || JSON.stringify(old) !== JSON.stringify(record)) changed[record.id] = record;
+  });
+  return { changed, removed: Object.keys(before).filter(id => !after[id]) };
+}
+
+// People and unions whose stored record differs between two versions of the data, plus IDs that disappeared
+export function changedFamily(before, after) {
+  const people = changedRecords(before.people, after.people);
+  const unions = changedRecords(before.unions, after.unions);
+  return { people: people.changed, removed: people.removed, unions: unions.changed, removedUnions: unions.removed };
+}
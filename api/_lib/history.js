@@ -0,0 +1,127 @@
+// api/_lib/history.js
+// The current family data (with its revision token) and timestamped snapshots, one file per save.
+import { getStorage, readText, PreconditionFailedError } from './storage/index.js';
+
+export const DATA_KEY = 'family/family-data.json';
+// Where /api/data kept the tree before everything used DATA_KEY; read until the next save moves it
+const LEGACY_DATA_KEY = 'family-tree-data.json';
+const HISTORY_PREFIX = 'family/history/';
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT || '', 10) || 200;
+
+// Snapshot IDs are the save time with ":" and "." swapped for "-", e.g. 2024-05-01T12-30-00-000Z
+const SNAPSHOT_ID = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+// Thrown when a save was based on an older revision than the one stored
+export class RevisionConflictError extends Error {
+  constructor() {
+    super('The family data was changed by someone else');
+    this.name = 'RevisionConflictError';
+  }
+}
+
+export function isSnapshotId(id) {
+  return SNAPSHOT_ID.test(String(id || ''));
+}
+
+function snapshotKey(id) {
+  return `${HISTORY_PREFIX}${id}.json`;
+}
+
+function snapshotIdFromPathname(pathname) {
+  return pathname.slice(HISTORY_PREFIX.length).replace(/\.json$/, '');
+}
+
+async function listAllSnapshotItems() {
+  const storage = await getStorage();
+  const items = await storage.list(HISTORY_PREFIX);
+  return items.filter(item => isSnapshotId(snapshotIdFromPathname(item.key)));
+}
+
+export async function listSnapshots() {
+  const items = await listAllSnapshotItems();
+  return items
+    .map(item => ({
+      id: snapshotIdFromPathname(item.key),
+      savedAt: new Date(item.uploadedAt).toISOString(),
+      size: item.size,
+    }))
+    .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+// The family data stored in a snapshot, or null when there is no such snapshot
+export async function readSnapshot(id) {
+  if (!isSnapshotId(id)) return null;
+  const stored = await readText(snapshotKey(id));
+  return stored ? JSON.parse(stored.text) : null;
+}
+
+// Reads the current family data. The revision is the stored ETag of exactly this content,
+// or '' when nothing has been saved yet. Returns null when there is no data.
+export async function readCurrent() {
+  const stored = await readText(DATA_KEY);
+  if (stored) return { data: JSON.parse(stored.text), revision: stored.etag };
+
+  const legacy = await readText(LEGACY_DATA_KEY);
+  return legacy ? { data: JSON.parse(legacy.text), revision: '' } : null;
+}
+
+// Writes the data as the current document and keeps a copy under family/history/.
+// With `ifMatch` the write only happens if the stored revision still matches
+// ('' meaning "nothing saved yet"); otherwise a RevisionConflictError is thrown.
+export async function saveWithSnapshot(payload, { ifMatch } = {}) {
+  const storage = await getStorage();
+  const body = JSON.stringify(payload, null, 2);
+  const id = new Date().toISOString().replace(/[:.]/g, '-');
+  const contentType = 'application/json; charset=utf-8';
+
+  const options = { contentType };
+  if (ifMatch === '') options.onlyIfNew = true;
+  else if (ifMatch !== undefined) options.ifMatch = ifMatch;
+
+  let result;
+  try {
+    result = await storage.put(DATA_KEY, body, options);
+  } catch (e) {
+    if (e instanceof PreconditionFailedError) throw new RevisionConflictError();
+    throw e;
+  }
+
+  await storage.put(snapshotKey(id), body, { contentType });
+
+  await pruneSnapshots(storage);
+  return { pathname: result.key, url: result.url, snapshotId: id, revision: result.etag };
+}
+
+async function pruneSnapshots(storage) {
+  try {
+    const items = await listAllSnapshotItems();
+    if (items.length <= HISTORY_LIMIT) return;
+    const oldest = items
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .slice(0, items.length - HISTORY_LIMIT);
+    await storage.remove(oldest.map(item => item.key));
+  } catch (e) {
+    // Pruning is housekeeping; a failure must not fail the save itself
+    console.error('History prune failed:', e);
+  }
+}
+
+// Read-modify-write of the current data for the granular routes. `mutate(data)` changes the
+// data in place and returns the route's result; it is re-run on fresh data if another save
+// lands in between. Resolves to { result, revision, previousRevision }.
+export async function updateFamily(mutate, { attempts = 3 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await readCurrent();
+    const data = current ? current.data : { people: {} };
+    const previousRevision = current ? current.revision : '';
+
+    const result = await mutate(data);
+
+    try {
+      const saved = await saveWithSnapshot(data, { ifMatch: previousRevision });
+      return { result, revision: saved.revision, previousRevision };
+    } catch (e) {
+      if (!(e instanceof RevisionConflictError) || attempt >= attempts) throw e;
+    }
+  }
+}
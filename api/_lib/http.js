@@ -0,0 +1,55 @@
+// api/_lib/http.js
+// Small helpers shared by the API routes.
+
+// Thrown inside a route to answer with a client error instead of a 500
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export function json(obj, status = 200, headers = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+// Reads named segments from the request path, e.g. pathParams(req, '/api/people/:id')
+// Vercel also passes dynamic segments as query parameters, already decoded; those win when present.
+// A segment with a broken %-escape throws a 400, so call this where the route catches HttpErrors.
+export function pathParams(req, pattern) {
+  const url = new URL(req.url);
+  const names = [];
+  const regex = new RegExp('^' + pattern.replace(/:([A-Za-z]+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  }) + '/?$');
+  const match = url.pathname.match(regex);
+
+  const params = {};
+  names.forEach((name, index) => {
+    const query = url.searchParams.get(name);
+    if (query !== null) params[name] = query;
+    else params[name] = match ? decodeSegment(match[index + 1]) : null;
+  });
+  return params;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, `Malformed path segment "${segment}"`);
+  }
+}
+
+export async function readJson(req) {
+  try {
+    return await req.json();
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,210 @@
+// api/_lib/images.js
+// Checks uploaded photos by their bytes (not the declared type), reads their size from the header
+// and removes embedded metadata (EXIF with GPS, XMP, IPTC, text chunks) without re-encoding.
+// A JPEG keeps only its EXIF orientation, so photos taken sideways still show upright.
+// Resizing happens in the browser, which has a decoder; the server only checks the results.
+import { HttpError } from './http.js';
+
+export const MAX_PHOTO_BYTES = (parseFloat(process.env.MAX_PHOTO_MB || '') || 5) * 1024 * 1024;
+
+export const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+const u16be = (b, i) => (b[i] << 8) | b[i + 1];
+const u32be = (b, i) => ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3];
+const u16le = (b, i) => b[i] | (b[i + 1] << 8);
+const u24le = (b, i) => b[i] | (b[i + 1] << 8) | (b[i + 2] << 16);
+const u32le = (b, i) => (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16)) + ((b[i + 3] << 24) >>> 0);
+
+// Characters needed to base64-encode `bytes` bytes
+export function base64Length(bytes) {
+  return Math.ceil(bytes / 3) * 4;
+}
+
+function megabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+}
+
+export function decodeDataURL(dataURL, maxBytes = MAX_PHOTO_BYTES) {
+  const match = /^data:([\w/+.-]+);base64,(.*)$/s.exec(String(dataURL || ''));
+  if (!match) throw new HttpError(400, 'Invalid image data');
+  // Base64 is 4 characters per 3 bytes; refuse before decoding anything too large
+  if (match[2].length > base64Length(maxBytes)) {
+    throw new HttpError(413, `Photos can be at most ${megabytes(maxBytes)}`);
+  }
+  const binary = atob(match[2]);
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+// The real image type from the magic bytes, or null
+export function sniffImageType(b) {
+  if (b.length >= 3 && b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF) return 'image/jpeg';
+  if (b.length >= 8 && ascii(b, 0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (b.length >= 12 && ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP') return 'image/webp';
+  if (b.length >= 6 && /^GIF8[79]a$/.test(ascii(b, 0, 6))) return 'image/gif';
+  return null;
+}
+
+// { width, height } from the image header, or null when it cannot be found
+export function imageSize(b, type) {
+  if (type === 'image/png') return b.length >= 24 ? { width: u32be(b, 16), height: u32be(b, 20) } : null;
+  if (type === 'image/gif') return b.length >= 10 ? { width: u16le(b, 6), height: u16le(b, 8) } : null;
+  if (type === 'image/jpeg') {
+    for (let i = 2; i + 9 < b.length;) {
+      if (b[i] !== 0xFF) return null;
+      const marker = b[i + 1];
+      if (marker === 0xFF) { i++; continue; } // Fill byte
+      // SOF0-SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { width: u16be(b, i + 7), height: u16be(b, i + 5) };
+      }
+      i += 2 + u16be(b, i + 2);
+    }
+    return null;
+  }
+  if (type === 'image/webp') {
+    const chunk = ascii(b, 12, 4);
+    if (chunk === 'VP8X' && b.length >= 30) return { width: u24le(b, 24) + 1, height: u24le(b, 27) + 1 };
+    if (chunk === 'VP8 ' && b.length >= 30) return { width: u16le(b, 26) & 0x3FFF, height: u16le(b, 28) & 0x3FFF };
+    if (chunk === 'VP8L' && b.length >= 25) {
+      const bits = u32le(b, 21);
+      return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+    }
+    return null;
+  }
+  return null;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach(p => { out.set(p, offset); offset += p.length; });
+  return out;
+}
+
+// JPEG: drop APP1 (EXIF, XMP), APP12, APP13 (IPTC) and comments; keep JFIF, ICC colour profiles and Adobe markers
+const JPEG_DROP = new Set([0xE1, 0xEC, 0xED, 0xFE]);
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+// The Orientation (1-8) from an APP1 segment's EXIF block, or null when it has none
+function exifOrientation(segment) {
+  const t = 10; // Marker, length and "Exif\0\0", then the TIFF header
+  if (segment.length < t + 8 || ascii(segment, 4, 6) !== 'Exif\0\0') return null;
+  const little = ascii(segment, t, 2) === 'II';
+  const u16 = i => (little ? u16le(segment, i) : u16be(segment, i));
+  const u32 = i => (little ? u32le(segment, i) : u32be(segment, i));
+  const ifd = t + u32(t + 4);
+  if (ifd + 2 > segment.length) return null;
+  for (let n = 0, count = u16(ifd); n < count; n++) {
+    const entry = ifd + 2 + n * 12;
+    if (entry + 12 > segment.length) return null;
+    if (u16(entry) === EXIF_ORIENTATION_TAG && u16(entry + 2) === 3) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : null;
+    }
+  }
+  return null;
+}
+
+// An APP1 segment whose EXIF holds nothing but the Orientation tag
+function orientationSegment(orientation) {
+  return Uint8Array.from([
+    0xFF, 0xE1, 0x00, 0x22, // APP1, 34 bytes
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // Big-endian TIFF header, IFD0 at offset 8
+    0x00, 0x01, // One entry: Orientation, SHORT, count 1
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00, // No next IFD
+  ]);
+}
+
+function stripJpeg(b) {
+  const parts = [b.subarray(0, 2)];
+  let orientationKept = false;
+  let i = 2;
+  while (i + 4 <= b.length) {
+    if (b[i] !== 0xFF) throw new HttpError(400, 'Corrupt JPEG file');
+    const marker = b[i + 1];
+    if (marker === 0xDA) break; // Start of scan: the image data follows, copy the rest as is
+    const end = i + 2 + u16be(b, i + 2);
+    if (end > b.length) throw new HttpError(400, 'Corrupt JPEG file');
+    if (!JPEG_DROP.has(marker)) {
+      parts.push(b.subarray(i, end));
+    } else if (marker === 0xE1 && !orientationKept) {
+      const orientation = exifOrientation(b.subarray(i, end));
+      if (orientation && orientation !== 1) {
+        parts.push(orientationSegment(orientation));
+        orientationKept = true;
+      }
+    }
+    i = end;
+  }
+  parts.push(b.subarray(i));
+  return concat(parts);
+}
+
+// PNG: drop text chunks, EXIF and the modification time
+const PNG_DROP = new Set(['tEXt', 'iTXt', 'zTXt', 'eXIf', 'tIME']);
+
+function stripPng(b) {
+  const parts = [b.subarray(0, 8)];
+  for (let i = 8; i + 12 <= b.length;) {
+    const end = i + 12 + u32be(b, i);
+    if (end > b.length) throw new HttpError(400, 'Corrupt PNG file');
+    if (!PNG_DROP.has(ascii(b, i + 4, 4))) parts.push(b.subarray(i, end));
+    i = end;
+  }
+  return concat(parts);
+}
+
+// WebP: drop EXIF and XMP chunks and clear their flags in the VP8X header
+function stripWebp(b) {
+  const parts = [];
+  for (let i = 12; i + 8 <= b.length;) {
+    const size = u32le(b, i + 4);
+    const end = Math.min(b.length, i + 8 + size + (size % 2));
+    const type = ascii(b, i, 4);
+    if (type === 'VP8X') {
+      const chunk = b.slice(i, end);
+      chunk[8] &= ~(0x08 | 0x04);
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(b.subarray(i, end));
+    }
+    i = end;
+  }
+  const body = concat(parts);
+  const header = new Uint8Array(12);
+  header.set(b.subarray(0, 12));
+  new DataView(header.buffer).setUint32(4, body.length + 4, true);
+  return concat([header, body]);
+}
+
+export function stripMetadata(b, type) {
+  if (type === 'image/jpeg') return stripJpeg(b);
+  if (type === 'image/png') return stripPng(b);
+  if (type === 'image/webp') return stripWebp(b);
+  return b; // GIF has no EXIF block
+}
+
+// Validates one uploaded data URL and returns { bytes, type, width, height } ready to store.
+// `maxSide` and `maxBytes` set tighter limits, for the downscaled versions.
+export function prepareImage(dataURL, { label = 'Photo', maxSide, maxBytes = MAX_PHOTO_BYTES } = {}) {
+  const raw = decodeDataURL(dataURL, maxBytes);
+  if (raw.length > maxBytes) {
+    throw new HttpError(413, `${label} is larger than ${megabytes(maxBytes)}`);
+  }
+  const type = sniffImageType(raw);
+  if (!type) throw new HttpError(415, `${label} is not a JPEG, PNG, WebP or GIF image`);
+  const size = imageSize(raw, type);
+  if (!size || !size.width || !size.height) throw new HttpError(400, `${label} has no readable image size`);
+  if (maxSide && Math.max(size.width, size.height) > maxSide) {
+    throw new HttpError(400, `${label} must be at most ${maxSide}px on its longest side`);
+  }
+  return { bytes: stripMetadata(raw, type), type, ...size };
+}
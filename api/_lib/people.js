@@ -0,0 +1,74 @@
+// api/_lib/people.js
+// Shared plumbing for the /api/people routes.
+import { updateFamily, readCurrent } from './history.js';
+import { normalizeFamily, changedFamily, exists, pickUnionFields, setUnionChildren } from './family.js';
+import { validateFamily } from './schema.js';
+import { json, HttpError } from './http.js';
+
+export async function readFamily() {
+  const current = await readCurrent();
+  const data = normalizeFamily(current ? current.data : { people: {} });
+  return { data, revision: current ? current.revision : '' };
+}
+
+export function requirePerson(d, id, label = 'Person') {
+  if (!id || !exists(d, id)) throw new HttpError(404, `${label} ${id || ''} not found`.replace(/\s+/g, ' ').trim());
+  return d.people[id];
+}
+
+export function requireUnion(d, id) {
+  if (!id || !Object.prototype.hasOwnProperty.call(d.unions, id)) throw new HttpError(404, `Union ${id || ''} not found`.trim());
+  return d.unions[id];
+}
+
+// Applies a union change ({ startDate?, startPlace?, endDate?, endReason?, children? }) to union `id`.
+// `children` replaces the list, and makes both partners parents of each child.
+export function updateUnion(d, id, change) {
+  const union = requireUnion(d, id);
+  if (!change || typeof change !== 'object') throw new HttpError(400, `Changes to union ${id} must be an object`);
+  if (change.children !== undefined && !Array.isArray(change.children)) {
+    throw new HttpError(400, 'children must be a list of person IDs');
+  }
+  Object.assign(union, pickUnionFields(change));
+  if (change.children) {
+    change.children.forEach(cid => requirePerson(d, cid, 'Child'));
+    setUnionChildren(d, union, change.children);
+  }
+  return union;
+}
+
+// Applies `mutate(data)` to the stored data and answers with every person and union whose record
+// changed, the IDs that were removed, and the revision before and after the write.
+// Changed records must pass validateFamily(), otherwise nothing is written and the answer is a 422.
+export async function changePeople(mutate) {
+  try {
+    const { result, revision, previousRevision } = await updateFamily(d => {
+      normalizeFamily(d);
+      const before = JSON.parse(JSON.stringify(d));
+      const extra = mutate(d) || {};
+      normalizeFamily(d);
+      const changes = changedFamily(before, d);
+      const validation = validateFamily(d, { only: Object.keys(changes.people), onlyUnions: Object.keys(changes.unions) });
+      if (!validation.valid) throw new ValidationError(validation);
+      return { ...extra, ...changes };
+    });
+    return json({ ok: true, ...result, revision, previousRevision });
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(validation) {
+    super(422, 'Validation failed');
+    this.name = 'ValidationError';
+    this.validation = validation;
+  }
+}
+
+export function errorResponse(e) {
+  if (e instanceof ValidationError) return json({ ok: false, error: e.message, validation: e.validation }, e.status);
+  if (e instanceof HttpError) return json({ ok: false, error: e.message }, e.status);
+  console.error('People route error:', e);
+  return json({ ok: false, error: e?.message || 'Server error' }, 500);
+}
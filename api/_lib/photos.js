@@ -0,0 +1,74 @@
+// api/_lib/photos.js
+// Finds stored photos that nothing points at any more: replaced uploads and photos of removed people.
+import { getStorage } from './storage/index.js';
+import { readCurrent, listSnapshots, readSnapshot } from './history.js';
+
+export const PHOTO_PREFIX = 'photos/';
+const PHOTO_FIELDS = ['photo', 'photoMedium', 'photoThumb'];
+export const DEFAULT_GRACE_MINUTES = 60;
+
+// Storage key for a photo URL, whichever driver made it:
+//   https://<store>.public.blob.vercel-storage.com/photos/x.jpg  and  /api/media?key=photos%2Fx.jpg
+export function photoKeyFromUrl(url) {
+  if (typeof url !== 'string' || !url) return null;
+  try {
+    const parsed = new URL(url, 'http://local');
+    const key = parsed.searchParams.get('key') || decodeURIComponent(parsed.pathname.replace(/^\//, ''));
+    return key.startsWith(PHOTO_PREFIX) ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+function collectPhotoKeys(d, keys) {
+  Object.values((d && d.people) || {}).forEach(person => {
+    const urls = PHOTO_FIELDS.map(field => person[field]);
+    (Array.isArray(person.media) ? person.media : []).forEach(item => {
+      if (item) urls.push(item.url, item.medium, item.thumb);
+    });
+    urls.forEach(url => {
+      const key = photoKeyFromUrl(url);
+      if (key) keys.add(key);
+    });
+  });
+  return keys;
+}
+
+// Lists photos that no one uses. Uploads newer than the grace period are left alone, since the
+// person they belong to may not be saved yet. With `keepHistory`, photos used by a saved version
+// also count as used, so restoring that version still shows them.
+export async function findOrphanedPhotos({ graceMinutes = DEFAULT_GRACE_MINUTES, keepHistory = true } = {}) {
+  const storage = await getStorage();
+  const current = await readCurrent();
+  const used = collectPhotoKeys(current && current.data, new Set());
+
+  if (keepHistory) {
+    for (const snapshot of await listSnapshots()) {
+      collectPhotoKeys(await readSnapshot(snapshot.id), used);
+    }
+  }
+
+  const cutoff = Date.now() - graceMinutes * 60 * 1000;
+  const orphans = [];
+  let recent = 0;
+  for (const item of await storage.list(PHOTO_PREFIX)) {
+    if (used.has(item.key)) continue;
+    if (new Date(item.uploadedAt).getTime() > cutoff) {
+      recent++;
+      continue;
+    }
+    orphans.push({
+      key: item.key,
+      url: item.url,
+      size: item.size,
+      uploadedAt: new Date(item.uploadedAt).toISOString(),
+    });
+  }
+  orphans.sort((a, b) => a.key.localeCompare(b.key));
+  return {
+    orphans,
+    totalBytes: orphans.reduce((sum, o) => sum + (o.size || 0), 0),
+    recentSkipped: recent,
+    usedCount: used.size,
+  };
+}
@@ -0,0 +1,259 @@
+// api/_lib/schema.js
+// The shape of the stored family data, checked before anything is written.
+import { parseGenealogicalDate, dateBounds, dateYear, personDate } from '../../shared/dates.js';
+import { END_REASONS, PARENT_TYPES, ID_PATTERN } from './family.js';
+import { isMediaUrl } from '../../shared/family.js';
+
+export const PERSON_SCHEMA = {
+  id: { type: 'string', required: true, pattern: ID_PATTERN },
+  name: { type: 'string', required: true, nonEmpty: true },
+  birthDate: { type: 'date' }, // e.g. "12 Mar 1911", "c. 1850", "between 1820 and 1825"
+  birthYear: { type: 'year' },
+  deathDate: { type: 'date' },
+  deathYear: { type: 'year' },
+  year: { type: 'legacyYear' }, // Older records used one "significant year"
+  bio: { type: 'string' },
+  gender: { type: 'enum', values: ['', 'male', 'female', 'other'] },
+  marriedCity: { type: 'string' }, // Older records; marriage places now live on the union
+  photo: { type: 'mediaUrl' },
+  photoMedium: { type: 'mediaUrl' }, // Downscaled copies of `photo` made on upload
+  photoThumb: { type: 'mediaUrl' },
+  media: { type: 'mediaList' }, // Gallery; the primary item is mirrored in photo/photoMedium/photoThumb
+  deceased: { type: 'boolean' },
+  parents: { type: 'idList' },
+  parentTypes: { type: 'parentTypes' }, // { parentId: 'adoptive' | 'step' | 'foster' }; others are biological
+  spouses: { type: 'idList' }, // The partners of the person's unions
+  children: { type: 'idList' },
+};
+
+export const UNION_SCHEMA = {
+  id: { type: 'string', required: true, pattern: ID_PATTERN },
+  partners: { type: 'partners', required: true },
+  startDate: { type: 'date' }, // Marriage or start of the partnership
+  startPlace: { type: 'string' },
+  endDate: { type: 'date' },
+  endReason: { type: 'enum', values: END_REASONS },
+  children: { type: 'idList' }, // Children of both partners born to this union
+};
+
+const FAMILY_KEYS = ['people', 'unions'];
+
+const MEDIA_ITEM_SCHEMA = {
+  id: { type: 'string', required: true, nonEmpty: true },
+  url: { type: 'mediaUrl', required: true, nonEmpty: true },
+  medium: { type: 'mediaUrl' },
+  thumb: { type: 'mediaUrl' },
+  caption: { type: 'string' },
+  year: { type: 'year' },
+  primary: { type: 'boolean' },
+};
+
+const isYear = v => v === '' || v === null || (typeof v === 'string' && /^\d{4}$/.test(v)) ||
+  (Number.isInteger(v) && v >= 1000 && v <= 9999);
+
+function checkField(rule, value, d, personId) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be text';
+      if (rule.nonEmpty && !value.trim()) return 'must not be empty';
+      if (rule.pattern && !rule.pattern.test(value)) return `may only use letters, digits, "_" and "-", got "${value}"`;
+      return null;
+    case 'mediaUrl':
+      if (typeof value !== 'string') return 'must be text';
+      if (!value) return rule.nonEmpty ? 'must not be empty' : null;
+      return isMediaUrl(value) ? null : `must be an http(s) address or an uploaded photo, got "${value}"`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of: ${rule.values.filter(Boolean).join(', ')} (or empty)`;
+    case 'year':
+      return isYear(value) ? null : `must be a 4-digit year, got "${value}"`;
+    case 'date':
+      if (value === '' || value === null) return null;
+      if (typeof value !== 'string') return 'must be text';
+      return parseGenealogicalDate(value) ? null : `is not a date we can read: "${value}"`;
+    case 'legacyYear':
+      return value === '' || value === null || /^\d{1,4}$/.test(String(value)) ? null : `must be a year, got "${value}"`;
+    case 'idList': {
+      if (!Array.isArray(value)) return 'must be a list of person IDs';
+      if (value.some(id => typeof id !== 'string')) return 'must only contain person IDs as text';
+      const missing = value.filter(id => !Object.prototype.hasOwnProperty.call(d.people, id));
+      if (missing.length) return `refers to unknown people: ${missing.join(', ')}`;
+      if (value.includes(personId)) return 'must not refer to the person themselves';
+      if (new Set(value).size !== value.length) return 'contains the same person twice';
+      return null;
+    }
+    case 'parentTypes': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object of parent ID to link type';
+      const parents = (d.people[personId] && d.people[personId].parents) || [];
+      const stray = Object.keys(value).find(pid => !Array.isArray(parents) || !parents.includes(pid));
+      if (stray) return `names ${stray}, who is not one of the parents`;
+      const unknown = Object.values(value).find(type => !PARENT_TYPES.includes(type));
+      if (unknown !== undefined) return `has an unknown link type "${unknown}" (use ${PARENT_TYPES.join(', ')})`;
+      return null;
+    }
+    case 'partners':
+      if (!Array.isArray(value) || value.length !== 2) return 'must be a list of two person IDs';
+      if (value.some(id => typeof id !== 'string')) return 'must only contain person IDs as text';
+      if (value[0] === value[1]) return 'must be two different people';
+      if (value.some(id => !Object.prototype.hasOwnProperty.call(d.people, id))) {
+        return `refers to unknown people: ${value.filter(id => !Object.prototype.hasOwnProperty.call(d.people, id)).join(', ')}`;
+      }
+      return null;
+    case 'mediaList': {
+      if (!Array.isArray(value)) return 'must be a list of media items';
+      for (const [index, item] of value.entries()) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return `item ${index + 1} must be an object`;
+        const unknown = Object.keys(item).find(f => !MEDIA_ITEM_SCHEMA[f]);
+        if (unknown) return `item ${index + 1} has an unknown field "${unknown}"`;
+        for (const [field, itemRule] of Object.entries(MEDIA_ITEM_SCHEMA)) {
+          if (item[field] === undefined) {
+            if (itemRule.required) return `item ${index + 1} needs a ${field}`;
+            continue;
+          }
+          const message = checkField(itemRule, item[field], d, personId);
+          if (message) return `item ${index + 1} ${field} ${message}`;
+        }
+      }
+      if (new Set(value.map(item => item.id)).size !== value.length) return 'contains the same item twice';
+      if (value.filter(item => item.primary).length > 1) return 'can have only one main photo';
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Validates the whole document, or only the people listed in `only` and the unions in `onlyUnions`.
+// Returns { valid, general: [message], people: [{ id, name, errors: [{ field, message }] }],
+// unions: [{ id, name, errors }] }; a union's name is its partners' names.
+export function validateFamily(d, { only, onlyUnions } = {}) {
+  const general = [];
+  const people = [];
+  const unions = [];
+
+  if (!d || typeof d !== 'object' || Array.isArray(d)) {
+    return { valid: false, general: ['The data must be a JSON object'], people, unions };
+  }
+  Object.keys(d).filter(k => !FAMILY_KEYS.includes(k)).forEach(k => general.push(`Unknown top-level field "${k}"`));
+  if (!d.people || typeof d.people !== 'object' || Array.isArray(d.people)) {
+    general.push('Missing "people" object');
+    return { valid: false, general, people, unions };
+  }
+  // Data saved before unions existed has none; it gets them when it is next normalized
+  const hasUnions = d.unions !== undefined;
+  if (hasUnions && (!d.unions || typeof d.unions !== 'object' || Array.isArray(d.unions))) {
+    general.push('"unions" must be an object');
+    return { valid: false, general, people, unions };
+  }
+  const unionList = Object.values(d.unions || {}).filter(u => u && Array.isArray(u.partners));
+
+  const ids = only ? only.filter(id => d.people[id]) : Object.keys(d.people);
+  ids.forEach(key => {
+    const p = d.people[key];
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    if (!p || typeof p !== 'object' || Array.isArray(p)) {
+      people.push({ id: key, name: '', errors: [{ field: null, message: 'must be an object' }] });
+      return;
+    }
+
+    Object.keys(p).filter(f => !PERSON_SCHEMA[f]).forEach(f => add(f, 'is not a known field'));
+    Object.entries(PERSON_SCHEMA).forEach(([field, rule]) => {
+      if (p[field] === undefined) {
+        if (rule.required) add(field, 'is required');
+        return;
+      }
+      const message = checkField(rule, p[field], d, key);
+      if (message) add(field, message);
+    });
+
+    if (p.id !== undefined && p.id !== key) add('id', `must match its key "${key}"`);
+
+    ['birth', 'death'].forEach(kind => {
+      const date = typeof p[`${kind}Date`] === 'string' ? parseGenealogicalDate(p[`${kind}Date`]) : null;
+      if (date && p[`${kind}Year`] && String(p[`${kind}Year`]) !== dateYear(date)) {
+        add(`${kind}Year`, `must match ${kind}Date (${dateYear(date)})`);
+      }
+    });
+    const birth = personDate(p, 'birth');
+    const death = personDate(p, 'death');
+    if (birth && death && dateBounds(birth).earliest > dateBounds(death).latest) {
+      add(p.deathDate ? 'deathDate' : 'deathYear', 'must not be before the birth date');
+    }
+
+    (Array.isArray(p.spouses) ? p.spouses : []).forEach(sid => {
+      const spouse = d.people[sid];
+      if (spouse && Array.isArray(spouse.spouses) && !spouse.spouses.includes(key)) {
+        add('spouses', `${spouse.name || sid} does not list this person as a spouse`);
+      }
+      if (spouse && hasUnions && !unionList.some(u => u.partners.includes(key) && u.partners.includes(sid))) {
+        add('spouses', `has no union with ${spouse.name || sid}`);
+      }
+    });
+    (Array.isArray(p.children) ? p.children : []).forEach(cid => {
+      const child = d.people[cid];
+      if (child && Array.isArray(child.parents) && !child.parents.includes(key)) {
+        add('children', `${child.name || cid} does not list this person as a parent`);
+      }
+    });
+
+    if (errors.length) people.push({ id: key, name: typeof p.name === 'string' ? p.name : '', errors });
+  });
+
+  const unionIds = onlyUnions ? onlyUnions.filter(id => d.unions && d.unions[id]) : Object.keys(d.unions || {});
+  const childUnion = {};
+  unionList.forEach(u => (Array.isArray(u.children) ? u.children : []).forEach(cid => {
+    (childUnion[cid] = childUnion[cid] || []).push(u.id);
+  }));
+  unionIds.forEach(key => {
+    const u = d.unions[key];
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    if (!u || typeof u !== 'object' || Array.isArray(u)) {
+      unions.push({ id: key, name: '', errors: [{ field: null, message: 'must be an object' }] });
+      return;
+    }
+
+    Object.keys(u).filter(f => !UNION_SCHEMA[f]).forEach(f => add(f, 'is not a known field'));
+    Object.entries(UNION_SCHEMA).forEach(([field, rule]) => {
+      if (u[field] === undefined) {
+        if (rule.required) add(field, 'is required');
+        return;
+      }
+      const message = checkField(rule, u[field], d, null);
+      if (message) add(field, message);
+    });
+    if (u.id !== undefined && u.id !== key) add('id', `must match its key "${key}"`);
+
+    const partners = Array.isArray(u.partners) ? u.partners.map(pid => d.people[pid]).filter(Boolean) : [];
+    if (partners.length === 2) {
+      partners.forEach((p, index) => {
+        const other = partners[1 - index];
+        if (Array.isArray(p.spouses) && !p.spouses.includes(other.id)) {
+          add('partners', `${p.name || p.id} does not list ${other.name || other.id} as a spouse`);
+        }
+      });
+      (Array.isArray(u.children) ? u.children : []).forEach(cid => {
+        const child = d.people[cid];
+        if (child && !partners.every(p => Array.isArray(child.parents) && child.parents.includes(p.id))) {
+          add('children', `${child.name || cid} is not a child of both partners`);
+        }
+        if (child && childUnion[cid].length > 1) add('children', `${child.name || cid} belongs to more than one union`);
+      });
+    }
+
+    const start = typeof u.startDate === 'string' ? parseGenealogicalDate(u.startDate) : null;
+    const end = typeof u.endDate === 'string' ? parseGenealogicalDate(u.endDate) : null;
+    if (start && end && dateBounds(start).earliest > dateBounds(end).latest) add('endDate', 'must not be before the start date');
+
+    if (errors.length) {
+      const name = partners.map(p => (typeof p.name === 'string' && p.name) || p.id).join(' & ');
+      unions.push({ id: key, name, errors });
+    }
+  });
+
+  return { valid: !general.length && !people.length && !unions.length, general, people, unions };
+}
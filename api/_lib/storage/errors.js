@@ -0,0 +1,10 @@
+// api/_lib/storage/errors.js
+
+// Thrown by a conditional put (ifMatch / onlyIfNew) when the stored object is not the expected one
+export class PreconditionFailedError extends Error {
+  constructor(key) {
+    super(`Precondition failed for ${key}`);
+    this.name = 'PreconditionFailedError';
+    this.key = key;
+  }
+}
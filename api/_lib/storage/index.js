@@ -0,0 +1,49 @@
+// api/_lib/storage/index.js
+// One small key/value interface in front of where the files actually live.
+//   STORAGE_DRIVER=vercel-blob  Vercel Blob (the default when a blob token is configured)
+//   STORAGE_DRIVER=local        files under DATA_DIR (default ./data), for self-hosting with server.js
+//
+// Every driver provides:
+//   get(key, options)        -> { body: Uint8Array, etag, contentType, size, uploadedAt } or null
+//       options: access ('private' for objects written that way)
+//   put(key, body, options)  -> { key, url, etag }
+//       options: contentType, access ('public' by default, 'private' keeps it off any public URL),
+//                addRandomSuffix, ifMatch (etag the stored object must have),
+//                onlyIfNew (fail if the key exists); a failed condition throws PreconditionFailedError
+//   list(prefix)             -> [{ key, url, size, uploadedAt }], all pages
+//   remove(keys)             -> deletes the given keys
+import { blobToken, vercelBlobDriver } from './vercel-blob.js';
+
+export { PreconditionFailedError } from './errors.js';
+
+let driverPromise;
+
+export function storageDriverName() {
+  const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+  if (configured) return configured;
+  return blobToken() ? 'vercel-blob' : 'local';
+}
+
+export function getStorage() {
+  if (!driverPromise) {
+    driverPromise = (async () => {
+      const name = storageDriverName();
+      if (name === 'vercel-blob') return vercelBlobDriver;
+      if (name === 'local') {
+        // Loaded only when chosen: it needs the Node file system, which the edge runtime lacks
+        const { localDriver } = await import('./local.js');
+        return localDriver;
+      }
+      throw new Error(`Unknown STORAGE_DRIVER "${name}" (use "vercel-blob" or "local")`);
+    })();
+    driverPromise.catch(() => { driverPromise = undefined; });
+  }
+  return driverPromise;
+}
+
+export async function readText(key, options) {
+  const storage = await getStorage();
+  const object = await storage.get(key, options);
+  if (!object) return null;
+  return { text: new TextDecoder().decode(object.body), etag: object.etag };
+}
@@ -0,0 +1,141 @@
+// api/_lib/storage/local.js
+// Files on the local disk under DATA_DIR (default ./data), for self-hosting without Vercel.
+// ETags are content hashes. Writes go to a temp file and are renamed into place, and writes to the
+// same key are queued, so a conditional put cannot interleave with another write in this process.
+// Only files under photos/ are served to browsers, through /api/media, so the `access` option changes nothing here.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createHash, randomBytes } from 'node:crypto';
+import { PreconditionFailedError } from './errors.js';
+
+const ROOT = path.resolve(process.env.DATA_DIR || 'data');
+const TEMP_SUFFIX = '.tmp-write';
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+};
+
+const queues = new Map(); // key -> promise of the last write
+
+function filePath(key) {
+  const full = path.resolve(ROOT, key);
+  if (!full.startsWith(ROOT + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return full;
+}
+
+function etagOf(body) {
+  return `"${createHash('sha256').update(body).digest('hex').slice(0, 32)}"`;
+}
+
+function contentTypeOf(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+function urlOf(key) {
+  return `/api/media?key=${encodeURIComponent(key)}`;
+}
+
+function withRandomSuffix(key) {
+  const ext = path.extname(key);
+  return `${key.slice(0, key.length - ext.length)}-${randomBytes(6).toString('hex')}${ext}`;
+}
+
+function serialize(key, task) {
+  const previous = queues.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  queues.set(key, next);
+  next.finally(() => { if (queues.get(key) === next) queues.delete(key); }).catch(() => {});
+  return next;
+}
+
+async function readFileOrNull(full) {
+  try {
+    return await fs.readFile(full);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function walk(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await walk(full));
+    else if (entry.isFile() && !entry.name.endsWith(TEMP_SUFFIX)) files.push(full);
+  }
+  return files;
+}
+
+export const localDriver = {
+  name: 'local',
+
+  async get(key) {
+    const full = filePath(key);
+    const body = await readFileOrNull(full);
+    if (!body) return null;
+    const stat = await fs.stat(full);
+    return {
+      body: new Uint8Array(body),
+      etag: etagOf(body),
+      contentType: contentTypeOf(key),
+      size: body.length,
+      uploadedAt: stat.mtime,
+    };
+  },
+
+  async put(key, body, { addRandomSuffix = false, ifMatch, onlyIfNew = false } = {}) {
+    const finalKey = addRandomSuffix ? withRandomSuffix(key) : key;
+    const full = filePath(finalKey);
+    const bytes = typeof body === 'string' ? Buffer.from(body, 'utf8') : Buffer.from(body);
+
+    return serialize(finalKey, async () => {
+      if (ifMatch !== undefined || onlyIfNew) {
+        const existing = await readFileOrNull(full);
+        if (onlyIfNew && existing) throw new PreconditionFailedError(finalKey);
+        if (ifMatch !== undefined && (!existing || etagOf(existing) !== ifMatch)) {
+          throw new PreconditionFailedError(finalKey);
+        }
+      }
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      const temp = `${full}.${randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+      await fs.writeFile(temp, bytes);
+      await fs.rename(temp, full);
+      return { key: finalKey, url: urlOf(finalKey), etag: etagOf(bytes) };
+    });
+  },
+
+  async list(prefix) {
+    const files = await walk(ROOT);
+    const items = [];
+    for (const full of files) {
+      const key = path.relative(ROOT, full).split(path.sep).join('/');
+      if (!key.startsWith(prefix)) continue;
+      const stat = await fs.stat(full);
+      items.push({ key, url: urlOf(key), size: stat.size, uploadedAt: stat.mtime });
+    }
+    return items;
+  },
+
+  async remove(keys) {
+    await Promise.all(keys.map(async key => {
+      try {
+        await fs.unlink(filePath(key));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }));
+  },
+};
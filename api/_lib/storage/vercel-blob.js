@@ -0,0 +1,75 @@
+// api/_lib/storage/vercel-blob.js
+import { put, get, list, head, del, BlobNotFoundError, BlobPreconditionFailedError } from '@vercel/blob';
+import { PreconditionFailedError } from './errors.js';
+
+// Older projects linked the store under a prefixed variable name
+export function blobToken() {
+  return process.env.BLOB_READ_WRITE_TOKEN || process.env.ttreeblob_READ_WRITE_TOKEN || undefined;
+}
+
+async function exists(key) {
+  try {
+    await head(key, { token: blobToken() });
+    return true;
+  } catch (e) {
+    if (e instanceof BlobNotFoundError) return false;
+    throw e;
+  }
+}
+
+export const vercelBlobDriver = {
+  name: 'vercel-blob',
+
+  async get(key, { access = 'public' } = {}) {
+    const result = await get(key, { access, useCache: false, token: blobToken() });
+    if (!result) return null;
+    const body = new Uint8Array(await new Response(result.stream).arrayBuffer());
+    return {
+      body,
+      etag: result.blob.etag,
+      contentType: result.blob.contentType,
+      size: result.blob.size,
+      uploadedAt: new Date(result.blob.uploadedAt),
+    };
+  },
+
+  async put(key, body, { contentType, access = 'public', addRandomSuffix = false, ifMatch, onlyIfNew = false } = {}) {
+    const options = {
+      access,
+      addRandomSuffix,
+      allowOverwrite: !onlyIfNew,
+      contentType,
+      token: blobToken(),
+    };
+    if (ifMatch !== undefined) options.ifMatch = ifMatch;
+    if (onlyIfNew && await exists(key)) throw new PreconditionFailedError(key);
+
+    try {
+      const blob = await put(key, body, options);
+      return { key: blob.pathname, url: blob.url, etag: blob.etag };
+    } catch (e) {
+      if (e instanceof BlobPreconditionFailedError) throw new PreconditionFailedError(key);
+      throw e;
+    }
+  },
+
+  async list(prefix) {
+    const items = [];
+    let cursor;
+    do {
+      const page = await list({ prefix, cursor, token: blobToken() });
+      items.push(...page.blobs.map(b => ({
+        key: b.pathname,
+        url: b.url,
+        size: b.size,
+        uploadedAt: new Date(b.uploadedAt),
+      })));
+      cursor = page.hasMore ? page.cursor : undefined;
+    } while (cursor);
+    return items;
+  },
+
+  async remove(keys) {
+    if (keys.length) await del(keys, { token: blobToken() });
+  },
+};
@@ -0,0 +1,46 @@
+// api/_lib/throttle.js
+// Per-IP limit on failed logins: after LOGIN_MAX_ATTEMPTS failures inside LOGIN_WINDOW_MINUTES
+// further attempts from that address get 429 until the window has passed.
+// Counts live in the memory of the running instance, so they reset on a cold start and are not
+// shared between regions. That is enough to make guessing the password slow, which is the point.
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '', 10) || 5;
+const WINDOW_MS = (parseInt(process.env.LOGIN_WINDOW_MINUTES || '', 10) || 15) * 60 * 1000;
+const MAX_TRACKED = 10000;
+
+const failures = new Map(); // ip -> [timestamps of recent failures]
+
+// The address failures are counted against. On Vercel the platform sets x-vercel-forwarded-for and
+// x-real-ip itself, and server.js sets x-real-ip from the socket or its trusted proxy. A client can
+// put anything at the front of X-Forwarded-For, so only the last entry, added by the nearest proxy, counts.
+export function clientIp(req) {
+  const platform = req.headers.get('x-vercel-forwarded-for') || req.headers.get('x-real-ip') || '';
+  if (platform.trim()) return platform.split(',')[0].trim();
+  const forwarded = (req.headers.get('x-forwarded-for') || '').split(',').map(s => s.trim()).filter(Boolean);
+  return forwarded[forwarded.length - 1] || 'unknown';
+}
+
+function recent(ip, now = Date.now()) {
+  const times = (failures.get(ip) || []).filter(t => now - t < WINDOW_MS);
+  if (times.length) failures.set(ip, times);
+  else failures.delete(ip);
+  return times;
+}
+
+// Seconds until this address may try again, or 0 when it is not blocked
+export function loginRetryAfter(ip) {
+  const times = recent(ip);
+  if (times.length < MAX_ATTEMPTS) return 0;
+  return Math.max(1, Math.ceil((times[0] + WINDOW_MS - Date.now()) / 1000));
+}
+
+export function recordLoginFailure(ip) {
+  if (!failures.has(ip) && failures.size >= MAX_TRACKED) {
+    failures.delete(failures.keys().next().value); // Forget the oldest address rather than grow forever
+  }
+  failures.set(ip, [...recent(ip), Date.now()]);
+}
+
+export function clearLoginFailures(ip) {
+  failures.delete(ip);
+}
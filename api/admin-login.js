@@ -1,16 +1,77 @@
 // api/admin-login.js
+// POST { username, password } -> { success, token, expiresAt, user } for a named account.
+//      Leaving the username empty and using ADMIN_KEY as the password signs in as the built-in owner.
+//      Too many failures from one IP -> 429 with Retry-After.
+// GET  -> { success, user } for the session token in the Authorization header
+import { readUsers, verifyPassword, matchesAdminKey, signSession, currentUser, publicUser, insecureDevAllowed, BOOTSTRAP_USER } from './_lib/auth.js';
+import { clientIp, loginRetryAfter, recordLoginFailure, clearLoginFailures } from './_lib/throttle.js';
+import { json, readJson, HttpError } from './_lib/http.js';
+
 export const runtime = 'edge';
 
+function tooManyAttempts(retryAfter) {
+  return json(
+    { success: false, error: `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` },
+    429,
+    { 'Retry-After': String(retryAfter) }
+  );
+}
+
 export async function POST(request) {
-  const { password } = await request.json();
-  const expectedAdminKey = process.env.ADMIN_KEY;
+  const ip = clientIp(request);
+  const retryAfter = loginRetryAfter(ip);
+  if (retryAfter) return tooManyAttempts(retryAfter);
+
+  const { username: rawUsername, password } = (await readJson(request)) || {};
+  const username = String(rawUsername || '').trim().toLowerCase();
+
+  const fail = () => {
+    recordLoginFailure(ip);
+    const blockedFor = loginRetryAfter(ip);
+    return blockedFor ? tooManyAttempts(blockedFor) : json({ success: false }, 401);
+  };
+  const succeed = async (sub, user, extra = {}) => {
+    clearLoginFailures(ip);
+    const { token, expiresAt } = await signSession({ sub, ...extra });
+    return json({ success: true, token, expiresAt, user });
+  };
 
-  if (!expectedAdminKey) {
-    console.warn('ADMIN_KEY environment variable is not set. Login is always successful.');
-    // For local development or if you don't care about auth for now
-    return new Response(JSON.stringify({ success: true }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  try {
+    const users = await readUsers();
+    const account = username ? users[username] : null;
+
+    if (account) {
+      if (!(await verifyPassword(String(password || ''), account.passwordHash))) return fail();
+      return await succeed(account.username, publicUser(account));
+    }
+
+    if (!username || username === BOOTSTRAP_USER) {
+      if (!process.env.ADMIN_KEY) {
+        if (!insecureDevAllowed()) {
+          return json({ success: false, error: 'Server is not configured: set ADMIN_KEY' }, 500);
+        }
+        console.warn('ADMIN_KEY is not set and ALLOW_INSECURE_DEV is on. Any password signs in as owner.');
+      } else if (!matchesAdminKey(password)) {
+        return fail();
+      }
+      return await succeed(BOOTSTRAP_USER, { username: BOOTSTRAP_USER, role: 'owner' }, { bootstrap: true });
+    }
+
+    return fail();
+  } catch (e) {
+    console.error('Login error:', e);
+    if (e instanceof HttpError) return json({ success: false, error: e.message }, e.status);
+    return json({ success: false, error: 'Login failed' }, 500);
   }
+}
 
-  const success = password === expectedAdminKey;
-  return new Response(JSON.stringify({ success }), { status: success ? 200 : 401, headers: { 'Content-Type': 'application/json' } });
+export async function GET(request) {
+  try {
+    const user = await currentUser(request);
+    return json({ success: !!user, user }, user ? 200 : 401);
+  } catch (e) {
+    console.error('Session check error:', e);
+    if (e instanceof HttpError) return json({ success: false, error: e.message }, e.status);
+    return json({ success: false, error: 'Session check failed' }, 500);
+  }
 }
@@ -1,7 +1,11 @@
+import { storageDriverName } from './_lib/storage/index.js';
+
 export const runtime = 'edge';
 
 export async function GET() {
   const hasAdmin = !!process.env.ADMIN_KEY;
+  const hasSessionSecret = !!process.env.SESSION_SECRET;
+  const insecureDev = process.env.ALLOW_INSECURE_DEV === 'true';
   const hasBlobToken =
     !!process.env.BLOB_READ_WRITE_TOKEN ||
     !!process.env.ttreeblob_READ_WRITE_TOKEN;
@@ -9,6 +13,9 @@ export async function GET() {
   return new Response(JSON.stringify({
     ok: true,
     adminKeyPresent: hasAdmin,
-    blobTokenPresent: hasBlobToken
+    sessionSecretPresent: hasSessionSecret,
+    insecureDevMode: insecureDev,
+    blobTokenPresent: hasBlobToken,
+    storageDriver: storageDriverName()
   }), { headers: { 'Content-Type': 'application/json' } });
 }
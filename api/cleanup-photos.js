@@ -0,0 +1,57 @@
+// api/cleanup-photos.js (owners only)
+// GET  ?graceMinutes=60&keepHistory=true -> { orphans: [{ key, url, size, uploadedAt }], totalBytes, ... }
+// POST { dryRun?, keys?, graceMinutes?, keepHistory? } -> deletes unused photos, or with
+//      dryRun only reports what would go. With `keys`, only those are deleted, and only if still unused.
+import { findOrphanedPhotos, DEFAULT_GRACE_MINUTES } from './_lib/photos.js';
+import { getStorage } from './_lib/storage/index.js';
+import { authorize } from './_lib/auth.js';
+import { json, readJson } from './_lib/http.js';
+
+export const runtime = 'edge';
+
+function options(source) {
+  const grace = parseFloat(source.graceMinutes);
+  return {
+    graceMinutes: Number.isFinite(grace) && grace >= 0 ? grace : DEFAULT_GRACE_MINUTES,
+    keepHistory: source.keepHistory !== false && source.keepHistory !== 'false',
+  };
+}
+
+export async function GET(req) {
+  const { response } = await authorize(req, 'owner');
+  if (response) return response;
+
+  try {
+    const params = Object.fromEntries(new URL(req.url).searchParams);
+    return json({ ok: true, dryRun: true, ...(await findOrphanedPhotos(options(params))) });
+  } catch (e) {
+    console.error('Photo cleanup error:', e);
+    return json({ ok: false, error: e?.message || 'Server error' }, 500);
+  }
+}
+
+export async function POST(req) {
+  const { response } = await authorize(req, 'owner');
+  if (response) return response;
+
+  const body = (await readJson(req)) || {};
+  try {
+    const found = await findOrphanedPhotos(options(body));
+    // Only ever delete what is unused right now, whatever the client asks for
+    const requested = Array.isArray(body.keys) ? new Set(body.keys) : null;
+    const targets = requested ? found.orphans.filter(o => requested.has(o.key)) : found.orphans;
+    const bytes = targets.reduce((sum, o) => sum + (o.size || 0), 0);
+
+    if (body.dryRun) {
+      return json({ ok: true, dryRun: true, ...found, orphans: targets, totalBytes: bytes });
+    }
+
+    const storage = await getStorage();
+    await storage.remove(targets.map(o => o.key));
+    console.log('Photo cleanup removed', targets.length, 'photos,', bytes, 'bytes');
+    return json({ ok: true, dryRun: false, deleted: targets.map(o => o.key), deletedBytes: bytes });
+  } catch (e) {
+    console.error('Photo cleanup error:', e);
+    return json({ ok: false, error: e?.message || 'Server error' }, 500);
+  }
+}
@@ -0,0 +1,37 @@
+// api/history.js
+// GET            -> list of saved snapshots, newest first
+// GET ?id=<id>   -> the family data stored in one snapshot
+import { listSnapshots, readSnapshot, isSnapshotId } from './_lib/history.js';
+import { authorize } from './_lib/auth.js';
+
+export const runtime = 'edge';
+
+export async function GET(req) {
+  const { response } = await authorize(req, 'owner');
+  if (response) return response;
+
+  const id = new URL(req.url).searchParams.get('id');
+
+  try {
+    if (!id) {
+      return json({ ok: true, snapshots: await listSnapshots() });
+    }
+
+    if (!isSnapshotId(id)) {
+      return json({ ok: false, error: 'Invalid snapshot id' }, 400);
+    }
+    const data = await readSnapshot(id);
+    if (!data) return json({ ok: false, error: 'Snapshot not found' }, 404);
+    return json({ ok: true, id, data });
+  } catch (e) {
+    console.error('History error:', e);
+    return json({ ok: false, error: e?.message || 'Server error' }, 500);
+  }
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
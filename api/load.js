@@ -1,23 +1,24 @@
 export const runtime = 'edge';
-import { list } from '@vercel/blob';
+import { readCurrent } from './_lib/history.js';
+import { authorize } from './_lib/auth.js';
+
+// The revision token goes in the X-Revision header; send it back as If-Match when saving.
+export async function GET(req) {
+  const { response } = await authorize(req, 'viewer');
+  if (response) return response;
 
-export async function GET() {
   try {
-    const { blobs } = await list({ prefix: 'family/family-data.json' });
-    if (!blobs?.length) return json({ people: {} });
-    const url = blobs[0].downloadUrl || blobs[0].url;
-    const res = await fetch(url, { cache: 'no-store' });
-    const jsonData = await res.json();
-    return json(jsonData);
+    const current = await readCurrent();
+    if (!current) return json({ people: {} }, 200, '');
+    return json(current.data, 200, current.revision);
   } catch (e) {
     // Always return valid JSON so the client never tries to parse HTML
     return json({ people: {}, error: e?.message || 'Load failed' }, 200);
   }
 }
 
-function json(obj, status = 200) {
-  return new Response(JSON.stringify(obj), {
-    status,
-    headers: { 'Content-Type': 'application/json' }
-  });
+function json(obj, status = 200, revision) {
+  const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' };
+  if (revision !== undefined) headers['X-Revision'] = revision;
+  return new Response(JSON.stringify(obj), { status, headers });
 }
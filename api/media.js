@@ -0,0 +1,46 @@
+// api/media.js
+// GET ?key=photos/<file> -> the stored photo. Used by the local storage driver, whose files have
+// no public URL of their own; Vercel Blob photos are served straight from the blob store.
+// Like blob URLs, photo keys are unguessable and need no login (an <img> cannot send the token).
+import { getStorage } from './_lib/storage/index.js';
+
+export const runtime = 'edge';
+
+const SERVABLE_PREFIX = 'photos/';
+
+export async function GET(req) {
+  const key = new URL(req.url).searchParams.get('key') || '';
+  if (!key.startsWith(SERVABLE_PREFIX) || key.includes('..')) {
+    return json({ ok: false, error: 'Not found' }, 404);
+  }
+
+  try {
+    const storage = await getStorage();
+    const object = await storage.get(key);
+    if (!object) return json({ ok: false, error: 'Not found' }, 404);
+
+    const etag = object.etag;
+    if (req.headers.get('if-none-match') === etag) {
+      return new Response(null, { status: 304, headers: { ETag: etag } });
+    }
+    return new Response(object.body, {
+      status: 200,
+      headers: {
+        'Content-Type': object.contentType,
+        'Content-Length': String(object.size),
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        ETag: etag,
+      },
+    });
+  } catch (e) {
+    console.error('Media error:', e);
+    return json({ ok: false, error: e?.message || 'Server error' }, 500);
+  }
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
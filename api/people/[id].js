@@ -0,0 +1,60 @@
+// api/people/[id].js
+// GET    /api/people/:id -> { person }
+// PATCH  /api/people/:id -> updates the given fields (see PERSON_FIELDS); `unions` ({ unionId: change },
+//        as for PATCH /api/unions/:id) changes this person's marriages in the same write
+// DELETE /api/people/:id -> removes the person and every link to them
+import { json, readJson, pathParams, HttpError } from '../_lib/http.js';
+import { authorize } from '../_lib/auth.js';
+import { pickPersonFields, removePerson } from '../_lib/family.js';
+import { readFamily, changePeople, requirePerson, requireUnion, updateUnion, errorResponse } from '../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function GET(req) {
+  const { response } = await authorize(req, 'viewer');
+  if (response) return response;
+
+  try {
+    const { id } = pathParams(req, '/api/people/:id');
+    const { data, revision } = await readFamily();
+    return json({ ok: true, person: requirePerson(data, id) }, 200, { 'X-Revision': revision });
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
+
+export async function PATCH(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') return json({ ok: false, error: 'Invalid JSON' }, 400);
+  const fields = pickPersonFields(body);
+  if ('name' in fields && !String(fields.name || '').trim()) return json({ ok: false, error: 'Name is required' }, 400);
+  const unions = body.unions ?? {};
+  if (typeof unions !== 'object' || Array.isArray(unions)) {
+    return json({ ok: false, error: 'unions must map union IDs to their changes' }, 400);
+  }
+
+  return changePeople(d => {
+    const { id } = pathParams(req, '/api/people/:id');
+    Object.assign(requirePerson(d, id), fields);
+    Object.entries(unions).forEach(([unionId, change]) => {
+      if (!requireUnion(d, unionId).partners.includes(id)) throw new HttpError(400, `Union ${unionId} is not one of this person's`);
+      updateUnion(d, unionId, change);
+    });
+    return { id };
+  });
+}
+
+export async function DELETE(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  return changePeople(d => {
+    const { id } = pathParams(req, '/api/people/:id');
+    requirePerson(d, id);
+    removePerson(d, id);
+    return { id };
+  });
+}
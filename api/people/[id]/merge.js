@@ -0,0 +1,28 @@
+// api/people/[id]/merge.js
+// POST /api/people/:id/merge { duplicateId, fields } -> folds the duplicate into this person.
+//      `fields` (see PERSON_FIELDS) are the values picked on the merge screen; parents, children,
+//      marriages and every link to the duplicate move here, and the duplicate is removed.
+import { readJson, pathParams, HttpError } from '../../_lib/http.js';
+import { authorize } from '../../_lib/auth.js';
+import { pickPersonFields, mergePeople } from '../../_lib/family.js';
+import { changePeople, requirePerson } from '../../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function POST(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+  const { duplicateId, fields } = (await readJson(req)) || {};
+  const picked = pickPersonFields(fields || {});
+
+  return changePeople(d => {
+    const { id } = pathParams(req, '/api/people/:id/merge');
+    requirePerson(d, id);
+    requirePerson(d, duplicateId, 'Duplicate');
+    if (duplicateId === id) throw new HttpError(400, 'A person cannot be merged with themselves');
+    if ('name' in picked && !String(picked.name || '').trim()) throw new HttpError(400, 'Name is required');
+    mergePeople(d, id, duplicateId);
+    Object.assign(d.people[id], picked);
+    return { id, duplicateId };
+  });
+}
@@ -0,0 +1,36 @@
+// api/people/[id]/parents/[parentId].js
+// PATCH  /api/people/:id/parents/:parentId { type } -> changes how the parent is linked (see PARENT_TYPES)
+// DELETE /api/people/:id/parents/:parentId -> unlinks a parent
+import { readJson, pathParams, HttpError } from '../../../_lib/http.js';
+import { authorize } from '../../../_lib/auth.js';
+import { unlinkParent, setParentType, PARENT_TYPES } from '../../../_lib/family.js';
+import { changePeople, requirePerson } from '../../../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function PATCH(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+  const { type } = (await readJson(req)) || {};
+
+  return changePeople(d => {
+    const { id, parentId } = pathParams(req, '/api/people/:id/parents/:parentId');
+    const child = requirePerson(d, id);
+    if (!child.parents.includes(parentId)) throw new HttpError(404, `${parentId} is not a parent of ${id}`);
+    if (!PARENT_TYPES.includes(type)) throw new HttpError(400, `Unknown parent link type "${type}"`);
+    setParentType(d, id, parentId, type);
+    return { id };
+  });
+}
+
+export async function DELETE(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  return changePeople(d => {
+    const { id, parentId } = pathParams(req, '/api/people/:id/parents/:parentId');
+    requirePerson(d, id);
+    unlinkParent(d, id, parentId);
+    return { id };
+  });
+}
@@ -0,0 +1,25 @@
+// api/people/[id]/parents/index.js
+// POST /api/people/:id/parents { parentId, type? } -> links a parent (the parent's children follow);
+//      `type` is one of PARENT_TYPES and defaults to biological
+import { readJson, pathParams, HttpError } from '../../../_lib/http.js';
+import { authorize } from '../../../_lib/auth.js';
+import { linkParent, PARENT_TYPES } from '../../../_lib/family.js';
+import { changePeople, requirePerson } from '../../../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function POST(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+  const { parentId, type } = (await readJson(req)) || {};
+
+  return changePeople(d => {
+    const { id } = pathParams(req, '/api/people/:id/parents');
+    requirePerson(d, id);
+    requirePerson(d, parentId, 'Parent');
+    if (parentId === id) throw new HttpError(400, 'A person cannot be their own parent');
+    if (type !== undefined && !PARENT_TYPES.includes(type)) throw new HttpError(400, `Unknown parent link type "${type}"`);
+    linkParent(d, id, parentId, type);
+    return { id };
+  });
+}
@@ -0,0 +1,20 @@
+// api/people/[id]/spouses/[spouseId].js
+// DELETE /api/people/:id/spouses/:spouseId -> unlinks two spouses both ways and removes their unions
+import { pathParams } from '../../../_lib/http.js';
+import { authorize } from '../../../_lib/auth.js';
+import { unlinkSpouses } from '../../../_lib/family.js';
+import { changePeople, requirePerson } from '../../../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function DELETE(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  return changePeople(d => {
+    const { id, spouseId } = pathParams(req, '/api/people/:id/spouses/:spouseId');
+    requirePerson(d, id);
+    if (spouseId && d.people[spouseId]) unlinkSpouses(d, id, spouseId);
+    return { id };
+  });
+}
@@ -0,0 +1,24 @@
+// api/people/[id]/spouses/index.js
+// POST /api/people/:id/spouses { spouseId } -> links two spouses both ways, with a union unless
+//      they already have one (see /api/unions to record another marriage)
+import { readJson, pathParams, HttpError } from '../../../_lib/http.js';
+import { authorize } from '../../../_lib/auth.js';
+import { linkSpouses } from '../../../_lib/family.js';
+import { changePeople, requirePerson } from '../../../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function POST(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+  const { spouseId } = (await readJson(req)) || {};
+
+  return changePeople(d => {
+    const { id } = pathParams(req, '/api/people/:id/spouses');
+    requirePerson(d, id);
+    requirePerson(d, spouseId, 'Spouse');
+    if (spouseId === id) throw new HttpError(400, 'A person cannot be their own spouse');
+    const union = linkSpouses(d, id, spouseId);
+    return { id, unionId: union.id };
+  });
+}
@@ -0,0 +1,55 @@
+// api/people/index.js
+// GET  /api/people -> { people }
+// POST /api/people -> creates a person from { name, birthYear, ..., parents[], parentTypes?, spouses[] }; the server picks the ID
+import { json, readJson, HttpError } from '../_lib/http.js';
+import { authorize } from '../_lib/auth.js';
+import { pickPersonFields, newPersonId, linkParent, linkSpouses, exists, PARENT_TYPES } from '../_lib/family.js';
+import { readFamily, changePeople, errorResponse } from '../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function GET(req) {
+  const { response } = await authorize(req, 'viewer');
+  if (response) return response;
+
+  try {
+    const { data, revision } = await readFamily();
+    return json({ ok: true, people: data.people }, 200, { 'X-Revision': revision });
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
+
+export async function POST(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') return json({ ok: false, error: 'Invalid JSON' }, 400);
+  if (!String(body.name || '').trim()) return json({ ok: false, error: 'Name is required' }, 400);
+  for (const field of ['parents', 'spouses']) {
+    if (body[field] !== undefined && !Array.isArray(body[field])) {
+      return json({ ok: false, error: `${field} must be a list of person IDs` }, 400);
+    }
+  }
+  if (body.parentTypes !== undefined && (!body.parentTypes || typeof body.parentTypes !== 'object' || Array.isArray(body.parentTypes))) {
+    return json({ ok: false, error: 'parentTypes must map parent IDs to link types' }, 400);
+  }
+
+  return changePeople(d => {
+    const id = newPersonId(d); // Only the server names people; a client's `id` is ignored
+    d.people[id] = { id, ...pickPersonFields(body), parents: [], spouses: [], children: [] };
+
+    (body.parents || []).forEach(pid => {
+      if (!exists(d, pid)) throw new HttpError(404, `Parent ${pid} not found`);
+      const type = body.parentTypes ? body.parentTypes[pid] : undefined;
+      if (type !== undefined && !PARENT_TYPES.includes(type)) throw new HttpError(400, `Unknown parent link type "${type}"`);
+      linkParent(d, id, pid, type);
+    });
+    (body.spouses || []).forEach(sid => {
+      if (!exists(d, sid)) throw new HttpError(404, `Spouse ${sid} not found`);
+      linkSpouses(d, id, sid);
+    });
+    return { id };
+  });
+}
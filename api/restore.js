@@ -0,0 +1,45 @@
+// api/restore.js
+// POST { id } -> makes a snapshot the current family data.
+// The restore is itself saved as a new snapshot, so it can be undone the same way.
+import { readSnapshot, saveWithSnapshot, isSnapshotId } from './_lib/history.js';
+import { authorize } from './_lib/auth.js';
+
+export const runtime = 'edge';
+
+export async function POST(req) {
+  try {
+    const { response } = await authorize(req, 'owner');
+    if (response) return response;
+
+    let id;
+    try {
+      ({ id } = await req.json());
+    } catch {
+      return json({ ok: false, error: 'Invalid JSON' }, 400);
+    }
+    if (!isSnapshotId(id)) {
+      return json({ ok: false, error: 'Invalid snapshot id' }, 400);
+    }
+
+    const snapshot = await readSnapshot(id);
+    if (!snapshot) return json({ ok: false, error: 'Snapshot not found' }, 404);
+    if (typeof snapshot.people !== 'object') {
+      return json({ ok: false, error: 'Snapshot does not contain family data' }, 422);
+    }
+
+    const result = await saveWithSnapshot(snapshot);
+    console.log('Restored snapshot', id, 'as', result.snapshotId);
+
+    return json({ ok: true, restoredId: id, snapshotId: result.snapshotId });
+  } catch (e) {
+    console.error('Restore error:', e);
+    return json({ ok: false, error: e?.message || 'Server error' }, 500);
+  }
+}
+
+function json(obj, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
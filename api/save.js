@@ -1,16 +1,21 @@
 // api/save.js
-import { put } from '@vercel/blob';
+import { saveWithSnapshot, readCurrent, RevisionConflictError } from './_lib/history.js';
+import { validateFamily } from './_lib/schema.js';
+import { authorize } from './_lib/auth.js';
 
 export const runtime = 'edge';
 
+// Saves must send the revision they were based on as If-Match (from /api/load's X-Revision).
+// A stale revision gets a 409 with the stored data so the client can merge.
 export async function POST(req) {
   try {
-    const adminKey = process.env.ADMIN_KEY || '';
-    const sentKey = req.headers.get('x-admin-key') || '';
+    // Whole-document saves replace everything (imports, merges), so they are for owners
+    const { response } = await authorize(req, 'owner');
+    if (response) return response;
 
-    if (!adminKey || sentKey !== adminKey) {
-      console.error('Save error: unauthorized', { hasAdminKey: !!adminKey, sentKey });
-      return json({ ok: false, error: 'Unauthorized' }, 401);
+    const ifMatch = req.headers.get('if-match');
+    if (ifMatch === null) {
+      return json({ ok: false, error: 'Missing If-Match revision. Reload the tree and try again.' }, 428);
     }
 
     let payload;
@@ -21,23 +26,35 @@ export async function POST(req) {
       return json({ ok: false, error: 'Invalid JSON' }, 400);
     }
 
-    const key = 'family/family-data.json';
+    const validation = validateFamily(payload);
+    if (!validation.valid) {
+      console.warn('Save rejected: invalid data', validation);
+      return json({ ok: false, error: 'Validation failed', validation }, 422);
+    }
 
-    const result = await put(
-      key,
-      JSON.stringify(payload, null, 2),
-      {
-        access: 'public',
-        addRandomSuffix: false,
-        allowOverwrite: true, // 👈 THIS MUST BE HERE
-        contentType: 'application/json; charset=utf-8',
-      }
-    );
+    const result = await saveWithSnapshot(payload, { ifMatch });
 
-    console.log('Save success, blob key:', result.pathname);
+    console.log('Save success, blob key:', result.pathname, 'snapshot:', result.snapshotId);
 
-    return json({ ok: true });
+    return json({ ok: true, snapshotId: result.snapshotId, revision: result.revision });
   } catch (e) {
+    if (e instanceof RevisionConflictError) {
+      let current;
+      try {
+        current = await readCurrent();
+      } catch (readError) {
+        // Without the stored copy there is nothing to merge with: report a plain failure
+        console.error('Save error: could not read the current data after a conflict', readError);
+        return json({ ok: false, error: 'Someone else saved first, and their copy could not be read. Reload and try again.' }, 500);
+      }
+      console.warn('Save rejected: stale revision');
+      return json({
+        ok: false,
+        error: 'Conflict',
+        revision: current ? current.revision : '',
+        current: current ? current.data : { people: {} },
+      }, 409);
+    }
     console.error('Save error: unexpected', e);
     return json({ ok: false, error: e?.message || 'Server error' }, 500);
   }
@@ -0,0 +1,36 @@
+// api/unions/[id].js
+// PATCH  /api/unions/:id { startDate?, startPlace?, endDate?, endReason?, children? } -> updates the union;
+//        `children` replaces the list, and makes both partners parents of each child
+// DELETE /api/unions/:id -> removes the union (the two stay spouses if they have another one)
+import { json, readJson, pathParams } from '../_lib/http.js';
+import { authorize } from '../_lib/auth.js';
+import { removeUnion } from '../_lib/family.js';
+import { changePeople, requireUnion, updateUnion } from '../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function PATCH(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') return json({ ok: false, error: 'Invalid JSON' }, 400);
+
+  return changePeople(d => {
+    const { id } = pathParams(req, '/api/unions/:id');
+    updateUnion(d, id, body);
+    return { id };
+  });
+}
+
+export async function DELETE(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  return changePeople(d => {
+    const { id } = pathParams(req, '/api/unions/:id');
+    requireUnion(d, id);
+    removeUnion(d, id);
+    return { id };
+  });
+}
@@ -0,0 +1,47 @@
+// api/unions/index.js
+// GET  /api/unions -> { unions }
+// POST /api/unions { partners: [a, b], startDate?, startPlace?, endDate?, endReason?, children? }
+//      -> adds a union (marriage or partnership), even if the two already have one
+import { json, readJson, HttpError } from '../_lib/http.js';
+import { authorize } from '../_lib/auth.js';
+import { pickUnionFields, addUnion, setUnionChildren } from '../_lib/family.js';
+import { readFamily, changePeople, requirePerson, errorResponse } from '../_lib/people.js';
+
+export const runtime = 'edge';
+
+export async function GET(req) {
+  const { response } = await authorize(req, 'viewer');
+  if (response) return response;
+
+  try {
+    const { data, revision } = await readFamily();
+    return json({ ok: true, unions: data.unions }, 200, { 'X-Revision': revision });
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
+
+export async function POST(req) {
+  const { response } = await authorize(req, 'editor');
+  if (response) return response;
+
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') return json({ ok: false, error: 'Invalid JSON' }, 400);
+  if (!Array.isArray(body.partners) || body.partners.length !== 2) {
+    return json({ ok: false, error: 'A union needs two partners' }, 400);
+  }
+
+  return changePeople(d => {
+    const [aId, bId] = body.partners;
+    requirePerson(d, aId, 'Partner');
+    requirePerson(d, bId, 'Partner');
+    if (aId === bId) throw new HttpError(400, 'A person cannot be their own spouse');
+
+    const union = addUnion(d, aId, bId, pickUnionFields(body));
+    if (Array.isArray(body.children)) {
+      body.children.forEach(cid => requirePerson(d, cid, 'Child'));
+      setUnionChildren(d, union, body.children);
+    }
+    return { id: union.id };
+  });
+}
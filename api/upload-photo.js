@@ -1,47 +1,76 @@
 // api/upload-photo.js
-import { put } from '@vercel/blob';
+// POST { dataURL, medium?, thumb? } -> { url, photo, photoMedium, photoThumb }
+// `dataURL` is the original; `medium` and `thumb` are the browser's downscaled copies.
+// Every version is checked by its bytes and stored without metadata. Without the copies,
+// all three URLs point at the original.
+import { getStorage } from './_lib/storage/index.js';
+import { authorize } from './_lib/auth.js';
+import { HttpError } from './_lib/http.js';
+import { prepareImage, base64Length, MAX_PHOTO_BYTES, IMAGE_EXTENSIONS } from './_lib/images.js';
 
 export const runtime = 'edge';
 
-async function authorizeAdmin(request) {
-  const adminKey = request.headers.get('X-Admin-Key');
-  const expectedAdminKey = process.env.ADMIN_KEY;
-
-  if (!expectedAdminKey) {
-    console.warn('ADMIN_KEY environment variable is not set. Admin features are unsecured.');
-    return true;
-  }
-  return adminKey === expectedAdminKey;
-}
+const MEDIUM_MAX_SIDE = 1280;
+const THUMB_MAX_SIDE = 256;
+// The copies are JPEGs of at most those sides, far below these sizes
+const MEDIUM_MAX_BYTES = Math.min(MAX_PHOTO_BYTES, 2 * 1024 * 1024);
+const THUMB_MAX_BYTES = Math.min(MAX_PHOTO_BYTES, 256 * 1024);
+// The three versions base64-encoded, plus room for the JSON keys and data: prefixes
+const MAX_BODY_LENGTH = base64Length(MAX_PHOTO_BYTES) + base64Length(MEDIUM_MAX_BYTES) + base64Length(THUMB_MAX_BYTES) + 1024;
 
 export async function POST(request) {
-  if (!(await authorizeAdmin(request))) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: { 'Content-Type': 'application/json' } });
-  }
+  const { response } = await authorize(request, 'editor');
+  if (response) return response;
 
   try {
-    const { dataURL } = await request.json();
-    if (!dataURL || !dataURL.startsWith('data:image/')) {
-      return new Response(JSON.stringify({ error: 'Invalid image data' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    // Original plus two smaller copies, base64-encoded
+    const declaredLength = parseInt(request.headers.get('content-length') || '', 10);
+    if (declaredLength > MAX_BODY_LENGTH) {
+      throw new HttpError(413, `Photos can be at most ${Math.round(MAX_PHOTO_BYTES / 1024 / 1024)} MB`);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw new HttpError(400, 'Invalid JSON');
     }
+    const { dataURL, medium, thumb } = body || {};
+    if (!dataURL) throw new HttpError(400, 'Invalid image data');
 
-    // Extract base64 part and content type
-    const parts = dataURL.split(';');
-    const contentType = parts[0].split(':')[1];
-    const base64Data = parts[1].split(',')[1];
-    const buffer = Buffer.from(base64Data, 'base64');
+    const versions = { photo: prepareImage(dataURL) };
+    if (medium) {
+      versions.photoMedium = prepareImage(medium, { label: 'Medium version', maxSide: MEDIUM_MAX_SIDE, maxBytes: MEDIUM_MAX_BYTES });
+    }
+    if (thumb) {
+      versions.photoThumb = prepareImage(thumb, { label: 'Thumbnail', maxSide: THUMB_MAX_SIDE, maxBytes: THUMB_MAX_BYTES });
+    }
 
-    // Generate a unique filename (e.g., using a timestamp or UUID)
-    const filename = `photos/${Date.now()}-${Math.random().toString(36).substring(2, 8)}.${contentType.split('/')[1]}`;
+    // Generate a unique base name; the versions share it with a suffix
+    const base = `photos/${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const suffixes = { photo: '', photoMedium: '-medium', photoThumb: '-thumb' };
 
-    const blob = await put(filename, buffer, {
-      access: 'public', // Photos usually need to be public
-      contentType: contentType,
-    });
+    const storage = await getStorage();
+    const urls = {};
+    for (const [field, image] of Object.entries(versions)) {
+      const stored = await storage.put(`${base}${suffixes[field]}.${IMAGE_EXTENSIONS[image.type]}`, image.bytes, {
+        contentType: image.type,
+      });
+      urls[field] = stored.url;
+    }
 
-    return new Response(JSON.stringify({ url: blob.url }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    const result = {
+      url: urls.photo,
+      photo: urls.photo,
+      photoMedium: urls.photoMedium || urls.photo,
+      photoThumb: urls.photoThumb || urls.photoMedium || urls.photo,
+    };
+    return new Response(JSON.stringify(result), { status: 200, headers: { 'Content-Type': 'application/json' } });
   } catch (error) {
-    console.error("Error uploading photo to Blob:", error);
+    if (error instanceof HttpError) {
+      return new Response(JSON.stringify({ error: error.message }), { status: error.status, headers: { 'Content-Type': 'application/json' } });
+    }
+    console.error("Error uploading photo to storage:", error);
     return new Response(JSON.stringify({ error: 'Failed to upload photo' }), { status: 500, headers: { 'Content-Type': 'application/json' } });
   }
 }
@@ -0,0 +1,113 @@
+// api/users.js (owners only)
+// GET                                   -> { users: [{ username, role, createdAt }] }
+// POST   { username, password, role }   -> creates an account
+// PATCH  { username, role?, password? } -> changes the role and/or resets the password
+// DELETE ?username=<name>               -> removes an account
+import { authorize, readUsers, updateUsers, hashPassword, publicUser, ROLES, BOOTSTRAP_USER } from './_lib/auth.js';
+import { json, readJson, HttpError } from './_lib/http.js';
+
+export const runtime = 'edge';
+
+const USERNAME = /^[a-z0-9._-]{2,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function listResponse(users) {
+  const sorted = Object.values(users).map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+  return json({ ok: true, users: sorted });
+}
+
+function errorResponse(e) {
+  if (e instanceof HttpError) return json({ ok: false, error: e.message }, e.status);
+  console.error('Users error:', e);
+  return json({ ok: false, error: e?.message || 'Server error' }, 500);
+}
+
+function checkPassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`;
+}
+
+export async function GET(req) {
+  const { response } = await authorize(req, 'owner');
+  if (response) return response;
+  try {
+    return listResponse(await readUsers());
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
+
+export async function POST(req) {
+  const { response } = await authorize(req, 'owner');
+  if (response) return response;
+
+  const body = (await readJson(req)) || {};
+  const username = String(body.username || '').trim().toLowerCase();
+  if (!USERNAME.test(username) || username === BOOTSTRAP_USER) {
+    return json({ ok: false, error: 'Usernames are 2–32 lowercase letters, digits, ".", "_" or "-" (and not "admin")' }, 400);
+  }
+  if (!ROLES.includes(body.role)) return json({ ok: false, error: `Role must be one of: ${ROLES.join(', ')}` }, 400);
+  const passwordError = checkPassword(body.password);
+  if (passwordError) return json({ ok: false, error: passwordError }, 400);
+
+  try {
+    const passwordHash = await hashPassword(body.password);
+    const users = await updateUsers(current => {
+      if (current[username]) throw new HttpError(409, 'That username is taken');
+      current[username] = { username, role: body.role, passwordHash, createdAt: new Date().toISOString() };
+    });
+    return listResponse(users);
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
+
+export async function PATCH(req) {
+  const { user, response } = await authorize(req, 'owner');
+  if (response) return response;
+
+  const body = (await readJson(req)) || {};
+  const username = String(body.username || '').trim().toLowerCase();
+  if (body.role !== undefined && !ROLES.includes(body.role)) {
+    return json({ ok: false, error: `Role must be one of: ${ROLES.join(', ')}` }, 400);
+  }
+  if (body.password !== undefined) {
+    const passwordError = checkPassword(body.password);
+    if (passwordError) return json({ ok: false, error: passwordError }, 400);
+  }
+  if (username === user.username && body.role && body.role !== 'owner') {
+    return json({ ok: false, error: 'You cannot remove your own owner role' }, 400);
+  }
+
+  try {
+    const passwordHash = body.password !== undefined ? await hashPassword(body.password) : undefined;
+    const users = await updateUsers(current => {
+      const account = current[username];
+      if (!account) throw new HttpError(404, 'No such user');
+      if (body.role !== undefined) account.role = body.role;
+      if (passwordHash !== undefined) account.passwordHash = passwordHash;
+    });
+    return listResponse(users);
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
+
+export async function DELETE(req) {
+  const { user, response } = await authorize(req, 'owner');
+  if (response) return response;
+
+  const username = String(new URL(req.url).searchParams.get('username') || '').trim().toLowerCase();
+  if (username === user.username) return json({ ok: false, error: 'You cannot delete your own account' }, 400);
+
+  try {
+    const users = await updateUsers(current => {
+      if (!current[username]) throw new HttpError(404, 'No such user');
+      delete current[username];
+    });
+    return listResponse(users);
+  } catch (e) {
+    return errorResponse(e);
+  }
+}
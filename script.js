@@ -1,15 +1,48 @@
 // Data structure:
-// data = { people: { id: { id, name, birthYear, deathYear, bio, gender, marriedCity, parents[], spouses[], children[], photo, deceased } } }
+// data = { people: { id: { id, name, birthDate, birthYear, deathDate, deathYear, bio, gender, marriedCity, parents[], parentTypes, spouses[], children[], photo, deceased } },
+//          unions: { id: { id, partners: [a, b], startDate, startPlace, endDate, endReason, children[] } } }
 
 let data = { people: {} };
-let isAdmin = false;
-let _pendingPhotoDataURL = null;
+let dataRevision = null; // Revision token of the cloud copy `data` is based on (null if it failed to load)
+let baseData = { people: {} }; // Copy of the data as last loaded/saved: the common ancestor for merges
+let isAdmin = false; // True for editors and owners: anyone who may change people
+let currentUser = null; // { username, role } of the signed-in account
+let viewLoginRequired = false; // The server only shows the tree to signed-in users
+let _editingPerson = null; // Working copy in the edit modal; a new person keeps their links here until saved
+let _pendingGedcomImport = null; // Parsed GEDCOM waiting for the admin to confirm
 let currentFileHandle = null; // For local file system access
 let activeTab = 'tree'; // To manage which section is visible
 
 // --- API Endpoints ---
 const API_BASE_URL = '/api';
 
+// --- Accounts & Roles ---
+const ROLES = ['viewer', 'editor', 'owner'];
+
+function hasRole(role) {
+  return !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+function authHeaders() {
+  const token = localStorage.getItem('sessionToken');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+function setCurrentUser(user) {
+  currentUser = user || null;
+  isAdmin = hasRole('editor');
+}
+
+// Session tokens expire on the server. A 401 on a signed-in request means ours did:
+// sign out locally so the buttons match, and stop the caller with a readable error.
+function checkSession(response) {
+  if (response.status !== 401 || !currentUser) return;
+  localStorage.removeItem('sessionToken');
+  setCurrentUser(null);
+  renderAdminButtons();
+  throw new Error("Your session has expired. Please log in again.");
+}
+
 // --- Utility ---
 
 function exists(id, d = data) {
@@ -20,6 +53,22 @@ function escapeHtml(s) {
   return String(s ?? '').replace(/[&<>"']/g, m => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[m]));
 }
 
+// A value as a JS string literal inside an inline handler attribute: onclick="openPerson(${jsArg(id)})"
+function jsArg(value) {
+  return escapeHtml(JSON.stringify(String(value)));
+}
+
+// Saves a file the page made, through a temporary download link
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
 function getInitials(name) {
   if (!name) return "?";
   const parts = name.trim().split(/\s+/);
@@ -27,6 +76,58 @@ function getInitials(name) {
   return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
 }
 
+// --- Genealogical Dates ---
+// birthDate/deathDate hold dates as people write them: "12 Mar 1911", "Mar 1911", "c. 1850",
+// "before 1790", "after 1790", "between 1820 and 1825". birthYear/deathYear keep a plain year
+// alongside for older data. Parsing, formatting and date bounds come from shared/dates.js, which the
+// server uses too; index.html loads it as a module and puts its exports on window before the page is ready.
+const DATE_EXAMPLES = 'e.g., 12 Mar 1911, Mar 1911, 1911, c. 1850, before 1790, between 1820 and 1825';
+
+// Years only, for the small tree cards: "1911", "c. 1850", "bef. 1790", "1820/1825"
+function shortDateText(date) {
+  if (!date) return '';
+  const year = date.start.year;
+  switch (date.qualifier) {
+    case 'about': return `c. ${year}`;
+    case 'before': return `bef. ${year}`;
+    case 'after': return `aft. ${year}`;
+    case 'between': return year === date.end.year ? String(year) : `${year}/${date.end.year}`;
+    default: return String(year);
+  }
+}
+
+// Orders people by birth; people without a birth date go last and keep their order
+function compareByBirth(a, b) {
+  const ka = dateSortKey(personDate(a, 'birth'));
+  const kb = dateSortKey(personDate(b, 'birth'));
+  return ka === kb ? 0 : (ka < kb ? -1 : 1);
+}
+
+// "12 Mar 1911 – c. 1980"; with `short`, years only as on the tree cards. Empty when nothing is known.
+function lifeSpanText(p, { short = false } = {}) {
+  const text = short ? shortDateText : formatGenealogicalDate;
+  const birth = text(personDate(p, 'birth'));
+  const death = p.deceased ? text(personDate(p, 'death')) : '';
+  if (short) {
+    if (birth && death) return `${birth}–${death}`;
+    if (birth) return `b. ${birth}`;
+    return death ? `d. ${death}` : '';
+  }
+  if (!birth && !death) return '';
+  return `${birth || '?'} – ${p.deceased ? (death || '?') : 'Present'}`;
+}
+
+// --- Parent Link Types ---
+// person.parentTypes = { parentId: 'adoptive' | 'step' | 'foster' }; parents not listed are biological.
+// PARENT_TYPES and normalizeParentTypes() come from shared/family.js.
+// How the parent is shown next to the child, and the child next to the parent
+const PARENT_TYPE_LABELS = { biological: 'biological', adoptive: 'adoptive', step: 'step-parent', foster: 'foster' };
+const CHILD_TYPE_LABELS = { biological: 'biological', adoptive: 'adopted', step: 'stepchild', foster: 'foster' };
+
+function parentType(child, parentId) {
+  return (child && child.parentTypes && child.parentTypes[parentId]) || 'biological';
+}
+
 // --- Normalization ---
 
 function normalizeData(d) {
@@ -35,6 +136,7 @@ function normalizeData(d) {
     p.children = []; // Reset children, will be rebuilt
     p.parents = Array.from(new Set(p.parents || [])).filter(id => exists(id, d));
     p.spouses = Array.from(new Set(p.spouses || [])).filter(id => exists(id, d));
+    normalizeParentTypes(p);
   });
 
   // Build children array from parents
@@ -55,24 +157,57 @@ function normalizeData(d) {
     p.children = Array.from(new Set(p.children || [])).filter(id => exists(id, d));
   });
 
-  // Ensure spouses relationship is reciprocal
-  Object.values(d.people).forEach(p => {
-    (p.spouses || []).forEach(sid => {
-      if (!exists(sid, d)) return;
-      const sp = d.people[sid];
-      sp.spouses = sp.spouses || [];
-      if (!sp.spouses.includes(p.id)) sp.spouses.push(p.id);
-    });
-  });
+  normalizeUnions(d); // Unions and spouses, from shared/family.js
+}
+
+function unionsBetween(aId, bId, d = data) {
+  return Object.values(d.unions || {}).filter(u => u.partners.includes(aId) && u.partners.includes(bId));
+}
+
+// A person's unions, oldest first (undated ones keep their order at the end)
+function unionsOf(personId, d = data) {
+  const startKey = u => dateSortKey(parseGenealogicalDate(u.startDate));
+  return Object.values(d.unions || {}).filter(u => u.partners.includes(personId))
+    .sort((a, b) => { const ka = startKey(a), kb = startKey(b); return ka === kb ? 0 : (ka < kb ? -1 : 1); });
+}
+
+function unionPartner(union, personId) {
+  return union.partners[0] === personId ? union.partners[1] : union.partners[0];
+}
+
+const UNION_END_REASONS = { '': 'Ended', divorce: 'Divorced', widowed: 'Widowed', annulment: 'Annulled', separation: 'Separated' };
+
+// Ended by divorce, annulment or separation rather than by a death
+function unionDissolved(union) {
+  return ['divorce', 'annulment', 'separation'].includes(union.endReason);
+}
+
+// Every marriage between the two ended in divorce, annulment or separation
+function isFormerSpouse(aId, bId, d = data) {
+  const unions = unionsBetween(aId, bId, d);
+  return unions.length > 0 && unions.every(unionDissolved);
+}
+
+// "Married 12 Mar 1911 in Boston · Divorced 1920"
+function unionFactsText(union) {
+  const facts = [];
+  if (union.startDate || union.startPlace) {
+    facts.push(['Married', union.startDate, union.startPlace && `in ${union.startPlace}`].filter(Boolean).join(' '));
+  }
+  if (union.endDate || union.endReason) {
+    facts.push([UNION_END_REASONS[union.endReason] || 'Ended', union.endDate].filter(Boolean).join(' '));
+  }
+  return facts.join(' · ');
 }
 
 // --- Storage (now using API) ---
 
 async function loadData() {
   try {
-    const response = await fetch(`${API_BASE_URL}/load`);
+    const response = await fetch(`${API_BASE_URL}/load`, { headers: authHeaders() });
+    viewLoginRequired = response.status === 401;
     if (!response.ok) {
-      if (response.status === 404) {
+      if (response.status === 404 || response.status === 401) {
         console.warn("No remote data found, starting with empty tree.");
         data = { people: {} };
       } else {
@@ -82,11 +217,14 @@ async function loadData() {
       const remoteData = await response.json();
       data = remoteData;
       normalizeData(data);
+      dataRevision = response.headers.get('X-Revision');
+      baseData = structuredClone(data);
     }
   } catch (e) {
     console.error("Error loading data from API:", e);
     alert("Failed to load family tree data from server. Please check your connection or try again later.");
     data = { people: {} }; // Fallback to empty data on error
+    dataRevision = null;
   } finally {
     renderTree();
     fillSelects();
@@ -94,29 +232,48 @@ async function loadData() {
   }
 }
 
+// Returns true once the data is stored. A conflicting save opens the merge dialog and returns false.
 async function saveData() {
-  if (!isAdmin) {
-    alert("You must be logged in as an administrator to save changes.");
-    return;
+  if (!hasRole('owner')) {
+    alert("Saving the whole tree at once needs an owner account.");
+    return false;
   }
   try {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+    };
+    if (dataRevision !== null) headers['If-Match'] = dataRevision;
+
     const response = await fetch(`${API_BASE_URL}/save`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Admin-Key': localStorage.getItem('adminKey') || '',
-      },
+      headers,
       body: JSON.stringify(data),
     });
+    checkSession(response);
 
+    if (response.status === 409) {
+      const conflict = await response.json();
+      openMerge(conflict.current, conflict.revision);
+      return false;
+    }
     if (!response.ok) {
       const errorData = await response.json();
+      if (errorData.validation) {
+        showValidationErrors(errorData.validation);
+        return false;
+      }
       throw new Error(`Failed to save data: ${errorData.error || response.statusText}`);
     }
+    const result = await response.json();
+    dataRevision = result.revision;
+    baseData = structuredClone(data);
     console.log("Data saved remotely.");
+    return true;
   } catch (e) {
     console.error("Error saving data to API:", e);
     alert("Failed to save family tree data to server. " + e.message);
+    return false;
   } finally {
     renderTree();
     fillSelects();
@@ -124,276 +281,1686 @@ async function saveData() {
   }
 }
 
-// --- Tree rendering ---
+// --- Validation Errors ---
 
-function renderTree() {
-  const container = document.getElementById("treeContainer");
-  if (!container) return;
+// Lists what the server rejected, grouped per person, with a shortcut into the edit form
+function showValidationErrors(validation) {
+  const modal = document.getElementById('validationModal');
+  const body = document.getElementById('validationBody');
+  if (!modal || !body) return;
 
-  container.innerHTML = "";
+  let html = '<p>The server refused to save because some records are invalid. Nothing was changed.</p>';
+  if (validation.general && validation.general.length) {
+    html += `<ul>${validation.general.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>`;
+  }
+  (validation.people || []).forEach(entry => {
+    const canEdit = exists(entry.id);
+    html += `<div class="validation-person">
+      <div class="validation-name">
+        ${escapeHtml(entry.name || '(Unnamed)')} <small>(${escapeHtml(entry.id)})</small>
+        ${canEdit ? `<button class="btn secondary" type="button" onclick="closeValidationErrors(); openEdit(${jsArg(entry.id)})">Edit</button>` : ''}
+      </div>
+      <ul>${entry.errors.map(err => `<li>${err.field ? `<code>${escapeHtml(err.field)}</code> ` : ''}${escapeHtml(err.message)}</li>`).join('')}</ul>
+    </div>`;
+  });
+  (validation.unions || []).forEach(entry => {
+    html += `<div class="validation-person">
+      <div class="validation-name">Marriage of ${escapeHtml(entry.name || '(unknown partners)')} <small>(${escapeHtml(entry.id)})</small></div>
+      <ul>${entry.errors.map(err => `<li>${err.field ? `<code>${escapeHtml(err.field)}</code> ` : ''}${escapeHtml(err.message)}</li>`).join('')}</ul>
+    </div>`;
+  });
 
-  const people = Object.values(data.people);
-  if (!people.length) {
-    container.innerHTML = '<div class="empty-message">No people yet. Log in as admin and add your first person.</div>';
-    return;
+  body.innerHTML = html;
+  modal.setAttribute('aria-hidden', 'false');
+  modal.style.display = 'flex';
+  modal.style.alignItems = 'center';
+  modal.style.justifyContent = 'center';
+}
+
+function closeValidationErrors() {
+  const modal = document.getElementById('validationModal');
+  if (modal) {
+    modal.setAttribute('aria-hidden', 'true');
+    modal.style.display = 'none';
   }
+}
 
-  // Determine root nodes based on who has no parents and has children or spouses
-  const roots = people.filter(p => !(p.parents && p.parents.length));
+// --- Conflict Merge ---
 
-  // Build a set of IDs that have already been rendered as part of another person's node (e.g., female spouses)
-  const renderedIDs = new Set();
+let _pendingMerge = null; // { merged, mergedUnions, conflicts, theirs, revision } while the merge dialog is open
 
-  // Iterate over roots, prioritizing males for main branches, then females
-  const sortedRoots = roots.sort((a, b) => {
-    if (a.gender === 'male' && b.gender !== 'male') return -1;
-    if (a.gender !== 'male' && b.gender === 'male') return 1;
-    return 0;
-  });
+// Key order differs between code paths, so compare values with sorted keys
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? '');
+}
 
-  sortedRoots.forEach(r => {
-    if (renderedIDs.has(r.id)) return; // Skip if already rendered as a spouse
+function sameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
 
-    // If a male root, render him and his spouse(s) below him
-    if (r.gender === 'male') {
-      container.appendChild(buildNode(r, renderedIDs));
-    } else {
-      // If a female root and not a spouse of a male root, render her as a normal root
-      const isSpouseOfRootMale = r.spouses.some(sId => exists(sId) && !data.people[sId].parents.length && data.people[sId].gender === 'male');
-      if (!isSpouseOfRootMale) {
-        container.appendChild(buildNode(r, renderedIDs));
-      }
+// Link lists merge as sets: keep what either side added, drop what either side removed
+function mergeIdLists(base = [], mine = [], theirs = []) {
+  const removed = new Set([...base.filter(id => !mine.includes(id)), ...base.filter(id => !theirs.includes(id))]);
+  return Array.from(new Set([...base, ...mine, ...theirs])).filter(id => !removed.has(id));
+}
+
+const MERGE_SET_FIELDS = ['parents', 'spouses'];
+const MERGE_IGNORED_FIELDS = ['children']; // Rebuilt by normalizeData
+const UNION_MERGE_FIELDS = { setFields: ['children'], ignoredFields: [] };
+
+// Three-way merge of one record collection (e.g. data.people) keyed by ID.
+// Returns the merged records and the conflicts that need a human decision.
+function threeWayMergeRecords(base = {}, mine = {}, theirs = {}, { setFields = MERGE_SET_FIELDS, ignoredFields = MERGE_IGNORED_FIELDS } = {}) {
+  const merged = {};
+  const conflicts = [];
+  const changes = { mine: [], theirs: [] };
+  const ids = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+
+  ids.forEach(id => {
+    const b = base[id];
+    const m = mine[id];
+    const t = theirs[id];
+    const mineChanged = !sameValue(b, m);
+    const theirsChanged = !sameValue(b, t);
+
+    if (!mineChanged || !theirsChanged || sameValue(m, t)) {
+      if (mineChanged) changes.mine.push(id);
+      else if (theirsChanged) changes.theirs.push(id);
+      const winner = mineChanged ? m : t;
+      if (winner) merged[id] = structuredClone(winner);
+      return;
+    }
+
+    changes.mine.push(id);
+    changes.theirs.push(id);
+
+    // Deleted on one side, edited on the other
+    if (!m || !t) {
+      conflicts.push({ id, field: null, mine: m || null, theirs: t || null });
+      merged[id] = structuredClone(m || t);
+      return;
     }
+
+    const record = {};
+    const fields = new Set([...Object.keys(b || {}), ...Object.keys(m), ...Object.keys(t)]);
+    fields.forEach(field => {
+      if (ignoredFields.includes(field)) return;
+      const bv = b ? b[field] : undefined;
+      if (setFields.includes(field)) {
+        record[field] = mergeIdLists(bv, m[field], t[field]);
+      } else if (sameValue(bv, t[field]) || sameValue(m[field], t[field])) {
+        record[field] = structuredClone(m[field]);
+      } else if (sameValue(bv, m[field])) {
+        record[field] = structuredClone(t[field]);
+      } else {
+        conflicts.push({ id, field, mine: m[field], theirs: t[field] });
+        record[field] = structuredClone(m[field]);
+      }
+    });
+    merged[id] = record;
   });
 
-  // Handle people who are not roots, but also not children of any rendered person
-  // This is a fallback for disconnected graphs, could be orphans or other misconfigurations
-  const allRenderedIDs = new Set();
-  const getChildrenRecursive = (personId) => {
-    if (allRenderedIDs.has(personId)) return;
-    allRenderedIDs.add(personId);
-    data.people[personId]?.spouses.forEach(spouseId => allRenderedIDs.add(spouseId)); // Also mark spouses as rendered
-    data.people[personId]?.children.forEach(childId => getChildrenRecursive(childId));
-  };
+  return { merged, conflicts, changes };
+}
 
-  sortedRoots.forEach(r => getChildrenRecursive(r.id));
-
-  // Add any remaining unrendered people as simple cards at the end (as a fallback)
-  const unrenderedPeople = people.filter(p => !allRenderedIDs.has(p.id));
-  if (unrenderedPeople.length > 0) {
-    const disconnectedWrapper = document.createElement("div");
-    disconnectedWrapper.className = "node disconnected-group";
-    disconnectedWrapper.innerHTML = '<h3>Disconnected individuals:</h3>';
-    unrenderedPeople.forEach(p => {
-      const card = document.createElement("div");
-      card.className = `person ${p.gender || ''}`;
-      card.onclick = () => openPerson(p.id);
-      card.innerHTML = `
-        <div class="avatar initials">${getInitials(p.name)}</div>
-        <div class="name">${escapeHtml(p.name)}</div>
-      `;
-      disconnectedWrapper.appendChild(card);
+function openMerge(theirs, revision) {
+  const modal = document.getElementById('mergeModal');
+  const body = document.getElementById('mergeBody');
+  if (!modal || !body) return;
+
+  normalizeData(theirs);
+  const people = threeWayMergeRecords(baseData.people, data.people, theirs.people);
+  const unions = threeWayMergeRecords(baseData.unions, data.unions, theirs.unions, UNION_MERGE_FIELDS);
+  const conflicts = [...people.conflicts, ...unions.conflicts.map(c => ({ ...c, union: true }))];
+  _pendingMerge = { merged: people.merged, mergedUnions: unions.merged, conflicts, theirs, revision };
+
+  const personName = id => escapeHtml((data.people[id] || theirs.people[id] || baseData.people[id] || {}).name || '(Unnamed)');
+  const unionName = id => {
+    const union = (data.unions || {})[id] || (theirs.unions || {})[id] || (baseData.unions || {})[id];
+    return `${union ? union.partners.map(personName).join(' &amp; ') : escapeHtml(id)} (marriage)`;
+  };
+  // Names of the records changed on one side, or with `side` 'both', on both sides
+  const changedNames = side => [[people.changes, personName], [unions.changes, unionName]].flatMap(([changes, name]) =>
+    (side === 'both' ? changes.mine.filter(id => changes.theirs.includes(id)) : changes[side]).map(name));
+  const nameOf = c => (c.union ? unionName(c.id) : personName(c.id));
+  const showValue = value => {
+    if (value === undefined || value === null || value === '') return '<i>empty</i>';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  };
+  const changeLine = (label, names) => `<li>${label}: <b>${names.length}</b>${names.length ? ` (${names.join(', ')})` : ''}</li>`;
+
+  let html = `<p>Someone else saved the tree while you were editing. Their changes and yours have been combined where they don't overlap.</p>
+    <ul>
+      ${changeLine('Changed by you', changedNames('mine'))}
+      ${changeLine('Changed by them', changedNames('theirs'))}
+      ${changeLine('Changed on both sides', changedNames('both'))}
+    </ul>`;
+
+  if (conflicts.length) {
+    html += '<h4>Choose which version to keep</h4>';
+    conflicts.forEach((c, index) => {
+      const record = c.union ? 'marriage' : 'person';
+      const label = c.field
+        ? `${nameOf(c)} — ${escapeHtml(c.field)}`
+        : `${nameOf(c)} — ${c.mine ? 'you edited, they deleted' : 'you deleted, they edited'}`;
+      const mineText = c.field ? showValue(c.mine) : (c.mine ? `Keep ${record}` : `Delete ${record}`);
+      const theirsText = c.field ? showValue(c.theirs) : (c.theirs ? `Keep ${record}` : `Delete ${record}`);
+      html += `<div class="merge-conflict">
+        <div class="merge-label">${label}</div>
+        <label><input type="radio" name="mergeChoice${index}" value="mine" checked /> Mine: ${mineText}</label>
+        <label><input type="radio" name="mergeChoice${index}" value="theirs" /> Theirs: ${theirsText}</label>
+      </div>`;
     });
-    container.appendChild(disconnectedWrapper);
+  } else {
+    html += '<p>No overlapping edits — the combined version can be saved as is.</p>';
   }
+
+  html += `<div class="row" style="justify-content:flex-end; margin-top:1rem;">
+    <button class="btn secondary" type="button" onclick="discardMyChanges()">Discard my changes</button>
+    <button class="btn" type="button" onclick="applyMerge()">Save combined version</button>
+  </div>`;
+
+  body.innerHTML = html;
+  modal.setAttribute('aria-hidden', 'false');
+  modal.style.display = 'flex';
+  modal.style.alignItems = 'center';
+  modal.style.justifyContent = 'center';
 }
 
+function closeMerge() {
+  const modal = document.getElementById('mergeModal');
+  if (modal) {
+    modal.setAttribute('aria-hidden', 'true');
+    modal.style.display = 'none';
+  }
+  _pendingMerge = null;
+}
 
-function buildNode(person, renderedIDs = new Set()) {
-  renderedIDs.add(person.id); // Mark this person as rendered
+async function applyMerge() {
+  if (!_pendingMerge) return;
+  const { merged, mergedUnions, conflicts, theirs, revision } = _pendingMerge;
+
+  conflicts.forEach((c, index) => {
+    const choice = document.querySelector(`input[name="mergeChoice${index}"]:checked`);
+    if (!choice || choice.value !== 'theirs') return;
+    const records = c.union ? mergedUnions : merged;
+    if (!c.field) {
+      if (c.theirs) records[c.id] = structuredClone(c.theirs);
+      else delete records[c.id];
+    } else if (records[c.id]) {
+      records[c.id][c.field] = structuredClone(c.theirs);
+    }
+  });
 
-  const wrapper = document.createElement("div");
-  wrapper.className = "node";
+  data = { ...theirs, people: merged, unions: mergedUnions };
+  normalizeData(data);
+  baseData = structuredClone(theirs);
+  dataRevision = revision;
+  closeMerge();
+  if (await saveData()) alert("Combined version saved!");
+}
 
-  const card = document.createElement("div");
-  card.className = `person ${person.gender || ''}`;
-  card.onclick = () => openPerson(person.id);
+function discardMyChanges() {
+  if (!_pendingMerge) return;
+  if (!confirm("Throw away your unsaved changes and use the version saved by the other person?")) return;
+  data = _pendingMerge.theirs;
+  normalizeData(data);
+  baseData = structuredClone(data);
+  dataRevision = _pendingMerge.revision;
+  closeMerge();
+  renderTree();
+  fillSelects();
+  renderNamesList();
+}
 
-  const genderChip = document.createElement('div');
-  genderChip.className = 'gender-chip';
-  genderChip.textContent = person.gender ? person.gender[0].toUpperCase() : '';
-  card.appendChild(genderChip);
+// --- Tree Layout ---
+// Lays the family out in rows, one per generation. Partners stand side by side (someone with several
+// partners between them), each family's children sit under the union they came from, and everyone
+// is placed exactly once: a second family or an extra parent gets a line, never a copy of the card.
+// layoutFamilyTree() returns plain coordinates; renderTree() draws them as SVG.
+const TREE_CARD_WIDTH = 200;
+const TREE_CARD_HEIGHT = 72;
+const TREE_PARTNER_GAP = 28; // Room for the marriage line and the line down to the children
+const TREE_SIBLING_GAP = 24;
+const TREE_FAMILY_GAP = 56;
+const TREE_ROW_GAP = 96;
+const TREE_COMPONENT_GAP = 120; // Between parts of the tree that have no link to each other
+const TREE_LANE_SPACING = 8; // Sibling lines of different families in one gap are offset by this much
+
+// Groups of people linked by any parent, child or spouse link; largest first, loners last
+function treeComponents(d) {
+  const seen = new Set();
+  const components = [];
+  Object.keys(d.people).forEach(start => {
+    if (seen.has(start)) return;
+    const ids = [];
+    const stack = [start];
+    seen.add(start);
+    while (stack.length) {
+      const id = stack.pop();
+      ids.push(id);
+      const p = d.people[id];
+      [...p.parents, ...p.children, ...p.spouses].forEach(other => {
+        if (seen.has(other) || !exists(other, d)) return;
+        seen.add(other);
+        stack.push(other);
+      });
+    }
+    components.push(ids);
+  });
+  return components.sort((a, b) => b.length - a.length);
+}
 
-  const avatar = document.createElement("div");
-  if (person.photo) {
-    const img = document.createElement('img');
-    img.src = person.photo;
-    img.alt = person.name;
-    img.className = "avatar";
-    avatar.appendChild(img);
-  } else {
-    avatar.className = "avatar initials";
-    avatar.textContent = getInitials(person.name);
+// Generation (row) of each person: below all their parents and level with their partners.
+// People who married into the family move down next to their partner instead of staying on row 0.
+function treeGenerations(ids, d) {
+  const gen = new Map(ids.map(id => [id, 0]));
+  const raise = (id, g) => {
+    if (g <= gen.get(id)) return false;
+    gen.set(id, g);
+    return true;
+  };
+  // Every rule only moves people down, so this settles; the round limit stops loops in bad data
+  for (let round = 0; round <= ids.length; round++) {
+    let changed = false;
+    ids.forEach(id => {
+      const p = d.people[id];
+      p.parents.forEach(pid => { changed = raise(id, gen.get(pid) + 1) || changed; });
+      p.spouses.forEach(sid => { changed = raise(id, gen.get(sid)) || changed; });
+      if (!p.parents.length && p.children.length) {
+        changed = raise(id, Math.min(...p.children.map(cid => gen.get(cid))) - 1) || changed;
+      }
+    });
+    if (!changed) break;
   }
+  const top = Math.min(...gen.values());
+  gen.forEach((g, id) => gen.set(id, g - top));
+  return gen;
+}
 
-  const info = document.createElement("div");
-  info.className = "info";
+// Each child hangs from one family: the union that lists them, else a union of two of their parents,
+// else the parents they share without a union, else their only parent. Any other parent is an extra link.
+function treeFamilies(ids, d, unionsByPerson) {
+  const families = new Map();
+  const familyFor = (key, parents, union) => {
+    if (!families.has(key)) families.set(key, { key, parents, union, children: [] });
+    return families.get(key);
+  };
+  const extraLinks = [];
+
+  ids.forEach(id => unionsByPerson.get(id).forEach(u => familyFor(`u:${u.id}`, u.partners, u)));
+  ids.forEach(id => {
+    const p = d.people[id];
+    if (!p.parents.length) return;
+    const unions = p.parents.flatMap(pid => unionsByPerson.get(pid));
+    const union = unions.find(u => u.children.includes(id)) ||
+      unions.find(u => u.partners.every(pid => p.parents.includes(pid)));
+    let family;
+    if (union) {
+      family = familyFor(`u:${union.id}`, union.partners, union);
+    } else {
+      const parents = p.parents.slice(0, 2).sort();
+      family = familyFor(`p:${parents.join('|')}`, parents, null);
+    }
+    family.children.push(id);
+    p.parents.filter(pid => !family.parents.includes(pid)).forEach(pid => extraLinks.push({ parentId: pid, childId: id }));
+  });
+
+  families.forEach(family => family.children.sort((a, b) => compareByBirth(d.people[a], d.people[b])));
+  return { families: [...families.values()], extraLinks };
+}
+
+// Partners in one row, left to right: a person with several partners stands between them, the
+// earliest marriage on the left; a single couple puts the man on the left, as the old tree did
+function orderPartners(memberIds, d, unionsByPerson) {
+  if (memberIds.length === 1) return memberIds;
+  const inBlock = new Set(memberIds);
+  const partnersOf = id => Array.from(new Set(unionsByPerson.get(id).map(u => unionPartner(u, id)))).filter(pid => inBlock.has(pid));
+  const hub = memberIds.reduce((best, id) => (partnersOf(id).length > partnersOf(best).length ? id : best));
+  const hubPartners = partnersOf(hub);
+
+  if (hubPartners.length === memberIds.length - 1) {
+    if (hubPartners.length === 1) {
+      const [a, b] = [hub, hubPartners[0]];
+      return d.people[b].gender === 'male' && d.people[a].gender !== 'male' ? [b, a] : [a, b];
+    }
+    return [hubPartners[0], hub, ...hubPartners.slice(1)];
+  }
 
-  const nameEl = document.createElement("div");
-  nameEl.className = "name";
-  nameEl.textContent = person.name || "(Unnamed)";
-  if (person.deceased) nameEl.classList.add("deceased");
+  // Chains and tangles: walk from someone at an end
+  const order = [];
+  const seen = new Set();
+  const stack = [memberIds.find(id => partnersOf(id).length === 1) || memberIds[0]];
+  while (stack.length) {
+    const id = stack.pop();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    order.push(id);
+    stack.push(...partnersOf(id).reverse());
+  }
+  return order;
+}
 
-  const secondary = document.createElement("div");
-  secondary.className = "subname";
+// Least-squares positions for items that must stay in order and at least `gaps[i]` apart
+// (pool adjacent violators on the positions with the gaps taken out)
+function spreadInOrder(targets, weights, gaps) {
+  const offsets = [0];
+  gaps.forEach((gap, i) => offsets.push(offsets[i] + gap));
+  const pools = [];
+  targets.forEach((target, i) => {
+    let pool = { value: target - offsets[i], weight: weights[i], count: 1 };
+    while (pools.length && pools[pools.length - 1].value > pool.value) {
+      const previous = pools.pop();
+      const weight = previous.weight + pool.weight;
+      pool = { value: (previous.value * previous.weight + pool.value * pool.weight) / weight, weight, count: previous.count + pool.count };
+    }
+    pools.push(pool);
+  });
+  const positions = [];
+  pools.forEach(pool => {
+    for (let k = 0; k < pool.count; k++) positions.push(pool.value + offsets[positions.length]);
+  });
+  return positions;
+}
 
-  let lifeSpan = "";
-  if (person.deceased) {
-    if (person.birthYear && person.deathYear) {
-      lifeSpan = `${person.birthYear}-${person.deathYear}`;
-    } else if (person.birthYear) {
-      lifeSpan = `b. ${person.birthYear}`;
-    } else if (person.deathYear) {
-      lifeSpan = `d. ${person.deathYear}`;
+// Lays out one connected group. Coordinates start at 0,0; returns { nodes, families, extraLinks, unions, width, height }.
+function layoutComponent(ids, d, unionsByPerson) {
+  const gen = treeGenerations(ids, d);
+  const { families, extraLinks } = treeFamilies(ids, d, unionsByPerson);
+  const familyOfChild = new Map();
+  families.forEach(f => f.children.forEach(cid => familyOfChild.set(cid, f)));
+  const familiesOfParent = new Map(ids.map(id => [id, []]));
+  families.forEach(f => f.parents.forEach(pid => familiesOfParent.get(pid).push(f)));
+
+  // Visiting order that keeps families together: partners, then children, then parents
+  const seed = new Map();
+  const starts = [...ids].sort((a, b) => gen.get(a) - gen.get(b) || compareByBirth(d.people[a], d.people[b]));
+  starts.forEach(start => {
+    const stack = [start];
+    while (stack.length) {
+      const id = stack.pop();
+      if (seed.has(id)) continue;
+      seed.set(id, seed.size);
+      const p = d.people[id];
+      const next = [
+        ...unionsByPerson.get(id).map(u => unionPartner(u, id)),
+        ...familiesOfParent.get(id).flatMap(f => f.children),
+        ...p.parents,
+      ];
+      stack.push(...next.reverse());
     }
-  } else if (person.birthYear) {
-    lifeSpan = `b. ${person.birthYear}`;
-  }
-
-  if (lifeSpan) {
-    secondary.textContent = lifeSpan;
-  } else if (person.year) { // Fallback to old 'year' field if no specific birth/death years
-    secondary.textContent = String(person.year);
-  }
-
-  info.appendChild(nameEl);
-  if (secondary.textContent) info.appendChild(secondary);
-
-  // Spouses listed directly under the main person (NEW LOGIC)
-  const spousesToDisplay = (person.spouses || []).filter(sId => exists(sId) && !renderedIDs.has(sId));
-  if (spousesToDisplay.length > 0) {
-    const spouseListDiv = document.createElement('div');
-    spouseListDiv.className = 'spouse-list';
-    spousesToDisplay.forEach(sId => {
-      const spouse = data.people[sId];
-      if (spouse) {
-        const spouseNameEl = document.createElement('span');
-        spouseNameEl.className = `spouse-name ${spouse.deceased ? 'deceased' : ''}`;
-        spouseNameEl.textContent = `Married to ${spouse.name}`;
-        spouseNameEl.onclick = (e) => {
-          e.stopPropagation(); // Prevent opening the main person's profile
-          openPerson(spouse.id);
-        };
-        spouseListDiv.appendChild(spouseNameEl);
-        renderedIDs.add(spouse.id); // Mark spouse as rendered
-      }
+  });
+
+  // Rows of blocks; a block is a run of partners in one row
+  const rowCount = Math.max(...gen.values()) + 1;
+  const rows = Array.from({ length: rowCount }, () => []);
+  const blockOf = new Map();
+  const grouped = new Set();
+  [...ids].sort((a, b) => seed.get(a) - seed.get(b)).forEach(id => {
+    if (grouped.has(id)) return;
+    const members = [];
+    const stack = [id];
+    grouped.add(id);
+    while (stack.length) {
+      const member = stack.pop();
+      members.push(member);
+      unionsByPerson.get(member).map(u => unionPartner(u, member)).forEach(pid => {
+        if (grouped.has(pid) || gen.get(pid) !== gen.get(id)) return;
+        grouped.add(pid);
+        stack.push(pid);
+      });
+    }
+    const block = { members: orderPartners(members, d, unionsByPerson), row: gen.get(id), center: 0 };
+    block.width = block.members.length * TREE_CARD_WIDTH + (block.members.length - 1) * TREE_PARTNER_GAP;
+    block.members.forEach(member => blockOf.set(member, block));
+    rows[block.row].push(block);
+  });
+
+  const memberOffset = (block, id) => block.members.indexOf(id) * (TREE_CARD_WIDTH + TREE_PARTNER_GAP) - block.width / 2 + TREE_CARD_WIDTH / 2;
+  const centerOf = id => blockOf.get(id).center + memberOffset(blockOf.get(id), id);
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const anchorOf = f => mean(f.parents.map(centerOf));
+  const childSpanCenter = f => {
+    const centers = f.children.map(centerOf);
+    return (Math.min(...centers) + Math.max(...centers)) / 2;
+  };
+  // Where a block would like its centre: under its members' parents, or over their children
+  const parentTargets = block => block.members.filter(id => familyOfChild.has(id))
+    .map(id => anchorOf(familyOfChild.get(id)) - memberOffset(block, id));
+  const childTargets = block => Array.from(new Set(block.members.flatMap(id => familiesOfParent.get(id))))
+    .filter(f => f.children.length && f.parents.every(pid => blockOf.get(pid) === block))
+    .map(f => childSpanCenter(f) - (mean(f.parents.map(pid => memberOffset(block, pid)))));
+  const gapBetween = (left, right) => {
+    const related = left.members.some(a => right.members.some(b => familyOfChild.has(a) && familyOfChild.get(a) === familyOfChild.get(b)));
+    return left.width / 2 + (related ? TREE_SIBLING_GAP : TREE_FAMILY_GAP) + right.width / 2;
+  };
+  const placeRow = (row, targetsFor) => {
+    if (!row.length) return;
+    const targets = [];
+    const weights = [];
+    row.forEach(block => {
+      const wanted = targetsFor(block);
+      targets.push(wanted.length ? mean(wanted) : block.center);
+      weights.push(wanted.length ? wanted.length : 0.01);
     });
-    info.appendChild(spouseListDiv);
+    const gaps = row.slice(1).map((block, i) => gapBetween(row[i], block));
+    spreadInOrder(targets, weights, gaps).forEach((center, i) => { row[i].center = center; });
+  };
+  // Orders a row by where its blocks would like to be; blocks with no wish keep their slot
+  const sortRow = (row, targetsFor) => {
+    const wished = row.map((block, index) => ({ block, index, targets: targetsFor(block) }));
+    const movable = wished.filter(w => w.targets.length)
+      .sort((a, b) => mean(a.targets) - mean(b.targets) || a.index - b.index);
+    let next = 0;
+    wished.forEach((w, i) => { if (w.targets.length) row[i] = movable[next++].block; });
+  };
+  const bothSides = block => [...parentTargets(block), ...childTargets(block)];
+  // Turns a block around when its members' parents agree better on where it should go (less crossing)
+  const flipBlocks = row => row.forEach(block => {
+    if (block.members.length < 2) return;
+    const disagreement = () => {
+      const wanted = parentTargets(block);
+      return wanted.length ? wanted.reduce((sum, t) => sum + Math.abs(t - mean(wanted)), 0) : 0;
+    };
+    const before = disagreement();
+    block.members.reverse();
+    if (disagreement() > before - TREE_CARD_WIDTH / 2) block.members.reverse();
+  });
+
+  rows.forEach(row => {
+    row.sort((a, b) => Math.min(...a.members.map(id => seed.get(id))) - Math.min(...b.members.map(id => seed.get(id))));
+    placeRow(row, () => []);
+  });
+  for (let sweep = 0; sweep < 4; sweep++) {
+    for (let r = 1; r < rowCount; r++) {
+      flipBlocks(rows[r]);
+      sortRow(rows[r], parentTargets);
+      placeRow(rows[r], block => (parentTargets(block).length ? parentTargets(block) : childTargets(block)));
+    }
+    for (let r = rowCount - 2; r >= 0; r--) {
+      sortRow(rows[r], childTargets);
+      placeRow(rows[r], block => (childTargets(block).length ? childTargets(block) : parentTargets(block)));
+    }
   }
+  rows.forEach(row => placeRow(row, bothSides));
+
+  const left = Math.min(...rows.flat().map(block => block.center - block.width / 2));
+  const nodes = {};
+  ids.forEach(id => {
+    nodes[id] = {
+      id,
+      x: Math.round(centerOf(id) - TREE_CARD_WIDTH / 2 - left),
+      y: gen.get(id) * (TREE_CARD_HEIGHT + TREE_ROW_GAP),
+      generation: gen.get(id),
+    };
+  });
+  const right = Math.max(...Object.values(nodes).map(n => n.x + TREE_CARD_WIDTH));
+  const unions = Array.from(new Set(ids.flatMap(id => unionsByPerson.get(id))));
+  return { nodes, families, extraLinks, unions, width: right, height: rowCount * (TREE_CARD_HEIGHT + TREE_ROW_GAP) - TREE_ROW_GAP };
+}
+
+// Connector paths for the placed people: marriages, lines down to children and extra parent links.
+// Each is { d, className, title?, personIds, parentIds?, childIds? } so later views can restyle the
+// lines of chosen people; a line down from parents also lists them in parentIds and the children it
+// reaches in childIds: all of them for a family's shared line, one for the drop to a child.
+function treeConnectors(layout, d) {
+  const { nodes } = layout;
+  const lines = [];
+  const labels = [];
+  const midY = n => n.y + TREE_CARD_HEIGHT / 2;
+  // Position of each card within its row, to tell neighbours from people with cards between them
+  const rowIndex = new Map();
+  const rows = {};
+  Object.values(nodes).forEach(n => (rows[n.y] = rows[n.y] || []).push(n));
+  Object.values(rows).forEach(row => row.sort((p, q) => p.x - q.x).forEach((n, i) => rowIndex.set(n.id, i)));
+  const sameRowBetween = (a, b) => a.y === b.y && Math.abs(rowIndex.get(a.id) - rowIndex.get(b.id)) > 1;
+
+  // Partners: a straight line between neighbours, a bridge over the cards in between otherwise
+  const partnerLine = (aId, bId, className, title) => {
+    const [a, b] = [nodes[aId], nodes[bId]].sort((p, q) => p.x - q.x);
+    let path;
+    if (a.y === b.y && !sameRowBetween(a, b)) {
+      path = `M${a.x + TREE_CARD_WIDTH} ${midY(a)}H${b.x}`;
+    } else {
+      const top = Math.min(a.y, b.y) - 12;
+      path = `M${a.x + TREE_CARD_WIDTH / 2} ${a.y}V${top}H${b.x + TREE_CARD_WIDTH / 2}V${b.y}`;
+    }
+    lines.push({ d: path, className, title, personIds: [aId, bId] });
+  };
+  layout.unions.forEach(u => {
+    partnerLine(u.partners[0], u.partners[1], `tree-line marriage${unionDissolved(u) ? ' former' : ''}`, unionFactsText(u) || 'Married');
+  });
+  layout.families.filter(f => !f.union && f.parents.length === 2)
+    .forEach(f => partnerLine(f.parents[0], f.parents[1], 'tree-line coparents', 'Parents, not married'));
+
+  // Where each family's line starts: between a couple, or under a single parent
+  const anchor = f => {
+    const parents = f.parents.map(pid => nodes[pid]);
+    const x = parents.reduce((sum, n) => sum + n.x + TREE_CARD_WIDTH / 2, 0) / parents.length;
+    const lowest = Math.max(...parents.map(n => n.y));
+    const couple = parents.length === 2 && parents[0].y === parents[1].y && !sameRowBetween(...[...parents].sort((p, q) => p.x - q.x));
+    return { x, y: couple ? midY(parents[0]) : lowest + TREE_CARD_HEIGHT, rowBottom: lowest + TREE_CARD_HEIGHT };
+  };
 
+  // Sibling lines that share a gap between two rows get their own lane so they don't overlap
+  const withChildren = layout.families.filter(f => f.children.length).map(f => {
+    const start = anchor(f);
+    const xs = [start.x, ...f.children.map(cid => nodes[cid].x + TREE_CARD_WIDTH / 2)];
+    return { family: f, start, left: Math.min(...xs), right: Math.max(...xs) };
+  });
+  const byGap = {};
+  withChildren.forEach(item => (byGap[item.start.rowBottom] = byGap[item.start.rowBottom] || []).push(item));
+  Object.values(byGap).forEach(items => {
+    const laneEnds = [];
+    items.sort((a, b) => a.left - b.left).forEach(item => {
+      let lane = laneEnds.findIndex(end => end < item.left - TREE_SIBLING_GAP / 2);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = item.right;
+      item.lane = lane;
+    });
+    const lanes = laneEnds.length;
+    const spacing = Math.min(TREE_LANE_SPACING, (TREE_ROW_GAP - 24) / Math.max(lanes, 1));
+    items.forEach(item => { item.busY = item.start.rowBottom + TREE_ROW_GAP / 2 + (item.lane - (lanes - 1) / 2) * spacing; });
+  });
 
-  card.appendChild(avatar);
-  card.appendChild(info);
-  wrapper.appendChild(card);
+  withChildren.forEach(({ family, start, left, right, busY }) => {
+    lines.push({ d: `M${start.x} ${start.y}V${busY}M${left} ${busY}H${right}`, className: 'tree-line descent', personIds: family.parents, parentIds: family.parents, childIds: family.children });
+    family.children.forEach(cid => {
+      const child = nodes[cid];
+      const x = child.x + TREE_CARD_WIDTH / 2;
+      const type = family.parents.map(pid => parentType(d.people[cid], pid)).find(t => t !== 'biological') || 'biological';
+      lines.push({ d: `M${x} ${busY}V${child.y}`, className: `tree-line descent link-${type}`, personIds: [...family.parents, cid], parentIds: family.parents, childIds: [cid] });
+      if (type !== 'biological') labels.push({ x: x + 5, y: child.y - 6, text: CHILD_TYPE_LABELS[type], className: 'tree-link-label' });
+    });
+  });
 
-  const childrenIds = person.children || [];
-  if (childrenIds.length) {
-    const childrenContainer = document.createElement("div");
-    childrenContainer.className = "children";
-    childrenIds.forEach(cid => {
-      if (!exists(cid) || renderedIDs.has(cid)) return; // Don't re-render if already part of another node's output
-      childrenContainer.appendChild(buildNode(data.people[cid], renderedIDs));
+  layout.extraLinks.forEach(({ parentId, childId }) => {
+    const parent = nodes[parentId];
+    const child = nodes[childId];
+    const [px, py] = [parent.x + TREE_CARD_WIDTH / 2, parent.y + TREE_CARD_HEIGHT];
+    const [cx, cy] = [child.x + TREE_CARD_WIDTH / 2, child.y];
+    const bend = (py + cy) / 2;
+    const type = parentType(d.people[childId], parentId);
+    lines.push({
+      d: `M${px} ${py}C${px} ${bend} ${cx} ${bend} ${cx} ${cy}`,
+      className: `tree-line extra-parent link-${type}`,
+      title: `${d.people[parentId].name || '(Unnamed)'} is also a ${PARENT_TYPE_LABELS[type]} parent of ${d.people[childId].name || '(Unnamed)'}`,
+      personIds: [parentId, childId],
     });
-    wrapper.appendChild(childrenContainer);
-  } else {
-    wrapper.classList.add('no-children');
-  }
+  });
 
-  return wrapper;
+  return { lines, labels };
 }
 
+// The whole tree: each connected group laid out on its own, side by side from the largest
+function layoutFamilyTree(d = data) {
+  const unionsByPerson = new Map(Object.keys(d.people).map(id => [id, []]));
+  Object.values(d.unions || {}).forEach(u => u.partners.forEach(pid => unionsByPerson.get(pid)?.push(u)));
+  const startKey = u => dateSortKey(parseGenealogicalDate(u.startDate));
+  unionsByPerson.forEach(list => list.sort((a, b) => {
+    const ka = startKey(a), kb = startKey(b);
+    return ka === kb ? 0 : (ka < kb ? -1 : 1);
+  }));
+
+  const layout = { nodes: {}, families: [], extraLinks: [], unions: [], width: 0, height: 0 };
+  treeComponents(d).forEach(ids => {
+    const part = layoutComponent(ids, d, unionsByPerson);
+    const offset = layout.width ? layout.width + TREE_COMPONENT_GAP : 0;
+    Object.values(part.nodes).forEach(n => { layout.nodes[n.id] = { ...n, x: n.x + offset }; });
+    layout.families.push(...part.families);
+    layout.extraLinks.push(...part.extraLinks);
+    layout.unions.push(...part.unions);
+    layout.width = offset + part.width;
+    layout.height = Math.max(layout.height, part.height);
+  });
+  return { ...layout, ...treeConnectors(layout, d) };
+}
 
-// --- Modals ---
+// --- Focus charts (one person's ancestors or descendants) ---
 
-// For viewing person details (GENERIC PROFILE PAGE)
-function openPerson(id) {
-  if (!exists(id)) return;
-  const p = data.people[id];
+const TREE_FOCUS_COLUMN_GAP = 56; // Between generations in the pedigree, which grows to the right
 
-  const modal = document.getElementById("personModal");
-  const detailsDiv = document.getElementById("personDetails");
-  if (!modal || !detailsDiv) return;
+// Cards are keyed by person id; someone reached twice (cousins who married) gets a second card
+function addFocusNode(nodes, node) {
+  const key = nodes[node.id] ? `${node.id}#${Object.keys(nodes).length}` : node.id;
+  nodes[key] = { ...node, key };
+  return nodes[key];
+}
 
-  modal.setAttribute("aria-hidden", "false");
-  modal.style.display = "flex"; // Changed to flex for centering
-  modal.style.alignItems = "center"; // Center vertically
-  modal.style.justifyContent = "center"; // Center horizontally
+function focusExtent(nodes) {
+  const all = Object.values(nodes);
+  return {
+    width: Math.max(...all.map(n => n.x)) + TREE_CARD_WIDTH,
+    height: Math.max(...all.map(n => n.y)) + TREE_CARD_HEIGHT,
+  };
+}
 
-  let html = "";
-  if (p.photo) {
-    html += `<img src="${p.photo}" alt="${escapeHtml(p.name)}" class="profile-photo" />`;
-  } else {
-    html += `<div class="avatar initials profile-photo">${getInitials(p.name)}</div>`;
-  }
-  html += `<h2 class="modal-title${p.deceased ? " name deceased" : ""}">${escapeHtml(p.name || "(Unnamed)")}</h2>`;
+// Pedigree chart: the person on the left, each generation of ancestors in a column to the right.
+// Someone with no parents shown takes the next free row; everyone else sits between their parents.
+function layoutPedigree(rootId, generations, d = data) {
+  const nodes = {};
+  const lines = [];
+  const labels = [];
+  let nextY = 0;
+  const columnX = generation => generation * (TREE_CARD_WIDTH + TREE_FOCUS_COLUMN_GAP);
+  const genderOrder = p => (p.gender === 'male' ? 0 : p.gender === 'female' ? 1 : 2);
+
+  const place = (id, generation, path) => {
+    const p = d.people[id];
+    const node = addFocusNode(nodes, { id, generation, x: columnX(generation), y: 0 });
+    const parents = generation < generations
+      ? parentIds(p, {}, d).filter(pid => !path.has(pid)).sort((a, b) => genderOrder(d.people[a]) - genderOrder(d.people[b]))
+      : [];
+    const placed = parents.map(pid => ({ parent: place(pid, generation + 1, new Set([...path, pid])), type: parentType(p, pid) }));
+    if (placed.length) {
+      node.y = (placed[0].parent.y + placed[placed.length - 1].parent.y) / 2;
+    } else {
+      node.y = nextY;
+      nextY += TREE_CARD_HEIGHT + TREE_SIBLING_GAP;
+    }
 
-  let lifeSpan = "";
-  if (p.birthYear || p.deathYear) {
-    lifeSpan = `${p.birthYear || '?'} - ${p.deceased ? (p.deathYear || '?') : 'Present'}`;
-  }
-  if (lifeSpan) html += `<p class="life-span">${lifeSpan}</p>`;
+    const fromX = node.x + TREE_CARD_WIDTH;
+    const fromY = node.y + TREE_CARD_HEIGHT / 2;
+    const elbowX = fromX + TREE_FOCUS_COLUMN_GAP / 2;
+    placed.forEach(({ parent, type }) => {
+      const toY = parent.y + TREE_CARD_HEIGHT / 2;
+      lines.push({ d: `M${fromX} ${fromY}H${elbowX}V${toY}H${parent.x}`, className: `tree-line descent link-${type}`, personIds: [parent.id, id] });
+      if (type !== 'biological') labels.push({ x: elbowX + 4, y: toY - 5, text: PARENT_TYPE_LABELS[type], className: 'tree-link-label' });
+    });
+    return node;
+  };
 
-  if (p.gender) html += `<p><strong>Gender:</strong> ${escapeHtml(p.gender)}</p>`;
-  if (p.marriedCity) html += `<p><strong>Married in:</strong> ${escapeHtml(p.marriedCity)}</p>`;
-  if (p.year && !p.birthYear && !p.deathYear) html += `<p><strong>Significant Year:</strong> ${escapeHtml(p.year)}</p>`;
+  place(rootId, 0, new Set([rootId]));
+  return { nodes, lines, labels, ...focusExtent(nodes) };
+}
 
-  const parents = (p.parents || []).filter(exists).map(pid => `<span class="relations-list" onclick="openPerson('${pid}')">${escapeHtml(data.people[pid].name)}</span>`);
-  if (parents.length) html += `<p><strong>Parents:</strong> ${parents.join(", ")}</p>`;
+// A person's children grouped by the other parent: one group per union, then any others
+function childFamilies(id, d = data) {
+  const p = d.people[id];
+  const families = unionsOf(id, d).map(u => ({
+    partnerId: unionPartner(u, id),
+    children: u.children.filter(cid => exists(cid, d) && (d.people[cid].parents || []).includes(id)),
+  }));
+  const grouped = new Set(families.flatMap(f => f.children));
+  (p.children || []).filter(cid => exists(cid, d) && !grouped.has(cid)).forEach(cid => {
+    const partnerId = (d.people[cid].parents || []).find(pid => pid !== id && exists(pid, d)) || null;
+    let family = families.find(f => f.partnerId === partnerId);
+    if (!family) families.push(family = { partnerId, children: [] });
+    family.children.push(cid);
+  });
+  return families.filter(f => f.children.length);
+}
 
-  const spouses = (p.spouses || []).filter(exists).map(sid => `<span class="relations-list ${data.people[sid].deceased ? 'deceased' : ''}" onclick="openPerson('${sid}')">${escapeHtml(data.people[sid].name)}</span>`);
-  if (spouses.length) html += `<p><strong>Spouses:</strong> ${spouses.join(", ")}</p>`;
+// Descendant chart: the person at the top and each generation below, children grouped by
+// the other parent. Childless people take the next free place; parents sit over their children.
+function layoutDescendants(rootId, generations, d = data) {
+  const nodes = {};
+  const lines = [];
+  const labels = [];
+  let nextX = 0;
+  const rowY = generation => generation * (TREE_CARD_HEIGHT + TREE_ROW_GAP);
+
+  const place = (id, generation, path) => {
+    const node = addFocusNode(nodes, { id, generation, x: 0, y: rowY(generation) });
+    const families = generation < generations ? childFamilies(id, d) : [];
+    const placed = families.map(family => {
+      if (nextX) nextX += TREE_FAMILY_GAP - TREE_SIBLING_GAP;
+      const children = family.children.filter(cid => !path.has(cid))
+        .map(cid => place(cid, generation + 1, new Set([...path, cid])));
+      return { family, children };
+    }).filter(group => group.children.length);
+    const all = placed.flatMap(group => group.children);
+    if (all.length) {
+      node.x = (all[0].x + all[all.length - 1].x) / 2;
+    } else {
+      node.x = nextX;
+      nextX += TREE_CARD_WIDTH + TREE_SIBLING_GAP;
+    }
 
-  const kids = (p.children || []).filter(exists).map(cid => `<span class="relations-list" onclick="openPerson('${cid}')">${escapeHtml(data.people[cid].name)}</span>`);
-  if (kids.length) html += `<p><strong>Children:</strong> ${kids.join(", ")}</p>`;
+    const fromX = node.x + TREE_CARD_WIDTH / 2;
+    const busY = node.y + TREE_CARD_HEIGHT + TREE_ROW_GAP / 2;
+    placed.forEach(({ family, children }) => {
+      const xs = [fromX, ...children.map(c => c.x + TREE_CARD_WIDTH / 2)];
+      lines.push({ d: `M${fromX} ${node.y + TREE_CARD_HEIGHT}V${busY}M${Math.min(...xs)} ${busY}H${Math.max(...xs)}`, className: 'tree-line descent', personIds: [id], parentIds: [id], childIds: children.map(c => c.id) });
+      if (placed.length > 1 || family.partnerId) {
+        const partner = family.partnerId ? d.people[family.partnerId].name || '(Unnamed)' : 'other parent unknown';
+        labels.push({ x: children[0].x + TREE_CARD_WIDTH / 2 + 5, y: busY - 5, text: family.partnerId ? `with ${fitText(partner, 24)}` : partner, className: 'tree-link-label' });
+      }
+      children.forEach(child => {
+        const x = child.x + TREE_CARD_WIDTH / 2;
+        const type = parentType(d.people[child.id], id);
+        lines.push({ d: `M${x} ${busY}V${child.y}`, className: `tree-line descent link-${type}`, personIds: [id, child.id], parentIds: [id], childIds: [child.id] });
+        if (type !== 'biological') labels.push({ x: x + 5, y: child.y - 6, text: CHILD_TYPE_LABELS[type], className: 'tree-link-label' });
+      });
+    });
+    return node;
+  };
 
-  if (p.bio) html += `<p class="modal-bio">${escapeHtml(p.bio)}</p>`;
+  place(rootId, 0, new Set([rootId]));
+  return { nodes, lines, labels, ...focusExtent(nodes) };
+}
 
-  if (isAdmin) {
-    html += `<div class="row" style="justify-content:flex-end; margin-top:1rem;">
-      <button class="btn" onclick="openEdit('${id}')">Edit</button>
-      <button class="btn danger" onclick="deletePerson('${id}')">Delete</button>
-    </div>`;
-  }
-  detailsDiv.innerHTML = html;
+// Fan chart: the person in a half disc at the bottom middle, each generation of ancestors a ring
+// around them. Slot k of a ring has its father in slot 2k and its mother in 2k + 1 of the next,
+// so the father's side fills the left half. Slots no one is recorded for stay as empty segments.
+const FAN_CENTER_RADIUS = 80;
+const FAN_RING_WIDTH = 90;
+const FAN_MAX_GENERATIONS = 8;
+
+// The two parents a fan chart shows: biological ones when recorded, the father first
+function fanParents(p, d = data) {
+  const known = parentIds(p, { bloodOnly: true }, d);
+  const parents = (known.length ? known : parentIds(p, {}, d)).slice(0, 2);
+  const slots = [null, null];
+  parents.filter(pid => d.people[pid].gender === 'male').forEach(pid => { if (!slots[0]) slots[0] = pid; });
+  parents.filter(pid => d.people[pid].gender === 'female').forEach(pid => { if (!slots[1]) slots[1] = pid; });
+  parents.filter(pid => !slots.includes(pid)).forEach(pid => { slots[slots[0] ? 1 : 0] = pid; });
+  return slots;
 }
 
-function closePerson() {
-  const modal = document.getElementById("personModal");
-  if (modal) {
-    modal.setAttribute("aria-hidden", "true");
-    modal.style.display = "none";
+function annularSector(cx, cy, inner, outer, from, to) {
+  const at = (r, angle) => `${(cx + r * Math.cos(angle)).toFixed(2)} ${(cy - r * Math.sin(angle)).toFixed(2)}`;
+  return `M${at(outer, from)}A${outer} ${outer} 0 0 1 ${at(outer, to)}L${at(inner, to)}A${inner} ${inner} 0 0 0 ${at(inner, from)}Z`;
+}
+
+function layoutFanChart(rootId, generations, d = data) {
+  generations = Math.min(generations, FAN_MAX_GENERATIONS);
+  const radius = FAN_CENTER_RADIUS + generations * FAN_RING_WIDTH;
+  const cx = radius;
+  const cy = radius;
+  const nodes = {};
+  const segments = [];
+
+  const addSegment = (segment, x, y) => {
+    segments.push(segment);
+    if (segment.id) addFocusNode(nodes, { id: segment.id, generation: segment.generation, x: x - TREE_CARD_WIDTH / 2, y: y - TREE_CARD_HEIGHT / 2 });
+  };
+  const knownParents = id => (id ? fanParents(d.people[id], d).filter(Boolean).length : 0);
+
+  addSegment({
+    id: rootId, generation: 0, slot: 0, side: null, parentsKnown: knownParents(rootId),
+    d: `M${cx - FAN_CENTER_RADIUS} ${cy}A${FAN_CENTER_RADIUS} ${FAN_CENTER_RADIUS} 0 0 1 ${cx + FAN_CENTER_RADIUS} ${cy}Z`,
+    text: { x: cx, y: cy - FAN_CENTER_RADIUS / 2, rotate: 0, room: 2 * FAN_CENTER_RADIUS - 16, lines: 2 },
+  }, cx, cy - FAN_CENTER_RADIUS / 2);
+
+  let ring = [rootId];
+  for (let generation = 1; generation <= generations; generation++) {
+    const next = ring.flatMap(id => (id ? fanParents(d.people[id], d) : [null, null]));
+    const span = Math.PI / next.length;
+    const inner = FAN_CENTER_RADIUS + (generation - 1) * FAN_RING_WIDTH;
+    const outer = inner + FAN_RING_WIDTH;
+    const middle = (inner + outer) / 2;
+    next.forEach((id, slot) => {
+      const from = Math.PI - slot * span;
+      const angle = from - span / 2;
+      const arc = middle * span;
+      // Text runs along the ring while it fits, then outwards along the radius
+      const along = arc >= FAN_RING_WIDTH;
+      const degrees = angle * 180 / Math.PI;
+      const x = cx + middle * Math.cos(angle);
+      const y = cy - middle * Math.sin(angle);
+      const childId = ring[Math.floor(slot / 2)];
+      addSegment({
+        id, generation, slot, childId,
+        side: slot < next.length / 2 ? 'paternal' : 'maternal',
+        parentsKnown: knownParents(id),
+        d: annularSector(cx, cy, inner, outer, from, from - span),
+        text: {
+          x, y,
+          rotate: along ? 90 - degrees : (degrees > 90 ? 180 - degrees : -degrees),
+          room: (along ? arc : FAN_RING_WIDTH) - 10,
+          lines: along || arc >= 30 ? 2 : arc >= 16 ? 1 : 0,
+        },
+      }, x, y);
+    });
+    ring = next;
   }
+
+  return { nodes, segments, lines: [], labels: [], width: 2 * radius, height: radius };
 }
 
-// For editing/adding person
-function openEdit(id) {
-  if (!isAdmin) {
-    alert("You must be admin to edit.");
+// --- Tree rendering ---
+
+const TREE_MARGIN = 24;
+
+// Shortens text to about `max` characters; the full text is in the card's tooltip
+function fitText(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+// The handle under a card with children: "−" hides their descendants, "+N" shows the N hidden ones
+function treeBranchToggleSvg(id, branch) {
+  const text = branch.collapsed ? `+${branch.hidden}` : '−';
+  const width = 12 + 7 * text.length;
+  const title = branch.collapsed
+    ? `Show ${branch.hidden} hidden descendant${branch.hidden === 1 ? '' : 's'}`
+    : 'Hide descendants';
+  return `<g class="tree-branch-toggle${branch.collapsed ? ' collapsed' : ''}" transform="translate(${(TREE_CARD_WIDTH - width) / 2} ${TREE_CARD_HEIGHT - 9})" onclick="event.stopPropagation(); toggleTreeBranch(${jsArg(id)})">
+      <title>${title}</title>
+      <rect width="${width}" height="18" rx="9" />
+      <text x="${width / 2}" y="9" text-anchor="middle" dominant-baseline="central">${text}</text>
+    </g>`;
+}
+
+// `action` is the function a click calls with the person's id; `branch` ({ collapsed, hidden })
+// adds the collapse handle; `highlighted` marks a card on a highlighted path
+function treePersonSvg(p, node, { action = 'openPerson', branch = null, highlighted = false } = {}) {
+  const lifeSpan = lifeSpanText(p, { short: true }) || (p.year ? String(p.year) : '');
+  const photo = p.photoThumb || p.photo;
+  const r = TREE_CARD_HEIGHT / 2 - 10;
+  const cx = 10 + r;
+  const cy = TREE_CARD_HEIGHT / 2;
+  const textX = cx + r + 12;
+  const chip = p.gender ? p.gender[0].toUpperCase() : '';
+  const classes = ['tree-person', p.gender, p.deceased && 'deceased', highlighted && 'highlighted'].filter(Boolean).join(' ');
+  return `<g class="${escapeHtml(classes)}" data-id="${escapeHtml(p.id)}" transform="translate(${node.x} ${node.y})" onclick="${action}(${jsArg(p.id)})">
+    <title>${escapeHtml([p.name || '(Unnamed)', lifeSpan].filter(Boolean).join(', '))}</title>
+    <rect class="tree-card" width="${TREE_CARD_WIDTH}" height="${TREE_CARD_HEIGHT}" rx="12" />
+    <circle class="tree-avatar" cx="${cx}" cy="${cy}" r="${r}" />
+    <text class="tree-initials" x="${cx}" y="${cy}" text-anchor="middle" dominant-baseline="central">${escapeHtml(getInitials(p.name))}</text>
+    ${photo ? `<image href="${escapeHtml(photo)}" x="${cx - r}" y="${cy - r}" width="${2 * r}" height="${2 * r}" preserveAspectRatio="xMidYMid slice" clip-path="url(#treeAvatarClip)" />` : ''}
+    <text class="tree-name" x="${textX}" y="${lifeSpan ? cy - 4 : cy + 5}">${escapeHtml(fitText(p.name || '(Unnamed)', 15))}</text>
+    ${lifeSpan ? `<text class="tree-dates" x="${textX}" y="${cy + 15}">${escapeHtml(lifeSpan)}</text>` : ''}
+    ${chip ? `<text class="tree-gender" x="${TREE_CARD_WIDTH - 10}" y="16" text-anchor="end">${chip}</text>` : ''}
+    ${branch ? treeBranchToggleSvg(p.id, branch) : ''}
+  </g>`;
+}
+
+// The drawing itself, in layout coordinates: connectors, their labels and the person cards.
+// `cardAction` and `branchState` give each card's click function and collapse handle;
+// `highlight` ({ people, steps }, see relationshipHighlight) marks a path through the tree.
+function treeSvgContent(layout, d = data, { cardAction = () => 'openPerson', branchState = () => null, highlight = null } = {}) {
+  const lines = layout.lines.map(line => {
+    const className = highlight && lineOnPath(line, highlight) ? `${line.className} highlighted` : line.className;
+    return `<path class="${className}" d="${line.d}">${line.title ? `<title>${escapeHtml(line.title)}</title>` : ''}</path>`;
+  }).join('');
+  const labels = layout.labels.map(label =>
+    `<text class="${label.className}" x="${label.x}" y="${label.y}">${escapeHtml(label.text)}</text>`).join('');
+  const cards = Object.values(layout.nodes).map(node => treePersonSvg(d.people[node.id], node, {
+    action: cardAction(node),
+    branch: branchState(node),
+    highlighted: Boolean(highlight && highlight.people.has(node.id)),
+  })).join('');
+  return `<defs><clipPath id="treeAvatarClip" clipPathUnits="objectBoundingBox"><circle cx="0.5" cy="0.5" r="0.5" /></clipPath></defs>
+    <g class="tree-lines">${lines}</g>
+    <g class="tree-labels">${labels}</g>
+    <g class="tree-people">${cards}</g>`;
+}
+
+// Fan chart segments, colored by `colors`: 'line' (father's or mother's side) or 'completeness'
+// (how many of the person's parents are recorded)
+function fanChartSvgContent(layout, d = data, colors = 'line') {
+  const completeness = ['none', 'partial', 'complete'];
+  const segments = layout.segments.map(segment => {
+    const p = segment.id ? d.people[segment.id] : null;
+    if (!p) {
+      const child = d.people[segment.childId];
+      const title = child ? `${segment.slot % 2 ? 'Mother' : 'Father'} of ${child.name || '(Unnamed)'} not recorded` : 'Not recorded';
+      return `<path class="fan-segment missing" d="${segment.d}"><title>${escapeHtml(title)}</title></path>`;
+    }
+    const color = colors === 'completeness'
+      ? completeness[segment.parentsKnown]
+      : segment.side || 'focus';
+    const opacity = colors === 'completeness' ? 1 : Math.max(0.45, 1 - segment.generation * 0.08);
+    const lifeSpan = lifeSpanText(p, { short: true });
+    const { text } = segment;
+    const chars = Math.floor(text.room / 6.5);
+    const label = text.lines && chars >= 3
+      ? `<g transform="translate(${text.x.toFixed(2)} ${text.y.toFixed(2)}) rotate(${text.rotate.toFixed(2)})" text-anchor="middle">
+        <text class="fan-name" y="${text.lines > 1 && lifeSpan ? -2 : 4}">${escapeHtml(fitText(p.name || '(Unnamed)', chars))}</text>
+        ${text.lines > 1 && lifeSpan ? `<text class="fan-dates" y="11">${escapeHtml(fitText(lifeSpan, chars))}</text>` : ''}
+      </g>`
+      : '';
+    return `<g class="tree-person fan-person${p.deceased ? ' deceased' : ''}" data-id="${escapeHtml(p.id)}" onclick="openPerson(${jsArg(p.id)})">
+      <title>${escapeHtml([p.name || '(Unnamed)', lifeSpan].filter(Boolean).join(', '))}</title>
+      <path class="fan-segment ${color}" d="${segment.d}" fill-opacity="${opacity.toFixed(2)}" />
+      ${label}
+    </g>`;
+  }).join('');
+  return `<g class="fan-chart">${segments}</g>`;
+}
+
+// A standalone SVG sized to the whole tree
+function treeSvg(layout, d = data) {
+  const width = layout.width + 2 * TREE_MARGIN;
+  const height = layout.height + 2 * TREE_MARGIN;
+  return `<svg class="tree-svg" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${-TREE_MARGIN} ${-TREE_MARGIN} ${width} ${height}">
+    ${layout.segments ? fanChartSvgContent(layout, d, fanChartColors()) : treeSvgContent(layout, d)}
+  </svg>`;
+}
+
+function renderTree() {
+  const container = document.getElementById("treeContainer");
+  if (!container) return;
+
+  if (!Object.keys(data.people).length) {
+    _treeLayout = null;
+    closeTreeFocus({ render: false });
+    renderTreeFocusBar();
+    renderTreeMinimap();
+    container.innerHTML = viewLoginRequired
+      ? '<div class="empty-message">Log in to view this family tree.</div>'
+      : '<div class="empty-message">No people yet. Log in as admin and add your first person.</div>';
     return;
   }
-  closePerson(); // Close view modal if open
 
-  const isNew = !id || !exists(id);
-  const p = isNew
-    ? { id: String(Date.now()), name: "", birthYear: "", deathYear: "", bio: "", gender: "", marriedCity: "", parents: [], spouses: [], children: [], photo: "", deceased: false }
-    : { ...data.people[id] };
+  if (_treeFocus && !exists(_treeFocus.personId)) closeTreeFocus({ render: false });
+  renderTreeFocusBar();
+  const branchBar = document.getElementById('treeBranchBar');
+  if (branchBar) branchBar.style.display = _treeFocus ? 'none' : '';
+  const highlight = _treeFocus ? null : relationshipHighlight();
+  renderTreeHighlightBar(highlight);
+
+  // The canvas fills the wrapper; panning and zooming only change the viewport's transform.
+  // In a focus chart, clicking a relative moves the focus to them; the focused person opens their profile.
+  // The whole tree leaves out collapsed branches.
+  const hidden = _treeFocus ? new Set() : hiddenByCollapse(data);
+  _treeLayout = _treeFocus ? layoutTreeFocus(_treeFocus) : layoutFamilyTree(visibleTreeData(data, hidden));
+  const cardAction = node => (_treeFocus && node.id !== _treeFocus.personId ? 'focusTreeOn' : 'openPerson');
+  const branchState = node => (_treeFocus ? null : treeBranchState(node.id, hidden));
+  container.innerHTML = `<svg class="tree-svg tree-canvas${highlight ? ' has-highlight' : ''}" xmlns="http://www.w3.org/2000/svg" width="100%" height="100%">
+    <g id="treeViewport" class="tree-viewport">${_treeLayout.segments
+      ? fanChartSvgContent(_treeLayout, data, fanChartColors())
+      : treeSvgContent(_treeLayout, data, { cardAction, branchState, highlight })}</g>
+  </svg>`;
+  renderTreeMinimap();
+  if (_treeView) applyTreeView();
+  else zoomTreeToFit(); // First time only: re-renders after a save keep the view
+}
 
-  const editModal = document.getElementById("editModal");
-  const editTitle = document.getElementById("editTitle");
-  const editForm = document.getElementById("editForm");
-  if (!editModal || !editTitle || !editForm) return;
+// --- Tree Viewport (zoom, pan, minimap) ---
 
-  editTitle.textContent = isNew ? "Add Person" : `Edit ${p.name || "(Unnamed)"}`;
-  editModal.setAttribute("aria-hidden", "false");
-  editModal.style.display = "flex"; // Changed to flex for centering
-  editModal.style.alignItems = "center";
-  editModal.style.justifyContent = "center";
+const TREE_MIN_SCALE = 0.1;
+const TREE_MAX_SCALE = 3;
+const TREE_FOCUS_SCALE = 0.8; // Zoom used by "center on person" when the view is further out than this
 
-  let html = `<div class="field">
-    <label>Name</label>
-    <input type="text" id="editName" value="${escapeHtml(p.name || "")}" />
-  </div>
-  <div class="field">
+let _treeLayout = null; // Layout currently drawn in the tree tab
+let _treeView = null; // { x, y, scale }: where the tree's origin sits in the wrapper, in screen pixels, and its zoom
+
+function treeWrapperSize() {
+  const wrapper = document.getElementById('treeWrapper');
+  return { width: wrapper ? wrapper.clientWidth : 0, height: wrapper ? wrapper.clientHeight : 0 };
+}
+
+function clampTreeScale(scale) {
+  return Math.min(TREE_MAX_SCALE, Math.max(TREE_MIN_SCALE, scale));
+}
+
+function applyTreeView() {
+  const viewport = document.getElementById('treeViewport');
+  if (!viewport || !_treeView) return;
+  viewport.setAttribute('transform', `translate(${_treeView.x} ${_treeView.y}) scale(${_treeView.scale})`);
+  updateTreeMinimap();
+}
+
+// Shows the whole tree, but never enlarges it and never shrinks it past the minimum zoom
+function zoomTreeToFit() {
+  if (!_treeLayout) return;
+  const { width, height } = treeWrapperSize();
+  if (!width || !height) return; // Tab hidden: fit when it is shown
+  const scale = clampTreeScale(Math.min(
+    width / (_treeLayout.width + 2 * TREE_MARGIN),
+    height / (_treeLayout.height + 2 * TREE_MARGIN),
+    1));
+  _treeView = {
+    scale,
+    x: (width - _treeLayout.width * scale) / 2,
+    y: Math.max(TREE_MARGIN * scale, (height - _treeLayout.height * scale) / 2),
+  };
+  applyTreeView();
+}
+
+// Zooms by `factor`, keeping the point (x, y) of the wrapper still; the middle by default
+function zoomTree(factor, x, y) {
+  if (!_treeView) return;
+  if (x === undefined) {
+    const size = treeWrapperSize();
+    x = size.width / 2;
+    y = size.height / 2;
+  }
+  const scale = clampTreeScale(_treeView.scale * factor);
+  const k = scale / _treeView.scale;
+  _treeView = { scale, x: x - (x - _treeView.x) * k, y: y - (y - _treeView.y) * k };
+  applyTreeView();
+}
+
+function panTree(dx, dy) {
+  if (!_treeView) return;
+  _treeView = { ..._treeView, x: _treeView.x + dx, y: _treeView.y + dy };
+  applyTreeView();
+}
+
+// Moves the view so that (x, y), in layout coordinates, is in the middle of the wrapper
+function centerTreeOn(x, y, scale = _treeView ? _treeView.scale : 1) {
+  const { width, height } = treeWrapperSize();
+  _treeView = { scale, x: width / 2 - x * scale, y: height / 2 - y * scale };
+  applyTreeView();
+}
+
+// Zooms and pans so all of these people's cards are in view, with some room around them
+function zoomTreeToPeople(ids) {
+  const nodes = _treeLayout ? ids.map(id => _treeLayout.nodes[id]).filter(Boolean) : [];
+  const { width, height } = treeWrapperSize();
+  if (!nodes.length || !width || !height) return;
+  const left = Math.min(...nodes.map(n => n.x)) - TREE_MARGIN * 2;
+  const top = Math.min(...nodes.map(n => n.y)) - TREE_MARGIN * 2;
+  const right = Math.max(...nodes.map(n => n.x + TREE_CARD_WIDTH)) + TREE_MARGIN * 2;
+  const bottom = Math.max(...nodes.map(n => n.y + TREE_CARD_HEIGHT)) + TREE_MARGIN * 2;
+  const scale = clampTreeScale(Math.min(width / (right - left), height / (bottom - top), 1));
+  centerTreeOn((left + right) / 2, (top + bottom) / 2, scale);
+}
+
+// Opens the tree on someone's card and briefly highlights it (used by search results)
+function centerOnPerson(id) {
+  if (!exists(id)) return;
+  closePerson();
+  if (activeTab !== 'tree') showTab('tree');
+  if (_treeFocus && !(_treeLayout && _treeLayout.nodes[id])) closeTreeFocus(); // Not in this chart: back to the whole tree
+  if (!_treeFocus && !(_treeLayout && _treeLayout.nodes[id]) && revealInTree(id)) renderTree();
+  const node = _treeLayout && _treeLayout.nodes[id];
+  if (!node) return;
+  if (!_treeView) zoomTreeToFit();
+  centerTreeOn(node.x + TREE_CARD_WIDTH / 2, node.y + TREE_CARD_HEIGHT / 2,
+    Math.max(_treeView ? _treeView.scale : 1, TREE_FOCUS_SCALE));
+
+  const wrapper = document.getElementById('treeWrapper');
+  if (wrapper && wrapper.scrollIntoView) wrapper.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  const card = wrapper && wrapper.querySelector(`.tree-person[data-id="${CSS.escape(id)}"]`);
+  if (card) {
+    card.classList.add('focused');
+    setTimeout(() => card.classList.remove('focused'), 2000);
+  }
+}
+
+// Small overview of the whole tree, drawn once per render; only the view rectangle moves
+function renderTreeMinimap() {
+  const minimap = document.getElementById('treeMinimap');
+  if (!minimap) return;
+  if (!_treeLayout) {
+    minimap.innerHTML = '';
+    minimap.style.display = 'none';
+    return;
+  }
+  const width = _treeLayout.width + 2 * TREE_MARGIN;
+  const height = _treeLayout.height + 2 * TREE_MARGIN;
+  minimap.setAttribute('viewBox', `${-TREE_MARGIN} ${-TREE_MARGIN} ${width} ${height}`);
+  minimap.innerHTML = (_treeLayout.segments
+    ? _treeLayout.segments.map(segment => `<path class="tree-minimap-node${segment.id ? '' : ' missing'}" d="${segment.d}" />`)
+    : Object.values(_treeLayout.nodes).map(node =>
+      `<rect class="tree-minimap-node" x="${node.x}" y="${node.y}" width="${TREE_CARD_WIDTH}" height="${TREE_CARD_HEIGHT}" />`)).join('') +
+    '<rect id="treeMinimapView" class="tree-minimap-view" />';
+}
+
+// Moves the minimap's view rectangle; the minimap only shows while part of the tree is out of view
+function updateTreeMinimap() {
+  const minimap = document.getElementById('treeMinimap');
+  const view = document.getElementById('treeMinimapView');
+  if (!minimap || !view || !_treeLayout || !_treeView) return;
+  const { width, height } = treeWrapperSize();
+  const { x, y, scale } = _treeView;
+  const visible = { left: -x / scale, top: -y / scale, width: width / scale, height: height / scale };
+  const slack = 1 / scale; // A pixel of rounding either way
+  const fits = visible.left <= slack - TREE_MARGIN && visible.top <= slack - TREE_MARGIN &&
+    visible.left + visible.width + slack >= _treeLayout.width + TREE_MARGIN &&
+    visible.top + visible.height + slack >= _treeLayout.height + TREE_MARGIN;
+  minimap.style.display = fits ? 'none' : '';
+  view.setAttribute('x', visible.left);
+  view.setAttribute('y', visible.top);
+  view.setAttribute('width', visible.width);
+  view.setAttribute('height', visible.height);
+}
+
+// Wheel and pinch zoom, and dragging in both directions with a mouse, pen or finger
+function setupTreeViewport() {
+  const wrapper = document.getElementById('treeWrapper');
+  if (!wrapper) return;
+
+  const pointers = new Map(); // pointerId -> last position in the wrapper
+  let moved = 0; // How far the current gesture has gone, to tell a drag from a click
+  let suppressClick = false;
+  const position = e => {
+    const rect = wrapper.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  wrapper.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.target.closest('.tree-controls, .tree-minimap')) return;
+    if (!pointers.size) {
+      moved = 0;
+      suppressClick = false;
+    }
+    pointers.set(e.pointerId, position(e));
+    wrapper.classList.add('grabbing');
+  });
+
+  window.addEventListener('pointermove', (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    const next = position(e);
+    if (pointers.size === 1) {
+      panTree(next.x - last.x, next.y - last.y);
+      moved += Math.abs(next.x - last.x) + Math.abs(next.y - last.y);
+    } else {
+      // Pinch: the other finger stays put, so zoom by the change in distance around the midpoint
+      const other = [...pointers].find(([id]) => id !== e.pointerId)[1];
+      const before = Math.hypot(last.x - other.x, last.y - other.y);
+      const after = Math.hypot(next.x - other.x, next.y - other.y);
+      panTree((next.x - last.x) / 2, (next.y - last.y) / 2);
+      if (before > 0) zoomTree(after / before, (next.x + other.x) / 2, (next.y + other.y) / 2);
+      moved = Infinity;
+    }
+    pointers.set(e.pointerId, next);
+  });
+
+  const release = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
+    if (moved > 4) suppressClick = true;
+    if (!pointers.size) wrapper.classList.remove('grabbing');
+  };
+  window.addEventListener('pointerup', release);
+  window.addEventListener('pointercancel', release);
+
+  // A drag that ends on a card should not open that person
+  wrapper.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }, true);
+
+  wrapper.addEventListener('wheel', (e) => {
+    if (!_treeView || e.target.closest('.tree-controls, .tree-minimap')) return;
+    e.preventDefault();
+    const lines = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? wrapper.clientHeight : 1;
+    const point = position(e);
+    zoomTree(Math.exp(-e.deltaY * lines * 0.0015), point.x, point.y);
+  }, { passive: false });
+
+  // Clicking or dragging on the minimap moves the view there
+  const minimap = document.getElementById('treeMinimap');
+  if (minimap) {
+    let minimapDragging = false;
+    const follow = (e) => {
+      const matrix = minimap.getScreenCTM();
+      if (!matrix) return;
+      const point = minimap.createSVGPoint();
+      point.x = e.clientX;
+      point.y = e.clientY;
+      const target = point.matrixTransform(matrix.inverse());
+      centerTreeOn(target.x, target.y);
+    };
+    minimap.addEventListener('pointerdown', (e) => {
+      minimapDragging = true;
+      follow(e);
+      e.preventDefault();
+    });
+    window.addEventListener('pointermove', (e) => { if (minimapDragging) follow(e); });
+    window.addEventListener('pointerup', () => { minimapDragging = false; });
+    window.addEventListener('pointercancel', () => { minimapDragging = false; });
+  }
+
+  window.addEventListener('resize', updateTreeMinimap);
+}
+
+
+// --- Collapsible Branches ---
+// Collapsing someone hides their descendants on the whole tree. The collapsed people are kept per
+// browser, so the tree looks the same after a reload or a save.
+
+let _collapsedBranches = null; // Set of person ids, read from localStorage on first use
+
+function collapsedBranches() {
+  if (!_collapsedBranches) {
+    let saved = [];
+    try {
+      saved = JSON.parse(localStorage.getItem('collapsedBranches') || '[]');
+    } catch (e) {
+      // Unreadable: drop it and start with everything expanded
+      console.error('Ignoring unreadable collapsed branches:', e);
+      localStorage.removeItem('collapsedBranches');
+    }
+    _collapsedBranches = new Set(Array.isArray(saved) ? saved : []);
+  }
+  return _collapsedBranches;
+}
+
+function saveCollapsedBranches() {
+  const collapsed = [...collapsedBranches()].filter(id => exists(id));
+  _collapsedBranches = new Set(collapsed);
+  localStorage.setItem('collapsedBranches', JSON.stringify(collapsed));
+}
+
+function descendantIds(id, d = data) {
+  const found = new Set();
+  const stack = [...d.people[id].children];
+  while (stack.length) {
+    const cid = stack.pop();
+    if (found.has(cid) || !exists(cid, d)) continue;
+    found.add(cid);
+    stack.push(...d.people[cid].children);
+  }
+  return found;
+}
+
+// Everyone a collapsed branch hides: the descendants of collapsed people, and partners who married
+// into the branch with no parents of their own and no partner or child left in view
+function hiddenByCollapse(d = data, collapsed = collapsedBranches()) {
+  const hidden = new Set();
+  collapsed.forEach(id => { if (exists(id, d)) descendantIds(id, d).forEach(cid => hidden.add(cid)); });
+  let changed = hidden.size > 0;
+  while (changed) {
+    changed = false;
+    Object.values(d.people).forEach(p => {
+      if (hidden.has(p.id) || p.parents.some(pid => exists(pid, d))) return;
+      const family = [...p.spouses, ...p.children].filter(id => exists(id, d));
+      if (family.length && family.every(id => hidden.has(id))) {
+        hidden.add(p.id);
+        changed = true;
+      }
+    });
+  }
+  return hidden;
+}
+
+// The data without the hidden people or any link to them, for the layout
+function visibleTreeData(d, hidden) {
+  if (!hidden.size) return d;
+  const people = {};
+  Object.values(d.people).forEach(p => {
+    if (hidden.has(p.id)) return;
+    const shown = ids => (ids || []).filter(id => exists(id, d) && !hidden.has(id));
+    people[p.id] = { ...p, parents: shown(p.parents), children: shown(p.children), spouses: shown(p.spouses) };
+  });
+  const unions = {};
+  Object.values(d.unions || {}).forEach(u => {
+    if (u.partners.every(pid => people[pid])) unions[u.id] = { ...u, children: u.children.filter(cid => people[cid]) };
+  });
+  return { ...d, people, unions };
+}
+
+// Whether someone's branch is folded away: collapsed themselves, or all their children hidden by
+// the other parent's collapse
+function branchCollapsed(id, hidden) {
+  const children = data.people[id].children.filter(cid => exists(cid));
+  return collapsedBranches().has(id) || (children.length > 0 && children.every(cid => hidden.has(cid)));
+}
+
+// What a card's collapse handle shows; null for people without children
+function treeBranchState(id, hidden) {
+  if (!data.people[id].children.some(cid => exists(cid))) return null;
+  if (!branchCollapsed(id, hidden)) return { collapsed: false, hidden: 0 };
+  return { collapsed: true, hidden: [...descendantIds(id)].filter(cid => hidden.has(cid)).length };
+}
+
+function toggleTreeBranch(id) {
+  if (!exists(id)) return;
+  const collapsed = collapsedBranches();
+  if (branchCollapsed(id, hiddenByCollapse())) {
+    collapsed.delete(id);
+    // The other parents fold the same children away, so expand them too
+    data.people[id].children.filter(cid => exists(cid)).forEach(cid => data.people[cid].parents.forEach(pid => collapsed.delete(pid)));
+  } else {
+    collapsed.add(id);
+  }
+  saveCollapsedBranches();
+  renderTree();
+}
+
+// Shows the top `level` generations: everyone with children from that generation down is collapsed
+function expandTreeToLevel(level) {
+  level = parseInt(level, 10);
+  if (!(level >= 1)) return;
+  _collapsedBranches = new Set();
+  treeComponents(data).forEach(ids => {
+    treeGenerations(ids, data).forEach((generation, id) => {
+      if (generation >= level - 1 && data.people[id].children.some(cid => exists(cid))) _collapsedBranches.add(id);
+    });
+  });
+  saveCollapsedBranches();
+  renderTree();
+}
+
+function collapseAllBranches() {
+  expandTreeToLevel(1);
+}
+
+function expandAllBranches() {
+  _collapsedBranches = new Set();
+  saveCollapsedBranches();
+  renderTree();
+}
+
+// Expands whatever hides someone: collapsed ancestors of theirs, or of the partner or child that
+// brings them into the tree. Returns whether anything changed.
+function revealInTree(id) {
+  const collapsed = collapsedBranches();
+  const p = data.people[id];
+  const stack = [id, ...p.spouses, ...p.children].filter(other => exists(other));
+  const seen = new Set();
+  let changed = false;
+  while (stack.length) {
+    const current = stack.pop();
+    if (seen.has(current)) continue;
+    seen.add(current);
+    data.people[current].parents.filter(pid => exists(pid)).forEach(pid => {
+      if (collapsed.delete(pid)) changed = true;
+      stack.push(pid);
+    });
+  }
+  if (changed) saveCollapsedBranches();
+  return changed;
+}
+
+
+// --- Relationship Path on the Tree ---
+// Compare can show the chain of links it found between two people on the whole tree: the people
+// and connectors on the path stand out, everything else is dimmed.
+
+let _treeHighlightPath = null; // Person ids from A to B while a path is highlighted
+
+// { people: Set of ids, steps: Set of "id|id" keys for each link on the path }, or null
+function relationshipHighlight() {
+  const path = (_treeHighlightPath || []).filter(id => exists(id));
+  if (path.length < 2) return null;
+  const steps = new Set();
+  path.slice(1).forEach((id, i) => {
+    steps.add(`${path[i]}|${id}`);
+    steps.add(`${id}|${path[i]}`);
+  });
+  return { people: new Set(path), steps };
+}
+
+// Whether a connector draws one of the path's links. A line down from parents needs a step from one of
+// its parents to one of the children it reaches; any other line joins two people and needs a step between them.
+function lineOnPath(line, highlight) {
+  if (line.childIds) return line.parentIds.some(a => line.childIds.some(c => highlight.steps.has(`${a}|${c}`)));
+  const [a, b] = line.personIds || [];
+  return highlight.steps.has(`${a}|${b}`);
+}
+
+function showRelationshipOnTree(idA, idB) {
+  const path = findRelationshipPath(idA, idB);
+  if (!path) {
+    alert('These two people are not linked in the tree.');
+    return;
+  }
+  _treeHighlightPath = path;
+  closeTreeFocus({ render: false });
+  path.forEach(id => revealInTree(id));
+  showTab('tree');
+  zoomTreeToPeople(path);
+}
+
+function clearTreeHighlight() {
+  _treeHighlightPath = null;
+  renderTree();
+}
+
+function renderTreeHighlightBar(highlight) {
+  const bar = document.getElementById('treeHighlightBar');
+  if (!bar) return;
+  if (!highlight) {
+    bar.style.display = 'none';
+    return;
+  }
+  const path = _treeHighlightPath.filter(id => exists(id));
+  const name = id => escapeHtml(data.people[id].name || '(Unnamed)');
+  bar.style.display = '';
+  bar.innerHTML = `<span>Path from <strong>${name(path[0])}</strong> to <strong>${name(path[path.length - 1])}</strong>: ${path.length - 1} link${path.length === 2 ? '' : 's'}</span>
+    <button class="btn secondary" type="button" onclick="zoomTreeToPeople(_treeHighlightPath)">Show path</button>
+    <button class="btn secondary" type="button" onclick="clearTreeHighlight()">Clear</button>`;
+}
+
+
+// --- Tree Focus (pedigree and descendant views) ---
+
+const TREE_FOCUS_MODES = { ancestors: 'Ancestors', descendants: 'Descendants', fan: 'Fan chart' };
+const FAN_CHART_COLORS = {
+  line: [['paternal', "Father's side"], ['maternal', "Mother's side"]],
+  completeness: [['complete', 'Both parents known'], ['partial', 'One parent known'], ['none', 'No parents known'], ['missing', 'Not recorded']],
+};
+const TREE_FOCUS_DEFAULT_GENERATIONS = 4;
+const TREE_FOCUS_MAX_GENERATIONS = 10; // The most the generations menu offers
+
+let _treeFocus = null; // { personId, mode, generations } while the tree tab shows one person's chart
+let _treeFocusTrail = []; // People focused on since the chart was opened, for the breadcrumbs
+
+// A generation count as a whole number from 1 to TREE_FOCUS_MAX_GENERATIONS; null when it isn't a number
+function clampFocusGenerations(value) {
+  const generations = parseInt(value, 10);
+  return Number.isNaN(generations) ? null : Math.min(Math.max(generations, 1), TREE_FOCUS_MAX_GENERATIONS);
+}
+
+function treeFocusGenerations() {
+  return clampFocusGenerations(localStorage.getItem('treeFocusGenerations')) || TREE_FOCUS_DEFAULT_GENERATIONS;
+}
+
+function fanChartColors() {
+  return FAN_CHART_COLORS[localStorage.getItem('fanChartColors')] ? localStorage.getItem('fanChartColors') : 'line';
+}
+
+function setFanChartColors(colors) {
+  if (!FAN_CHART_COLORS[colors]) return;
+  localStorage.setItem('fanChartColors', colors);
+  renderTree();
+}
+
+function layoutTreeFocus(focus, d = data) {
+  if (focus.mode === 'fan') return layoutFanChart(focus.personId, focus.generations, d);
+  return focus.mode === 'descendants'
+    ? layoutDescendants(focus.personId, focus.generations, d)
+    : layoutPedigree(focus.personId, focus.generations, d);
+}
+
+// Opens one person's ancestors or descendants in the tree tab (from their profile)
+function openTreeFocus(id, mode = 'ancestors') {
+  if (!exists(id)) return;
+  closePerson();
+  _treeFocus = { personId: id, mode, generations: _treeFocus ? _treeFocus.generations : treeFocusGenerations() };
+  _treeFocusTrail = [id];
+  _treeHighlightPath = null;
+  _treeView = null; // A new chart starts fitted
+  showTab('tree');
+}
+
+// Moves the chart to a relative; going back to someone in the breadcrumbs drops the crumbs after them
+function focusTreeOn(id) {
+  if (!_treeFocus || !exists(id)) return;
+  const index = _treeFocusTrail.indexOf(id);
+  _treeFocusTrail = index === -1 ? [..._treeFocusTrail, id] : _treeFocusTrail.slice(0, index + 1);
+  _treeFocus = { ..._treeFocus, personId: id };
+  _treeView = null;
+  renderTree();
+}
+
+function setTreeFocusMode(mode) {
+  if (!_treeFocus || !TREE_FOCUS_MODES[mode]) return;
+  _treeFocus = { ..._treeFocus, mode };
+  _treeView = null;
+  renderTree();
+}
+
+function setTreeFocusGenerations(value) {
+  const generations = clampFocusGenerations(value);
+  if (!_treeFocus || !generations) return;
+  localStorage.setItem('treeFocusGenerations', String(generations));
+  _treeFocus = { ..._treeFocus, generations };
+  _treeView = null;
+  renderTree();
+}
+
+// Back to the whole tree
+function closeTreeFocus({ render = true } = {}) {
+  if (!_treeFocus) return;
+  _treeFocus = null;
+  _treeFocusTrail = [];
+  _treeView = null;
+  if (render) renderTree();
+}
+
+function renderTreeFocusBar() {
+  const bar = document.getElementById('treeFocusBar');
+  if (!bar) return;
+  if (!_treeFocus) {
+    bar.style.display = 'none';
+    return;
+  }
+  bar.style.display = '';
+  _treeFocusTrail = _treeFocusTrail.filter(id => exists(id));
+  const trail = document.getElementById('treeFocusTrail');
+  if (trail) {
+    trail.innerHTML = _treeFocusTrail.map(id => {
+      const name = escapeHtml(data.people[id].name || '(Unnamed)');
+      return id === _treeFocus.personId
+        ? `<strong aria-current="page">${name}</strong>`
+        : `<button class="tree-crumb" type="button" onclick="focusTreeOn(${jsArg(id)})">${name}</button>`;
+    }).join('<span class="tree-crumb-sep" aria-hidden="true">›</span>');
+  }
+  const mode = document.getElementById('treeFocusMode');
+  if (mode) mode.value = _treeFocus.mode;
+
+  // Fan charts stop at FAN_MAX_GENERATIONS rings; the other charts keep the full choice
+  const fan = _treeFocus.mode === 'fan';
+  const cap = fan ? FAN_MAX_GENERATIONS : TREE_FOCUS_MAX_GENERATIONS;
+  const generations = document.getElementById('treeFocusGenerations');
+  if (generations) {
+    Array.from(generations.options).forEach(option => { option.disabled = Number(option.value) > cap; });
+    generations.value = String(Math.min(_treeFocus.generations, cap));
+  }
+  const capNote = document.getElementById('treeFanCap');
+  if (capNote) {
+    capNote.style.display = fan ? '' : 'none';
+    capNote.textContent = `Fan charts show up to ${FAN_MAX_GENERATIONS}`;
+  }
+
+  const colors = document.getElementById('treeFanColors');
+  if (colors) {
+    colors.value = fanChartColors();
+    if (colors.parentElement) colors.parentElement.style.display = fan ? '' : 'none';
+  }
+  const legend = document.getElementById('treeFanLegend');
+  if (legend) {
+    legend.style.display = fan ? '' : 'none';
+    legend.innerHTML = fan
+      ? FAN_CHART_COLORS[fanChartColors()].map(([key, label]) => `<span><i class="fan-swatch ${key}"></i>${escapeHtml(label)}</span>`).join('')
+      : '';
+  }
+}
+
+
+// --- Modals ---
+
+// For viewing person details (GENERIC PROFILE PAGE)
+function openPerson(id) {
+  if (!exists(id)) return;
+  const p = data.people[id];
+
+  const modal = document.getElementById("personModal");
+  const detailsDiv = document.getElementById("personDetails");
+  if (!modal || !detailsDiv) return;
+
+  modal.setAttribute("aria-hidden", "false");
+  modal.style.display = "flex"; // Changed to flex for centering
+  modal.style.alignItems = "center"; // Center vertically
+  modal.style.justifyContent = "center"; // Center horizontally
+
+  let html = "";
+  if (p.photo) {
+    const primaryIndex = Math.max(0, personMedia(p).findIndex(m => m.primary));
+    html += `<img src="${escapeHtml(p.photoMedium || p.photo)}" alt="${escapeHtml(p.name)}" class="profile-photo" onclick="openLightbox(${jsArg(p.id)}, ${primaryIndex})" style="cursor:zoom-in;" />`;
+  } else {
+    html += `<div class="avatar initials profile-photo">${getInitials(p.name)}</div>`;
+  }
+  html += `<h2 class="modal-title${p.deceased ? " name deceased" : ""}">${escapeHtml(p.name || "(Unnamed)")}</h2>`;
+
+  const lifeSpan = lifeSpanText(p);
+  if (lifeSpan) html += `<p class="life-span">${escapeHtml(lifeSpan)}</p>`;
+
+  if (p.gender) html += `<p><strong>Gender:</strong> ${escapeHtml(p.gender)}</p>`;
+  if (p.marriedCity) html += `<p><strong>Married in:</strong> ${escapeHtml(p.marriedCity)}</p>`; // Older records not yet tied to a union
+  if (p.year && !lifeSpan) html += `<p><strong>Significant Year:</strong> ${escapeHtml(p.year)}</p>`;
+
+  const linkNote = (type, labels) => type === 'biological' ? '' : ` <small class="link-type">(${labels[type]})</small>`;
+  const parents = (p.parents || []).filter(pid => exists(pid)).map(pid => `<span class="relations-list" onclick="openPerson(${jsArg(pid)})">${escapeHtml(data.people[pid].name)}</span>${linkNote(parentType(p, pid), PARENT_TYPE_LABELS)}`);
+  if (parents.length) html += `<p><strong>Parents:</strong> ${parents.join(", ")}</p>`;
+
+  const unions = unionsOf(p.id);
+  if (unions.length) {
+    html += `<div class="unions"><strong>${unions.length > 1 ? 'Marriages' : 'Marriage'}:</strong>`;
+    unions.forEach(u => {
+      const spouse = data.people[unionPartner(u, p.id)];
+      const facts = unionFactsText(u);
+      const kids = u.children.filter(cid => exists(cid)).map(cid => `<span class="relations-list" onclick="openPerson(${jsArg(cid)})">${escapeHtml(data.people[cid].name)}</span>`);
+      html += `<div class="union${unionDissolved(u) ? ' dissolved' : ''}">
+        <span class="relations-list ${spouse.deceased ? 'deceased' : ''}" onclick="openPerson(${jsArg(spouse.id)})">${escapeHtml(spouse.name)}</span>
+        ${facts ? `<div class="union-facts">${escapeHtml(facts)}</div>` : ''}
+        ${kids.length ? `<div class="union-children">Children: ${kids.join(", ")}</div>` : ''}
+      </div>`;
+    });
+    html += '</div>';
+  }
+
+  const kids = (p.children || []).filter(cid => exists(cid)).map(cid => `<span class="relations-list" onclick="openPerson(${jsArg(cid)})">${escapeHtml(data.people[cid].name)}</span>${linkNote(parentType(data.people[cid], p.id), CHILD_TYPE_LABELS)}`);
+  if (kids.length) html += `<p><strong>Children:</strong> ${kids.join(", ")}</p>`;
+
+  if (p.bio) html += `<p class="modal-bio">${escapeHtml(p.bio)}</p>`;
+  html += renderGallery(p);
+
+  html += `<div class="row" style="justify-content:flex-end; margin-top:1rem;">
+    <button class="btn secondary" onclick="centerOnPerson(${jsArg(id)})">Show in tree</button>
+    ${parents.length ? `<button class="btn secondary" onclick="openTreeFocus(${jsArg(id)}, 'ancestors')">Ancestors</button>` : ''}
+    ${parents.length ? `<button class="btn secondary" onclick="openTreeFocus(${jsArg(id)}, 'fan')">Fan chart</button>` : ''}
+    ${(p.children || []).some(cid => exists(cid)) ? `<button class="btn secondary" onclick="openTreeFocus(${jsArg(id)}, 'descendants')">Descendants</button>` : ''}
+    ${isAdmin ? `<button class="btn" onclick="openEdit(${jsArg(id)})">Edit</button>
+    <button class="btn danger" onclick="deletePerson(${jsArg(id)})">Delete</button>` : ''}
+  </div>`;
+  detailsDiv.innerHTML = html;
+}
+
+function closePerson() {
+  const modal = document.getElementById("personModal");
+  if (modal) {
+    modal.setAttribute("aria-hidden", "true");
+    modal.style.display = "none";
+  }
+}
+
+// For editing/adding person
+function openEdit(id) {
+  if (!isAdmin) {
+    alert("You must be admin to edit.");
+    return;
+  }
+  closePerson(); // Close view modal if open
+
+  const isNew = !id || !exists(id);
+  const p = isNew
+    ? { id: String(Date.now()), name: "", birthDate: "", birthYear: "", deathDate: "", deathYear: "", bio: "", gender: "", marriedCity: "", parents: [], spouses: [], children: [], photo: "", deceased: false }
+    : { ...data.people[id], parents: [...(data.people[id].parents || [])], spouses: [...(data.people[id].spouses || [])], parentTypes: { ...data.people[id].parentTypes } };
+  p.media = isNew ? [] : personMedia(data.people[id]).map(item => ({ ...item }));
+  _editingPerson = p;
+
+  const editModal = document.getElementById("editModal");
+  const editTitle = document.getElementById("editTitle");
+  const editForm = document.getElementById("editForm");
+  if (!editModal || !editTitle || !editForm) return;
+
+  editTitle.textContent = isNew ? "Add Person" : `Edit ${p.name || "(Unnamed)"}`;
+  editModal.setAttribute("aria-hidden", "false");
+  editModal.style.display = "flex"; // Changed to flex for centering
+  editModal.style.alignItems = "center";
+  editModal.style.justifyContent = "center";
+
+  let html = `<div class="field">
+    <label>Name</label>
+    <input type="text" id="editName" value="${escapeHtml(p.name || "")}" />
+  </div>
+  <div class="field">
     <label>Gender</label>
     <select id="editGender">
       <option value=""></option>
@@ -403,51 +1970,49 @@ function openEdit(id) {
     </select>
   </div>
   <div class="field">
-    <label>Birth Year</label>
-    <input type="text" id="editBirthYear" value="${escapeHtml(p.birthYear || "")}" placeholder="e.g., 1980" />
+    <label>Birth Date</label>
+    <input type="text" id="editBirthDate" value="${escapeHtml(p.birthDate || p.birthYear || "")}" placeholder="${DATE_EXAMPLES}" oninput="showDateHint(this, 'editBirthHint')" />
+    <small id="editBirthHint" class="date-hint"></small>
   </div>
   <div class="field row" style="align-items: center;">
     <input type="checkbox" id="editDeceased" ${p.deceased ? "checked" : ""} style="width: auto; margin-right: 0.5rem;" />
     <label for="editDeceased" style="margin-bottom:0; flex-grow: 1;">Deceased</label>
   </div>
   <div class="field">
-    <label>Death Year</label>
-    <input type="text" id="editDeathYear" value="${escapeHtml(p.deathYear || "")}" placeholder="e.g., 2023" ${p.deceased ? '' : 'disabled'} />
-  </div>
-  <div class="field">
-    <label>Married City</label>
-    <input type="text" id="editMarriedCity" value="${escapeHtml(p.marriedCity || "")}" />
+    <label>Death Date</label>
+    <input type="text" id="editDeathDate" value="${escapeHtml(p.deathDate || p.deathYear || "")}" placeholder="${DATE_EXAMPLES}" oninput="showDateHint(this, 'editDeathHint')" ${p.deceased ? '' : 'disabled'} />
+    <small id="editDeathHint" class="date-hint"></small>
   </div>
+  ${p.marriedCity ? `<div class="field">
+    <label>Married City <small>(older record; marriages below have their own place)</small></label>
+    <input type="text" id="editMarriedCity" value="${escapeHtml(p.marriedCity)}" />
+  </div>` : ''}
   <div class="field">
     <label>Bio</label>
     <textarea id="editBio">${escapeHtml(p.bio || "")}</textarea>
   </div>
 
   <div class="field">
-    <label>Photo (URL or upload)</label>
-    <input type="text" id="editPhotoUrl" value="${escapeHtml(p.photo || "")}" placeholder="Paste image URL or upload below" />
-    <input type="file" id="editPhotoUpload" accept="image/*" style="margin-top:0.3rem;" />
-    ${p.photo ? `<img src="${p.photo}" style="max-width:100%; max-height:100px; object-fit:cover; margin-top:0.5rem; border-radius:0.5rem;" />` : ''}
+    <label>Photos &amp; Media</label>
+    <div id="editMediaList" class="media-edit-list"></div>
+    <input type="file" id="editPhotoUpload" accept="image/jpeg,image/png,image/webp,image/gif" multiple style="margin-top:0.3rem;" />
+    <div class="row" style="margin-top:0.3rem;">
+      <input type="text" id="editMediaUrl" placeholder="…or paste an image URL" style="flex:1;" />
+      <button class="btn secondary" type="button" onclick="addMediaUrl()">Add</button>
+    </div>
+    <small id="editMediaStatus"></small>
   </div>
 
   <h3>Parents</h3>
-  <div id="currentParents">
-    ${(p.parents || []).filter(exists).map(pid => `
-      <span class="pill">${escapeHtml(data.people[pid].name)} <button onclick="removeParent('${p.id}', '${pid}')" class="btn small danger" style="margin-left:5px;">x</button></span>
-    `).join('') || 'None'}
-  </div>
+  <div id="currentParents"></div>
   <div class="field row" style="position:relative;">
     <label style="flex:1;">Add Parent</label>
     <input type="text" id="parentSearchInput" placeholder="Search and select parent..." style="flex:2;" />
     <div id="parentSuggestions" class="autocomplete-suggestions"></div>
   </div>
 
-  <h3>Spouses</h3>
-  <div id="currentSpouses">
-    ${(p.spouses || []).filter(exists).map(sid => `
-      <span class="pill">${escapeHtml(data.people[sid].name)} <button onclick="removeSpouse('${p.id}', '${sid}')" class="btn small danger" style="margin-left:5px;">x</button></span>
-    `).join('') || 'None'}
-  </div>
+  <h3>Marriages</h3>
+  <div id="currentUnions"></div>
   <div class="field row" style="position:relative;">
     <label style="flex:1;">Add Spouse</label>
     <input type="text" id="spouseSearchInput" placeholder="Search and select spouse..." style="flex:2;" />
@@ -456,27 +2021,26 @@ function openEdit(id) {
 
   <div class="row" style="justify-content:flex-end; margin-top:1rem;">
     <button class="btn secondary" onclick="closeEdit()">Cancel</button>
-    <button class="btn" onclick="savePerson('${p.id}', ${isNew})">Save</button>
+    <button class="btn" onclick="savePerson(${jsArg(p.id)}, ${isNew})">Save</button>
   </div>`;
   editForm.innerHTML = html;
+  renderEditRelations();
+  renderEditMedia();
 
   // Event listeners for deceased checkbox and photo upload
   document.getElementById('editDeceased').addEventListener('change', function() {
-    document.getElementById('editDeathYear').disabled = !this.checked;
-    if (!this.checked) document.getElementById('editDeathYear').value = '';
+    document.getElementById('editDeathDate').disabled = !this.checked;
+    if (!this.checked) {
+      document.getElementById('editDeathDate').value = '';
+      document.getElementById('editDeathHint').textContent = '';
+    }
   });
 
   const editPhotoUpload = document.getElementById('editPhotoUpload');
   if(editPhotoUpload) {
     editPhotoUpload.addEventListener('change', async (event) => {
-      const file = event.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          _pendingPhotoDataURL = e.target.result;
-        };
-        reader.readAsDataURL(file);
-      }
+      await uploadEditMedia(event.target.files);
+      event.target.value = '';
     });
   }
 
@@ -491,331 +2055,2623 @@ function closeEdit() {
     modal.setAttribute("aria-hidden", "true");
     modal.style.display = "none";
   }
-  _pendingPhotoDataURL = null; // Clear pending photo on modal close
+  _editingPerson = null;
 }
 
+// Redraws only the parents and marriages so typed but unsaved fields in the form are kept
+function renderEditRelations() {
+  const p = _editingPerson;
+  const parentsDiv = document.getElementById("currentParents");
+  const unionsDiv = document.getElementById("currentUnions");
+  if (!p || !parentsDiv || !unionsDiv) return;
+
+  const source = exists(p.id) ? data.people[p.id] : p;
+  const pills = (ids, removeFn) => (ids || []).filter(rid => exists(rid)).map(rid => `
+    <span class="pill">${escapeHtml(data.people[rid].name)} <button onclick="${removeFn}(${jsArg(p.id)}, ${jsArg(rid)})" class="btn small danger" style="margin-left:5px;">x</button></span>
+  `).join('') || 'None';
+
+  const typeOptions = pid => PARENT_TYPES.map(type =>
+    `<option value="${type}" ${parentType(source, pid) === type ? 'selected' : ''}>${PARENT_TYPE_LABELS[type]}</option>`).join('');
+  parentsDiv.innerHTML = (source.parents || []).filter(pid => exists(pid)).map(pid => `
+    <span class="pill">${escapeHtml(data.people[pid].name)}
+      <select class="link-type-select" onchange="changeParentType(${jsArg(p.id)}, ${jsArg(pid)}, this.value)" aria-label="How ${escapeHtml(data.people[pid].name)} is a parent">${typeOptions(pid)}</select>
+      <button onclick="removeParent(${jsArg(p.id)}, ${jsArg(pid)})" class="btn small danger" style="margin-left:5px;">x</button></span>
+  `).join('') || 'None';
+
+  // A new person only collects spouses; the marriages get their details once the person is saved
+  if (!exists(p.id)) {
+    unionsDiv.innerHTML = pills(p.spouses, 'removeSpouse') +
+      (p.spouses.length ? '<small class="hint">Dates, places and children can be added after saving.</small>' : '');
+    return;
+  }
 
-async function uploadPhoto(photoDataURL) {
-  try {
-    const response = await fetch(`${API_BASE_URL}/upload-photo`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Admin-Key': localStorage.getItem('adminKey') || '',
-      },
-      body: JSON.stringify({ dataURL: photoDataURL }),
-    });
+  const drafts = {};
+  unionsOf(p.id).forEach(u => { drafts[u.id] = readUnionForm(u.id); });
+  unionsDiv.innerHTML = unionsOf(p.id).map(u => renderUnionEditor(u, p.id, drafts[u.id])).join('') || 'None';
+}
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Failed to upload photo: ${errorData.error || response.statusText}`);
-    }
-    const result = await response.json();
-    return result.url;
-  } catch (e) {
-    console.error("Photo upload error:", e);
-    alert("Failed to upload photo: " + e.message);
-    return null;
-  }
+// One marriage in the edit form: its facts, and which of the person's children belong to it
+function renderUnionEditor(union, personId, draft) {
+  const spouse = data.people[unionPartner(union, personId)];
+  const values = draft || union;
+  const id = union.id;
+  const candidates = Array.from(new Set([...data.people[personId].children, ...union.children])).filter(cid => exists(cid));
+  const reasons = Object.entries(UNION_END_REASONS).map(([value, label]) =>
+    `<option value="${value}" ${values.endReason === value ? 'selected' : ''}>${value ? label : '(still together / not known)'}</option>`).join('');
+  const children = candidates.map(cid => {
+    const note = spouse.children.includes(cid) ? '' : ` <small>(adds ${escapeHtml(spouse.name)} as a parent)</small>`;
+    return `<label class="union-child"><input type="checkbox" name="unionChild-${escapeHtml(id)}" value="${escapeHtml(cid)}" ${values.children.includes(cid) ? 'checked' : ''} style="width:auto;" /> ${escapeHtml(data.people[cid].name)}${note}</label>`;
+  }).join('');
+
+  return `<div class="union-edit" data-union="${escapeHtml(id)}">
+    <div class="union-edit-head">
+      <strong>${escapeHtml(spouse.name)}</strong>
+      <button class="btn small danger" type="button" onclick="removeUnion(${jsArg(id)})">Remove</button>
+    </div>
+    <div class="row">
+      <input type="text" id="unionStart-${escapeHtml(id)}" value="${escapeHtml(values.startDate)}" placeholder="Married (date)" oninput="showDateHint(this, ${jsArg(`unionStartHint-${id}`)})" />
+      <input type="text" id="unionPlace-${escapeHtml(id)}" value="${escapeHtml(values.startPlace)}" placeholder="Place" />
+    </div>
+    <small id="unionStartHint-${escapeHtml(id)}" class="date-hint"></small>
+    <div class="row">
+      <input type="text" id="unionEnd-${escapeHtml(id)}" value="${escapeHtml(values.endDate)}" placeholder="Ended (date)" oninput="showDateHint(this, ${jsArg(`unionEndHint-${id}`)})" />
+      <select id="unionEndReason-${escapeHtml(id)}">${reasons}</select>
+    </div>
+    <small id="unionEndHint-${escapeHtml(id)}" class="date-hint"></small>
+    ${children ? `<div class="union-edit-children">Children of this marriage: ${children}</div>` : ''}
+    <div class="row" style="justify-content:flex-end;">
+      <button class="btn small" type="button" onclick="saveUnion(${jsArg(id)})">Save marriage</button>
+    </div>
+  </div>`;
 }
 
-async function savePerson(id, isNew) {
-  if (!isAdmin) {
-    alert("You must be admin to save changes.");
-    return;
-  }
+// The marriage as typed in the edit form, or null when it is not shown
+function readUnionForm(unionId) {
+  const start = document.getElementById(`unionStart-${unionId}`);
+  if (!start) return null;
+  return {
+    startDate: start.value.trim(),
+    startPlace: document.getElementById(`unionPlace-${unionId}`).value.trim(),
+    endDate: document.getElementById(`unionEnd-${unionId}`).value.trim(),
+    endReason: document.getElementById(`unionEndReason-${unionId}`).value,
+    children: Array.from(document.querySelectorAll(`input[name="unionChild-${CSS.escape(unionId)}"]:checked`)).map(box => box.value),
+  };
+}
+
+function unionFormChanged(unionId) {
+  const form = readUnionForm(unionId);
+  const union = data.unions[unionId];
+  if (!form || !union) return false;
+  return ['startDate', 'startPlace', 'endDate', 'endReason'].some(f => form[f] !== (union[f] || '')) ||
+    !sameValue([...form.children].sort(), [...union.children].sort());
+}
+
+// The marriage form as a change for the API, or null (after saying why) when a date can't be read
+function unionChangeFromForm(unionId) {
+  const form = readUnionForm(unionId);
+  const start = parseGenealogicalDate(form.startDate);
+  const end = parseGenealogicalDate(form.endDate);
+  if (form.startDate && !start) {
+    alert(`Marriage date "${form.startDate}" is not a date we can read (${DATE_EXAMPLES}).`);
+    return null;
+  }
+  if (form.endDate && !end) {
+    alert(`End date "${form.endDate}" is not a date we can read (${DATE_EXAMPLES}).`);
+    return null;
+  }
+  if (start && end && dateBounds(start).earliest > dateBounds(end).latest) {
+    alert("A marriage cannot end before it starts.");
+    return null;
+  }
+  return { ...form, startDate: formatGenealogicalDate(start), endDate: formatGenealogicalDate(end) };
+}
+
+// Returns true once the marriage is saved (or there was nothing to save)
+async function saveUnion(unionId) {
+  if (!readUnionForm(unionId)) return true;
+  const change = unionChangeFromForm(unionId);
+  if (!change) return false;
+
+  const result = await personRequest('PATCH', `/unions/${encodeURIComponent(unionId)}`, change);
+  if (!result) return false;
+  // Redraw from the saved record, not the draft
+  const editor = document.querySelector(`.union-edit[data-union="${CSS.escape(unionId)}"]`);
+  if (editor && _editingPerson && data.unions[unionId]) editor.outerHTML = renderUnionEditor(data.unions[unionId], _editingPerson.id);
+  return true;
+}
+
+async function removeUnion(unionId) {
+  const union = data.unions[unionId];
+  if (!union) return;
+  const names = union.partners.map(pid => data.people[pid].name).join(' and ');
+  if (!confirm(`Remove the marriage between ${names}? Their children stay linked to both.`)) return;
+  await personRequest('DELETE', `/unions/${encodeURIComponent(unionId)}`);
+  renderEditRelations();
+}
+
+// Sends one change to the per-person API and merges the people it touched into `data`
+async function personRequest(method, path, body) {
+  if (!isAdmin) {
+    alert("You must be admin to save changes.");
+    return null;
+  }
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    checkSession(response);
+    const result = await response.json();
+    if (result.validation) {
+      showValidationErrors(result.validation);
+      return null;
+    }
+    if (!response.ok) throw new Error(result.error || response.statusText);
+    await applyPeopleChanges(result);
+    return result;
+  } catch (e) {
+    console.error(`Error in ${method} ${path}:`, e);
+    alert("Failed to save change to server. " + e.message);
+    return null;
+  } finally {
+    renderTree();
+    fillSelects();
+    renderNamesList();
+  }
+}
+
+async function applyPeopleChanges(result) {
+  // Someone else saved in between, so the rest of our copy is stale too: reload it all
+  if (result.previousRevision !== dataRevision) {
+    await loadData();
+    return;
+  }
+  [data, baseData].forEach(d => {
+    Object.assign(d.people, structuredClone(result.people || {}));
+    (result.removed || []).forEach(id => delete d.people[id]);
+    d.unions = d.unions || {};
+    Object.assign(d.unions, structuredClone(result.unions || {}));
+    (result.removedUnions || []).forEach(id => delete d.unions[id]);
+  });
+  normalizeData(data);
+  dataRevision = result.revision;
+}
+
+
+// --- Media Gallery ---
+// person.media: [{ id, url, medium, thumb, caption, year, primary }]. The primary item is copied
+// to photo/photoMedium/photoThumb on save, which is what the tree avatar and older data use.
+let _lightbox = null; // { personId, index } while the lightbox is open
+
+function newMediaId() {
+  return `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// The person's media list; people saved before galleries existed get their photo as the only item
+function personMedia(p) {
+  if (Array.isArray(p.media) && p.media.length) return p.media;
+  if (!p.photo) return [];
+  return [{ id: 'photo', url: p.photo, medium: p.photoMedium || '', thumb: p.photoThumb || '', caption: '', year: '', primary: true }];
+}
+
+function mediaThumb(item) {
+  return item.thumb || item.medium || item.url;
+}
+
+function renderGallery(p) {
+  const media = personMedia(p);
+  if (media.length < 2 && !(media[0] && (media[0].caption || media[0].year))) return '';
+  return `<div class="gallery">${media.map((item, i) => `
+    <figure class="gallery-item" onclick="openLightbox(${jsArg(p.id)}, ${i})">
+      <img src="${escapeHtml(mediaThumb(item))}" alt="${escapeHtml(item.caption || p.name)}" loading="lazy" />
+      <figcaption>${escapeHtml(item.caption || '')}${item.year ? ` <small>(${escapeHtml(item.year)})</small>` : ''}</figcaption>
+    </figure>`).join('')}</div>`;
+}
+
+function openLightbox(personId, index) {
+  if (!exists(personId)) return;
+  const media = personMedia(data.people[personId]);
+  if (!media.length) return;
+  _lightbox = { personId, index: (index + media.length) % media.length };
+
+  const item = media[_lightbox.index];
+  const modal = document.getElementById('lightboxModal');
+  const body = document.getElementById('lightboxBody');
+  if (!modal || !body) return;
+  body.innerHTML = `
+    <img src="${escapeHtml(item.medium || item.url)}" alt="${escapeHtml(item.caption || data.people[personId].name)}" class="lightbox-image" />
+    <p class="lightbox-caption">${escapeHtml(item.caption || '')}${item.year ? ` <small>(${escapeHtml(item.year)})</small>` : ''}</p>
+    <div class="row" style="justify-content:space-between;">
+      <button class="btn secondary" type="button" onclick="stepLightbox(-1)"${media.length < 2 ? ' disabled' : ''}>‹ Previous</button>
+      <small>${_lightbox.index + 1} / ${media.length}${isMediaUrl(item.url) ? ` · <a href="${escapeHtml(item.url)}" target="_blank" rel="noopener">Full size</a>` : ''}</small>
+      <button class="btn secondary" type="button" onclick="stepLightbox(1)"${media.length < 2 ? ' disabled' : ''}>Next ›</button>
+    </div>`;
+  modal.setAttribute('aria-hidden', 'false');
+  modal.style.display = 'flex';
+}
+
+function stepLightbox(delta) {
+  if (_lightbox) openLightbox(_lightbox.personId, _lightbox.index + delta);
+}
+
+function closeLightbox() {
+  _lightbox = null;
+  const modal = document.getElementById('lightboxModal');
+  if (modal) {
+    modal.setAttribute('aria-hidden', 'true');
+    modal.style.display = 'none';
+  }
+}
+
+// Shows how a typed date was understood, under its input
+function showDateHint(input, hintId) {
+  const hint = document.getElementById(hintId);
+  if (!hint) return;
+  const text = input.value.trim();
+  const date = parseGenealogicalDate(text);
+  hint.textContent = !text ? '' : date ? `Read as: ${formatGenealogicalDate(date)}` : 'Not a date we can read';
+  hint.classList.toggle('invalid', Boolean(text) && !date);
+}
+
+// Edit form: the list lives in _editingPerson.media until savePerson
+function renderEditMedia() {
+  const listDiv = document.getElementById('editMediaList');
+  if (!listDiv || !_editingPerson) return;
+  const media = _editingPerson.media;
+  if (!media.length) {
+    listDiv.innerHTML = '<div class="hint">No photos yet.</div>';
+    return;
+  }
+  listDiv.innerHTML = media.map((item, i) => `
+    <div class="media-edit-item">
+      <img src="${escapeHtml(mediaThumb(item))}" alt="" />
+      <div class="media-edit-fields">
+        <input type="text" value="${escapeHtml(item.caption || '')}" placeholder="Caption" oninput="updateEditMedia(${i}, 'caption', this.value)" />
+        <input type="text" value="${escapeHtml(item.year || '')}" placeholder="Year" oninput="updateEditMedia(${i}, 'year', this.value)" />
+        <label><input type="radio" name="editMediaPrimary" ${item.primary ? 'checked' : ''} onchange="setPrimaryMedia(${i})" /> Main photo</label>
+      </div>
+      <div class="media-edit-actions">
+        <button class="btn secondary" type="button" onclick="moveEditMedia(${i}, -1)" ${i === 0 ? 'disabled' : ''} title="Move up">↑</button>
+        <button class="btn secondary" type="button" onclick="moveEditMedia(${i}, 1)" ${i === media.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+        <button class="btn danger" type="button" onclick="removeEditMedia(${i})" title="Remove">✖</button>
+      </div>
+    </div>`).join('');
+}
+
+function updateEditMedia(index, field, value) {
+  if (_editingPerson && _editingPerson.media[index]) _editingPerson.media[index][field] = value;
+}
+
+function setPrimaryMedia(index) {
+  _editingPerson.media.forEach((item, i) => { item.primary = i === index; });
+  renderEditMedia();
+}
+
+function moveEditMedia(index, delta) {
+  const media = _editingPerson.media;
+  const target = index + delta;
+  if (target < 0 || target >= media.length) return;
+  [media[index], media[target]] = [media[target], media[index]];
+  renderEditMedia();
+}
+
+function removeEditMedia(index) {
+  const media = _editingPerson.media;
+  const [removed] = media.splice(index, 1);
+  if (removed && removed.primary && media.length) media[0].primary = true;
+  renderEditMedia();
+}
+
+function addEditMedia(item) {
+  const media = _editingPerson.media;
+  media.push({ id: newMediaId(), caption: '', year: '', medium: '', thumb: '', ...item, primary: !media.some(m => m.primary) });
+  renderEditMedia();
+}
+
+function addMediaUrl() {
+  const input = document.getElementById('editMediaUrl');
+  const url = input ? input.value.trim() : '';
+  if (!url) return;
+  if (!isMediaUrl(url)) {
+    alert('Photo links must start with http:// or https://');
+    return;
+  }
+  addEditMedia({ url });
+  input.value = '';
+}
+
+// Photos are uploaded as soon as they are picked, so the list can show them; unused uploads
+// (e.g. when the edit is cancelled) are removed later by the owner's photo cleanup.
+async function uploadEditMedia(files) {
+  const status = document.getElementById('editMediaStatus');
+  for (const file of Array.from(files)) {
+    if (status) status.textContent = `Uploading ${file.name}…`;
+    try {
+      const uploaded = await uploadPhoto(await preparePhoto(file));
+      if (uploaded && _editingPerson) {
+        addEditMedia({ url: uploaded.photo, medium: uploaded.photoMedium, thumb: uploaded.photoThumb });
+      }
+    } catch (e) {
+      alert(`${file.name}: ${e.message}`);
+    }
+  }
+  if (status) status.textContent = '';
+}
+
+// --- Photo Processing ---
+// The server checks the bytes and strips metadata; the browser does the resizing, which also
+// drops EXIF (and GPS) from the smaller copies because the canvas re-encodes them.
+const MAX_PHOTO_MB = 5;
+const PHOTO_MEDIUM_SIDE = 1024;
+const PHOTO_THUMB_SIDE = 160;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error("Could not read the photo file."));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Draws the image no larger than maxSide (keeping its shape) and returns a JPEG data URL
+function resizedPhoto(bitmap, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff'; // JPEG has no transparency
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+async function preparePhoto(file) {
+  if (!PHOTO_TYPES.includes(file.type)) {
+    throw new Error("Please choose a JPEG, PNG, WebP or GIF image.");
+  }
+  if (file.size > MAX_PHOTO_MB * 1024 * 1024) {
+    throw new Error(`That photo is larger than ${MAX_PHOTO_MB} MB. Please choose a smaller one.`);
+  }
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  } catch (e) {
+    throw new Error("That file could not be read as an image.");
+  }
+  try {
+    return {
+      original: await readFileAsDataURL(file),
+      medium: resizedPhoto(bitmap, PHOTO_MEDIUM_SIDE),
+      thumb: resizedPhoto(bitmap, PHOTO_THUMB_SIDE),
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+// Resolves to { photo, photoMedium, photoThumb } URLs, or null when the upload failed
+async function uploadPhoto(pendingPhoto) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/upload-photo`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({ dataURL: pendingPhoto.original, medium: pendingPhoto.medium, thumb: pendingPhoto.thumb }),
+    });
+    checkSession(response);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(`Failed to upload photo: ${errorData.error || response.statusText}`);
+    }
+    const result = await response.json();
+    return { photo: result.photo, photoMedium: result.photoMedium, photoThumb: result.photoThumb };
+  } catch (e) {
+    console.error("Photo upload error:", e);
+    alert("Failed to upload photo: " + e.message);
+    return null;
+  }
+}
+
+async function savePerson(id, isNew) {
+  if (!isAdmin) {
+    alert("You must be admin to save changes.");
+    return;
+  }
+
+  const name = document.getElementById("editName").value.trim();
+  if (!name) {
+    alert("Name is required.");
+    return;
+  }
+
+  const birthText = document.getElementById("editBirthDate").value.trim();
+  const deathText = document.getElementById("editDeathDate").value.trim();
+  const bio = document.getElementById("editBio").value.trim();
+  const gender = document.getElementById("editGender").value;
+  const marriedCityInput = document.getElementById("editMarriedCity"); // Only shown for older records
+  const marriedCity = marriedCityInput ? marriedCityInput.value.trim() : '';
+  const deceased = document.getElementById("editDeceased").checked;
+
+  // Validate dates if provided
+  const birth = parseGenealogicalDate(birthText);
+  const death = deceased ? parseGenealogicalDate(deathText) : null;
+  if (birthText && !birth) {
+    alert(`Birth date "${birthText}" is not a date we can read (${DATE_EXAMPLES}).`);
+    return;
+  }
+  if (deceased && deathText && !death) {
+    alert(`Death date "${deathText}" is not a date we can read (${DATE_EXAMPLES}).`);
+    return;
+  }
+  if (birth && death && dateBounds(birth).earliest > dateBounds(death).latest) {
+    alert("Birth date cannot be after death date.");
+    return;
+  }
+
+  const media = (_editingPerson?.media || []).map(item => ({
+    id: item.id === 'photo' ? newMediaId() : item.id,
+    url: item.url,
+    medium: item.medium || '',
+    thumb: item.thumb || '',
+    caption: (item.caption || '').trim(),
+    year: (item.year || '').trim(),
+    primary: !!item.primary,
+  }));
+  if (media.some(item => item.year && !/^\d{4}$/.test(item.year))) {
+    alert("Photo years must be 4-digit numbers.");
+    return;
+  }
+  if (media.length && !media.some(item => item.primary)) media[0].primary = true;
+  const primary = media.find(item => item.primary);
+
+  const fields = {
+    name,
+    birthDate: formatGenealogicalDate(birth),
+    birthYear: dateYear(birth),
+    deathDate: formatGenealogicalDate(death), // Empty if not deceased
+    deathYear: dateYear(death),
+    bio,
+    gender,
+    marriedCity,
+    photo: primary ? primary.url : '',
+    photoMedium: primary ? primary.medium : '',
+    photoThumb: primary ? primary.thumb : '',
+    media,
+    deceased,
+  };
+  // Old `year` field removed; birthDate/deathDate hold the full dates, birth/deathYear the plain years
+
+  // Marriages edited but not saved on their own go with the person, in the same write
+  const unions = {};
+  for (const union of isNew ? [] : unionsOf(id)) {
+    if (!unionFormChanged(union.id)) continue;
+    const change = unionChangeFromForm(union.id);
+    if (!change) return;
+    unions[union.id] = change;
+  }
+
+  const result = isNew
+    ? await personRequest('POST', '/people', { ...fields, parents: _editingPerson?.parents || [], parentTypes: _editingPerson?.parentTypes || {}, spouses: _editingPerson?.spouses || [] })
+    : await personRequest('PATCH', `/people/${encodeURIComponent(id)}`, { ...fields, unions });
+  if (!result) return;
+  closeEdit(); // Close edit modal
+}
+
+async function deletePerson(id) {
+  if (!isAdmin) {
+    alert("You must be admin to delete.");
+    return;
+  }
+  if (!confirm(`Are you sure you want to delete ${data.people[id].name}? This cannot be undone.`)) {
+    return;
+  }
+
+  const result = await personRequest('DELETE', `/people/${encodeURIComponent(id)}`);
+  if (result) closePerson(); // Close view modal
+}
+
+function fillSelects() {
+  // Selects for Compare section
+  const personASelect = document.getElementById("personA");
+  const personBSelect = document.getElementById("personB");
+
+  [personASelect, personBSelect].forEach(sel => {
+    if (sel) sel.innerHTML = '<option value="">(Select)</option>';
+  });
+
+  Object.values(data.people).sort((a,b) => a.name.localeCompare(b.name)).forEach(p => {
+    if (personASelect) {
+      const optA = document.createElement("option");
+      optA.value = p.id;
+      optA.textContent = p.name;
+      personASelect.appendChild(optA);
+    }
+    if (personBSelect) {
+      const optB = document.createElement("option");
+      optB.value = p.id;
+      optB.textContent = p.name;
+      personBSelect.appendChild(optB);
+    }
+  });
+}
+
+// Links on an existing person are saved right away; a new person keeps them until savePerson
+async function addParent(childId, parentId) {
+  const child = exists(childId) ? data.people[childId] : _editingPerson;
+  if (!child || !parentId || !exists(parentId) || childId === parentId || (child.parents || []).includes(parentId)) return;
+  if (exists(childId)) {
+    await personRequest('POST', `/people/${encodeURIComponent(childId)}/parents`, { parentId });
+  } else {
+    child.parents.push(parentId);
+  }
+  renderEditRelations(); // Show the new parent
+}
+
+async function changeParentType(childId, parentId, type) {
+  if (exists(childId)) {
+    await personRequest('PATCH', `/people/${encodeURIComponent(childId)}/parents/${encodeURIComponent(parentId)}`, { type });
+  } else if (_editingPerson) {
+    _editingPerson.parentTypes = { ...(_editingPerson.parentTypes || {}), [parentId]: type };
+  }
+  renderEditRelations();
+}
+
+async function removeParent(childId, parentId) {
+  if (exists(childId)) {
+    await personRequest('DELETE', `/people/${encodeURIComponent(childId)}/parents/${encodeURIComponent(parentId)}`);
+  } else if (_editingPerson) {
+    _editingPerson.parents = _editingPerson.parents.filter(pid => pid !== parentId);
+  }
+  renderEditRelations();
+}
+
+async function addSpouse(personId, spouseId) {
+  const person = exists(personId) ? data.people[personId] : _editingPerson;
+  if (!person || !spouseId || !exists(spouseId) || personId === spouseId) return;
+  if (exists(personId)) {
+    // People do remarry, so a second marriage to the same spouse is allowed after asking
+    if (person.spouses.includes(spouseId) &&
+        !confirm(`${data.people[spouseId].name} is already a spouse. Add another marriage between them?`)) return;
+    await personRequest('POST', '/unions', { partners: [personId, spouseId] });
+  } else if (!person.spouses.includes(spouseId)) {
+    person.spouses.push(spouseId);
+  }
+  renderEditRelations(); // Show the new marriage
+}
+
+async function removeSpouse(personId, spouseId) {
+  if (exists(personId)) {
+    await personRequest('DELETE', `/people/${encodeURIComponent(personId)}/spouses/${encodeURIComponent(spouseId)}`);
+  } else if (_editingPerson) {
+    _editingPerson.spouses = _editingPerson.spouses.filter(sid => sid !== spouseId);
+  }
+  renderEditRelations();
+}
+
+// --- Autocomplete (NEW) ---
+function setupAutocomplete(inputId, suggestionsId, onSelectCallback) {
+  const input = document.getElementById(inputId);
+  const suggestionsDiv = document.getElementById(suggestionsId);
+  if (!input || !suggestionsDiv) return;
+
+  let currentFocus = -1;
+
+  const filterSuggestions = (query) => {
+    suggestionsDiv.innerHTML = '';
+    currentFocus = -1;
+    if (!query) return;
+
+    const matches = Object.values(data.people).filter(p =>
+      p.name.toLowerCase().includes(query.toLowerCase())
+    ).sort((a,b) => a.name.localeCompare(b.name));
+
+    matches.forEach((p, index) => {
+      const div = document.createElement('div');
+      div.textContent = p.name;
+      div.dataset.id = p.id;
+      div.addEventListener('click', () => {
+        input.value = p.name;
+        suggestionsDiv.innerHTML = '';
+        onSelectCallback(p.id);
+      });
+      suggestionsDiv.appendChild(div);
+    });
+
+    if (matches.length === 0) {
+      suggestionsDiv.innerHTML = '<div>No matches</div>';
+    }
+  };
+
+  input.addEventListener('input', (e) => filterSuggestions(e.target.value));
+
+  input.addEventListener('keydown', (e) => {
+    let items = suggestionsDiv.getElementsByTagName('div');
+    if (e.keyCode === 40) { // Down arrow
+      currentFocus++;
+      addActive(items);
+    } else if (e.keyCode === 38) { // Up arrow
+      currentFocus--;
+      addActive(items);
+    } else if (e.keyCode === 13) { // Enter key
+      e.preventDefault();
+      if (currentFocus > -1) {
+        if (items[currentFocus]) items[currentFocus].click();
+      }
+    }
+  });
+
+  function addActive(items) {
+    if (!items) return false;
+    removeActive(items);
+    if (currentFocus >= items.length) currentFocus = 0;
+    if (currentFocus < 0) currentFocus = (items.length - 1);
+    items[currentFocus].classList.add("selected");
+    items[currentFocus].scrollIntoView({ block: 'nearest' });
+  }
+
+  function removeActive(items) {
+    for (let i = 0; i < items.length; i++) {
+      items[i].classList.remove("selected");
+    }
+  }
+
+  // Close suggestions when clicking outside
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest(`#${suggestionsId}`) && e.target !== input) {
+      suggestionsDiv.innerHTML = '';
+    }
+  });
+}
+
+
+// --- Relationship Checker ---
+
+const ORDINAL_WORDS = ['zeroth', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+function ordinalNumber(n) {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+function ordinalWord(n) {
+  return ORDINAL_WORDS[n] || ordinalNumber(n);
+}
+
+// "", "great-", "great-great-", then "3rd great-", "4th great-", ...
+function greatPrefix(count) {
+  if (count <= 0) return '';
+  if (count <= 2) return 'great-'.repeat(count);
+  return `${ordinalNumber(count)} great-`;
+}
+
+function timesRemoved(n) {
+  if (n === 1) return 'once removed';
+  if (n === 2) return 'twice removed';
+  return `${n} times removed`;
+}
+
+function gendered(person, male, female, neutral) {
+  if (person && person.gender === 'male') return male;
+  if (person && person.gender === 'female') return female;
+  return neutral;
+}
+
+// A person's parents; with `bloodOnly`, only the biological ones
+function parentIds(person, { bloodOnly = false } = {}, d = data) {
+  return (person.parents || []).filter(pid => exists(pid, d) && (!bloodOnly || parentType(person, pid) === 'biological'));
+}
+
+// Every ancestor of a person with the shortest path leading up to them: id -> [personId, parentId, ..., ancestorId]
+function ancestorPaths(id, options) {
+  const paths = new Map([[id, [id]]]);
+  const queue = [id];
+  while (queue.length) {
+    const currentId = queue.shift();
+    parentIds(data.people[currentId], options).forEach(pid => {
+      if (paths.has(pid)) return;
+      paths.set(pid, [...paths.get(currentId), pid]);
+      queue.push(pid);
+    });
+  }
+  return paths;
+}
+
+// The nearest common ancestor, or null. up/down count generations from A and B to that ancestor.
+function commonAncestor(idA, idB, options) {
+  const pathsA = ancestorPaths(idA, options);
+  const pathsB = ancestorPaths(idB, options);
+
+  let best = null;
+  pathsA.forEach((pathA, ancestorId) => {
+    const pathB = pathsB.get(ancestorId);
+    if (!pathB) return;
+    const up = pathA.length - 1;
+    const down = pathB.length - 1;
+    if (!best || up + down < best.up + best.down) best = { ancestorId, up, down, pathA, pathB };
+  });
+  return best;
+}
+
+// Blood relation through the nearest common ancestor, following biological parent links only, or null
+function bloodRelation(idA, idB) {
+  const best = commonAncestor(idA, idB, { bloodOnly: true });
+  if (!best) return null;
+
+  // Half relations: the two lines split at children of the ancestor who share only one parent
+  best.half = false;
+  if (best.up > 0 && best.down > 0) {
+    const branchA = data.people[best.pathA[best.up - 1]];
+    const branchB = data.people[best.pathB[best.down - 1]];
+    const parentsA = parentIds(branchA, { bloodOnly: true });
+    const parentsB = parentIds(branchB, { bloodOnly: true });
+    const shared = parentsA.filter(pid => parentsB.includes(pid)).length;
+    best.half = shared === 1 && Math.max(parentsA.length, parentsB.length) > 1;
+  }
+  return best;
+}
+
+// What `person` is to the other side of a blood relation, e.g. "second cousin once removed"
+function bloodTerm(person, up, down, half = false) {
+  const halfPrefix = half ? 'half-' : '';
+
+  if (up === 0) {
+    if (down === 1) return gendered(person, 'father', 'mother', 'parent');
+    return greatPrefix(down - 2) + gendered(person, 'grandfather', 'grandmother', 'grandparent');
+  }
+  if (down === 0) {
+    if (up === 1) return gendered(person, 'son', 'daughter', 'child');
+    return greatPrefix(up - 2) + gendered(person, 'grandson', 'granddaughter', 'grandchild');
+  }
+  if (up === 1 && down === 1) return halfPrefix + gendered(person, 'brother', 'sister', 'sibling');
+  if (up === 1) return greatPrefix(down - 2) + halfPrefix + gendered(person, 'uncle', 'aunt', 'aunt or uncle');
+  if (down === 1) return greatPrefix(up - 2) + halfPrefix + gendered(person, 'nephew', 'niece', 'niece or nephew');
+
+  const degree = Math.min(up, down) - 1;
+  const removed = Math.abs(up - down);
+  return `${halfPrefix}${ordinalWord(degree)} cousin${removed ? ' ' + timesRemoved(removed) : ''}`;
+}
+
+// Kinship that needs at least one adoptive, step or foster parent link, or null; ask bloodRelation first.
+// `type` is the first such link on the way up from A, then from B, to the common ancestor.
+function nonBloodRelation(idA, idB) {
+  const best = commonAncestor(idA, idB);
+  if (!best) return null;
+  const linkTypes = path => path.slice(0, -1).map((id, index) => parentType(data.people[id], path[index + 1]));
+  const type = [...linkTypes(best.pathA), ...linkTypes(best.pathB)].find(t => t !== 'biological');
+  return type ? { ...best, type } : null;
+}
+
+// "adoptive mother", "adopted son", "stepbrother", "step-uncle", "foster sister"
+function nonBloodTerm(person, relation) {
+  const term = bloodTerm(person, relation.up, relation.down);
+  if (relation.type === 'step') {
+    return /^(father|mother|parent|son|daughter|child|brother|sister|sibling|grand)/.test(term) ? `step${term}` : `step-${term}`;
+  }
+  if (relation.type === 'adoptive') return `${relation.down === 0 ? 'adopted' : 'adoptive'} ${term}`;
+  return `foster ${term}`;
+}
+
+// Relations by marriage: A is tied to B through one spouse (A's or B's)
+function inLawTerm(idA, idB) {
+  const personA = data.people[idA];
+  const personB = data.people[idB];
+  const closest = (candidates) => candidates
+    .filter(c => c.relation)
+    .sort((x, y) => (x.relation.up + x.relation.down) - (y.relation.up + y.relation.down))[0];
+
+  // A's spouse is B's blood relative
+  const viaSpouseOfA = closest((personA.spouses || []).filter(id => exists(id)).map(sid => ({ sid, relation: bloodRelation(sid, idB) })));
+  // A is a blood relative of B's spouse
+  const viaSpouseOfB = closest((personB.spouses || []).filter(id => exists(id)).map(sid => ({ sid, relation: bloodRelation(idA, sid) })));
+
+  const distance = c => c ? c.relation.up + c.relation.down : Infinity;
+  if (viaSpouseOfA && distance(viaSpouseOfA) <= distance(viaSpouseOfB)) {
+    const { up, down, half } = viaSpouseOfA.relation;
+    if (up === 0) return `step${bloodTerm(personA, up, down)}`; // Spouse of B's parent or grandparent
+    if (down === 0) return `${bloodTerm(personA, up, down)}-in-law`; // Spouse of B's child or grandchild
+    return `${bloodTerm(personA, up, down, half)}-in-law`;
+  }
+  if (viaSpouseOfB) {
+    const { up, down, half } = viaSpouseOfB.relation;
+    if (down === 0) return `step${bloodTerm(personA, up, down)}`; // Child of B's spouse
+    return `${bloodTerm(personA, up, down, half)}-in-law`;
+  }
+
+  // Co-parents-in-law: A's child is married to B's child
+  const childrenB = (personB.children || []).filter(id => exists(id));
+  const coParents = (personA.children || []).filter(id => exists(id))
+    .some(cid => (data.people[cid].spouses || []).some(sid => childrenB.includes(sid)));
+  if (coParents) return 'co-parent-in-law';
+
+  // Step-siblings: a parent of A is married to a parent of B
+  const parentsB = (personB.parents || []).filter(id => exists(id));
+  const stepSiblings = (personA.parents || []).filter(id => exists(id))
+    .some(pid => (data.people[pid].spouses || []).some(sid => parentsB.includes(sid)));
+  if (stepSiblings) return gendered(personA, 'stepbrother', 'stepsister', 'stepsibling');
+
+  return null;
+}
+
+// Shortest chain of parent/child/spouse links from A to B, as person IDs (including both ends)
+function findRelationshipPath(idA, idB) {
+  if (!exists(idA) || !exists(idB)) return null;
+  const previous = new Map([[idA, null]]);
+  const queue = [idA];
+
+  while (queue.length > 0) {
+    const currentId = queue.shift();
+    if (currentId === idB) {
+      const path = [];
+      for (let id = idB; id !== null; id = previous.get(id)) path.unshift(id);
+      return path;
+    }
+
+    const currentPerson = data.people[currentId];
+    const neighbors = [
+      ...(currentPerson.parents || []),
+      ...(currentPerson.children || []),
+      ...(currentPerson.spouses || []),
+    ].filter(nid => exists(nid));
+
+    for (const neighborId of neighbors) {
+      if (!previous.has(neighborId)) {
+        previous.set(neighborId, currentId);
+        queue.push(neighborId);
+      }
+    }
+  }
+  return null;
+}
+
+// Describes A relative to B, e.g. "Ann is Tom's second cousin once removed"
+function findRelationship(idA, idB) {
+  if (!exists(idA) || !exists(idB)) return null;
+
+  const personA = data.people[idA];
+  const personB = data.people[idB];
+  const nameA = personA.name || '(Unnamed)';
+  const nameB = personB.name || '(Unnamed)';
+
+  if ((personB.spouses || []).includes(idA)) {
+    const former = isFormerSpouse(idA, idB) ? 'former ' : '';
+    return `${nameA} is ${nameB}'s ${former}${gendered(personA, 'husband', 'wife', 'spouse')}.`;
+  }
+
+  const blood = bloodRelation(idA, idB);
+  if (blood) {
+    const term = bloodTerm(personA, blood.up, blood.down, blood.half);
+    const viaAncestor = blood.up > 0 && blood.down > 0 && !(blood.up === 1 && blood.down === 1)
+      ? ` (nearest common ancestor: ${data.people[blood.ancestorId].name || '(Unnamed)'})`
+      : '';
+    return `${nameA} is ${nameB}'s ${term}${viaAncestor}.`;
+  }
+
+  const kin = nonBloodRelation(idA, idB);
+  if (kin) {
+    const how = { adoptive: 'adoption', step: 'a step-parent link', foster: 'fostering' }[kin.type];
+    return `${nameA} is ${nameB}'s ${nonBloodTerm(personA, kin)} (related through ${how}, not by blood).`;
+  }
+
+  const inLaw = inLawTerm(idA, idB);
+  if (inLaw) return `${nameA} is ${nameB}'s ${inLaw}.`;
+
+  const path = findRelationshipPath(idA, idB);
+  if (path) {
+    return `Related through a path: ${path.map(id => data.people[id].name).join(" -> ")}`;
+  }
+
+  return "No direct relationship found.";
+}
+
+// --- Version History ---
+
+async function loadHistory() {
+  const listDiv = document.getElementById('historyList');
+  if (!listDiv) return;
+  listDiv.innerHTML = '<div class="hint">Loading saved versions…</div>';
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/history`, {
+      headers: authHeaders(),
+    });
+    checkSession(response);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || response.statusText);
+
+    if (!result.snapshots.length) {
+      listDiv.innerHTML = '<div class="hint">No saved versions yet. A version is kept every time the tree is saved.</div>';
+      return;
+    }
+
+    listDiv.innerHTML = result.snapshots.map(s => `
+      <div class="history-item">
+        <span>${escapeHtml(new Date(s.savedAt).toLocaleString())} <small>(${Math.max(1, Math.round(s.size / 1024))} KB)</small></span>
+        <span class="row">
+          <button class="btn secondary" type="button" onclick="previewSnapshot(${jsArg(s.id)})">Preview</button>
+          <button class="btn danger" type="button" onclick="restoreSnapshot(${jsArg(s.id)})">Restore</button>
+        </span>
+      </div>
+    `).join('');
+  } catch (e) {
+    console.error("Error loading history:", e);
+    listDiv.innerHTML = `<div class="hint">Failed to load saved versions: ${escapeHtml(e.message)}</div>`;
+  }
+}
+
+// Compares a snapshot with the tree currently loaded: who would be added, removed or changed by a restore
+function diffPeople(fromData, toData) {
+  const fields = ['name', 'birthDate', 'birthYear', 'deathDate', 'deathYear', 'bio', 'gender', 'marriedCity', 'photo', 'photoMedium', 'photoThumb', 'media', 'deceased', 'parents', 'parentTypes', 'spouses'];
+  const from = fromData.people || {};
+  const to = toData.people || {};
+  const added = Object.keys(to).filter(id => !from[id]);
+  const removed = Object.keys(from).filter(id => !to[id]);
+  // A changed marriage counts as a change to both partners
+  const marriages = (d, id) => stableStringify(unionsOf(id, d));
+  const changed = Object.keys(to).filter(id => from[id] &&
+    (fields.some(f => JSON.stringify(from[id][f] ?? '') !== JSON.stringify(to[id][f] ?? '')) ||
+      marriages(fromData, id) !== marriages(toData, id)));
+  return { added, removed, changed };
+}
+
+async function previewSnapshot(id) {
+  const previewDiv = document.getElementById('historyPreview');
+  if (!previewDiv) return;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/history?id=${encodeURIComponent(id)}`, {
+      headers: authHeaders(),
+    });
+    checkSession(response);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || response.statusText);
+
+    const snapshot = result.data || { people: {} };
+    normalizeData(snapshot);
+    const { added, removed, changed } = diffPeople(data, snapshot);
+    const names = (people, ids) => {
+      const shown = ids.slice(0, 20).map(pid => escapeHtml(people[pid].name || '(Unnamed)')).join(', ');
+      return ids.length > 20 ? `${shown}, …and ${ids.length - 20} more` : shown;
+    };
+
+    previewDiv.innerHTML = `
+      <h4>Version from ${escapeHtml(new Date(id.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z')).toLocaleString())}</h4>
+      <ul>
+        <li><b>${Object.keys(snapshot.people).length}</b> people (currently ${Object.keys(data.people).length})</li>
+        ${added.length ? `<li>Restoring brings back <b>${added.length}</b>: ${names(snapshot.people, added)}</li>` : ''}
+        ${removed.length ? `<li>Restoring removes <b>${removed.length}</b>: ${names(data.people, removed)}</li>` : ''}
+        ${changed.length ? `<li>Restoring changes <b>${changed.length}</b>: ${names(snapshot.people, changed)}</li>` : ''}
+        ${!added.length && !removed.length && !changed.length ? '<li>Same people and details as the current tree.</li>' : ''}
+      </ul>
+      <div class="row">
+        <button class="btn danger" type="button" onclick="restoreSnapshot(${jsArg(id)})">Restore this version</button>
+        <button class="btn secondary" type="button" onclick="closeSnapshotPreview()">Close</button>
+      </div>
+    `;
+    previewDiv.style.display = 'block';
+  } catch (e) {
+    console.error("Error previewing version:", e);
+    alert("Failed to load this version: " + e.message);
+  }
+}
+
+function closeSnapshotPreview() {
+  const previewDiv = document.getElementById('historyPreview');
+  if (previewDiv) {
+    previewDiv.innerHTML = '';
+    previewDiv.style.display = 'none';
+  }
+}
+
+async function restoreSnapshot(id) {
+  if (!hasRole('owner')) { alert("Owner access required."); return; }
+  if (!confirm("Replace the current tree with this saved version? The current tree stays in the history, so this can be undone.")) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/restore`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({ id }),
+    });
+    checkSession(response);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || response.statusText);
+
+    closeSnapshotPreview();
+    await loadData();
+    await loadHistory();
+    alert("Version restored!");
+  } catch (e) {
+    console.error("Error restoring version:", e);
+    alert("Failed to restore this version: " + e.message);
+  }
+}
+
+// --- Photo Cleanup ---
+let _unusedPhotoKeys = [];
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function keepHistoryPhotos() {
+  const checkbox = document.getElementById('photoKeepHistory');
+  return !checkbox || checkbox.checked;
+}
+
+// Dry run: asks the server which photos nothing uses and lists them
+async function scanUnusedPhotos() {
+  const listDiv = document.getElementById('photoCleanupList');
+  if (!listDiv) return;
+  _unusedPhotoKeys = [];
+  listDiv.innerHTML = '<div class="hint">Looking for unused photos…</div>';
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/cleanup-photos?keepHistory=${keepHistoryPhotos()}`, {
+      headers: authHeaders(),
+    });
+    checkSession(response);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || response.statusText);
+
+    const skipped = result.recentSkipped
+      ? ` ${result.recentSkipped} recent upload(s) were left alone in case they are still being saved.`
+      : '';
+    if (!result.orphans.length) {
+      listDiv.innerHTML = `<div class="hint">No unused photos.${skipped}</div>`;
+      return;
+    }
+
+    _unusedPhotoKeys = result.orphans.map(o => o.key);
+    listDiv.innerHTML = `
+      <div class="history-item">
+        <span><b>${result.orphans.length} unused photo(s), ${formatBytes(result.totalBytes)}</b>${skipped ? `<br><small>${skipped.trim()}</small>` : ''}</span>
+        <button class="btn danger" type="button" onclick="deleteUnusedPhotos()">Delete All</button>
+      </div>
+      ${result.orphans.map(o => `
+        <div class="history-item">
+          <span><a href="${escapeHtml(o.url)}" target="_blank" rel="noopener">${escapeHtml(o.key)}</a></span>
+          <small>${formatBytes(o.size)} · ${escapeHtml(new Date(o.uploadedAt).toLocaleDateString())}</small>
+        </div>
+      `).join('')}`;
+  } catch (e) {
+    console.error("Error finding unused photos:", e);
+    listDiv.innerHTML = `<div class="hint">Failed to look for unused photos: ${escapeHtml(e.message)}</div>`;
+  }
+}
+
+async function deleteUnusedPhotos() {
+  if (!hasRole('owner')) { alert("Owner access required."); return; }
+  if (!_unusedPhotoKeys.length) return;
+  if (!confirm(`Delete ${_unusedPhotoKeys.length} unused photo(s)? This cannot be undone.`)) return;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/cleanup-photos`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({ keys: _unusedPhotoKeys, keepHistory: keepHistoryPhotos() }),
+    });
+    checkSession(response);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || response.statusText);
+    alert(`Deleted ${result.deleted.length} photo(s), freeing ${formatBytes(result.deletedBytes)}.`);
+  } catch (e) {
+    console.error("Error deleting unused photos:", e);
+    alert("Failed to delete unused photos: " + e.message);
+  }
+  await scanUnusedPhotos();
+}
+
+// --- Problems (data consistency) ---
+// Each rule looks at one person and returns what is wrong with them, as messages.
+// Which rules run, and the youngest believable parent age, are kept per browser.
+const PROBLEM_RULES = [
+  {
+    id: 'ownAncestor',
+    label: 'Person is their own ancestor',
+    check: (p, d) => isOwnAncestor(p.id, d) ? ['Appears among their own ancestors; one of the parent links is wrong'] : [],
+  },
+  {
+    id: 'bornBeforeParent',
+    label: 'Child born before a parent',
+    check: (p, d) => birthParentPairs(p, d)
+      .filter(({ child, parent }) => child.latest < parent.earliest)
+      .map(({ parentPerson }) => `Born ${formatGenealogicalDate(personDate(p, 'birth'))}, before ${parentPerson.name || '(Unnamed)'} (born ${formatGenealogicalDate(personDate(parentPerson, 'birth'))})`),
+  },
+  {
+    id: 'youngParent',
+    label: 'Parent too young at the birth',
+    check: (p, d, settings) => birthParentPairs(p, d)
+      .filter(({ child, parent }) => child.latest >= parent.earliest && child.latest < parent.earliest + settings.minParentAge * 10000)
+      .map(({ parentPerson }) => `${parentPerson.name || '(Unnamed)'} was under ${settings.minParentAge} at the birth (born ${formatGenealogicalDate(personDate(parentPerson, 'birth'))})`),
+  },
+  {
+    id: 'tooManyParents',
+    label: 'More than two biological parents',
+    check: (p, d) => {
+      const biological = (p.parents || []).filter(pid => exists(pid, d) && parentType(p, pid) === 'biological');
+      return biological.length > 2
+        ? [`Has ${biological.length} biological parents: ${biological.map(pid => d.people[pid].name || '(Unnamed)').join(', ')}`]
+        : [];
+    },
+  },
+  {
+    id: 'noDeathDate',
+    label: 'Deceased with no death date',
+    check: p => p.deceased && !personDate(p, 'death') ? ['Marked as deceased but has no death date or year'] : [],
+  },
+];
+const DEFAULT_MIN_PARENT_AGE = 12;
+
+function isOwnAncestor(id, d) {
+  const seen = new Set();
+  const stack = [...(d.people[id].parents || [])];
+  while (stack.length) {
+    const pid = stack.pop();
+    if (pid === id) return true;
+    if (seen.has(pid) || !exists(pid, d)) continue;
+    seen.add(pid);
+    stack.push(...(d.people[pid].parents || []));
+  }
+  return false;
+}
+
+// Birth bounds of a child and each biological parent; adoptive, step and foster parents can be any age
+function birthParentPairs(p, d) {
+  const birth = personDate(p, 'birth');
+  if (!birth) return [];
+  return parentIds(p, { bloodOnly: true }, d)
+    .map(pid => ({ parentPerson: d.people[pid], parentBirth: personDate(d.people[pid], 'birth') }))
+    .filter(({ parentBirth }) => parentBirth)
+    .map(({ parentPerson, parentBirth }) => ({ parentPerson, child: dateBounds(birth), parent: dateBounds(parentBirth) }));
+}
+
+function problemSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem('problemSettings') || '{}') || {};
+  } catch {
+    saved = {};
+  }
+  const minParentAge = parseInt(saved.minParentAge, 10);
+  return {
+    disabled: Array.isArray(saved.disabled) ? saved.disabled : [],
+    minParentAge: minParentAge > 0 ? minParentAge : DEFAULT_MIN_PARENT_AGE,
+  };
+}
+
+// Runs the enabled rules over everyone: [{ ruleId, label, id, name, message }], grouped by rule
+function findProblems(d = data, settings = problemSettings()) {
+  const problems = [];
+  PROBLEM_RULES.filter(rule => !settings.disabled.includes(rule.id)).forEach(rule => {
+    Object.values(d.people || {}).forEach(p => {
+      rule.check(p, d, settings).forEach(message => {
+        problems.push({ ruleId: rule.id, label: rule.label, id: p.id, name: p.name || '(Unnamed)', message });
+      });
+    });
+  });
+  return problems;
+}
+
+function renderProblemRules() {
+  const rulesDiv = document.getElementById('problemRules');
+  if (!rulesDiv) return;
+  const settings = problemSettings();
+  rulesDiv.innerHTML = PROBLEM_RULES.map(rule => `
+    <label><input type="checkbox" value="${rule.id}" onchange="saveProblemSettings()"${settings.disabled.includes(rule.id) ? '' : ' checked'} /> ${escapeHtml(rule.label)}</label>
+  `).join('') + `
+    <label>Youngest parent age <input id="minParentAge" type="number" min="1" max="30" value="${settings.minParentAge}" onchange="saveProblemSettings()" /></label>`;
+}
+
+function saveProblemSettings() {
+  const rulesDiv = document.getElementById('problemRules');
+  if (!rulesDiv) return;
+  const disabled = [...rulesDiv.querySelectorAll('input[type="checkbox"]')].filter(box => !box.checked).map(box => box.value);
+  const minParentAge = parseInt(document.getElementById('minParentAge').value, 10);
+  localStorage.setItem('problemSettings', JSON.stringify({ disabled, minParentAge }));
+  if (document.getElementById('problemsList').innerHTML) checkProblems();
+}
+
+// Lists every problem with a shortcut into the edit form. With `scroll`, brings the panel into view
+// when something turned up (used after an import).
+function checkProblems({ scroll = false } = {}) {
+  const listDiv = document.getElementById('problemsList');
+  if (!listDiv) return [];
+  const problems = findProblems();
+  if (!problems.length) {
+    listDiv.innerHTML = `<div class="hint">No problems found in ${Object.keys(data.people).length} people.</div>`;
+    return problems;
+  }
+
+  const byRule = {};
+  problems.forEach(problem => (byRule[problem.ruleId] = byRule[problem.ruleId] || []).push(problem));
+  listDiv.innerHTML = Object.values(byRule).map(group => `
+    <details open class="problem-group">
+      <summary>${escapeHtml(group[0].label)} (${group.length})</summary>
+      ${group.map(problem => `
+        <div class="history-item">
+          <span><a href="#" onclick="openEdit(${jsArg(problem.id)}); return false;">${escapeHtml(problem.name)}</a><br><small>${escapeHtml(problem.message)}</small></span>
+        </div>
+      `).join('')}
+    </details>
+  `).join('');
+  if (scroll) document.getElementById('problemsCard')?.scrollIntoView({ behavior: 'smooth' });
+  return problems;
+}
+
+// --- Duplicates ---
+// Pairs of people who may be the same ancestor entered twice, scored 0-100 from how alike the names
+// are, whether the years agree and how many relatives they share. Pairs marked "not the same" are
+// remembered per browser.
+const DUPLICATE_MIN_SCORE = 60;
+let _pendingPersonMerge = null; // { ids: [a, b], options: { field: [values] }, media } while the merge screen is open
+
+function nameTokens(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z\s]/g, ' ').trim().split(/\s+/).filter(Boolean);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function textSimilarity(a, b) {
+  if (!a && !b) return 1;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// 0-1: spelling variants, swapped name order and initials ("J. Smith") all count as close
+function nameSimilarity(nameA, nameB) {
+  const a = nameTokens(nameA);
+  const b = nameTokens(nameB);
+  if (!a.length || !b.length) return 0;
+  const word = (x, y) => (x === y ? 1 : (x.length === 1 || y.length === 1) && x[0] === y[0] ? 0.8 : textSimilarity(x, y));
+  return Math.max(
+    textSimilarity(a.join(' '), b.join(' ')),
+    textSimilarity([...a].sort().join(' '), [...b].sort().join(' ')),
+    (word(a[0], b[0]) + word(a[a.length - 1], b[b.length - 1])) / 2,
+  );
+}
+
+// { score, reasons } for two people, or null when they cannot be the same person
+function duplicateScore(a, b, d = data) {
+  if (a.gender && b.gender && a.gender !== b.gender) return null;
+  const linked = ['parents', 'children', 'spouses'].some(rel => (a[rel] || []).includes(b.id));
+  if (linked) return null;
+
+  const names = nameSimilarity(a.name, b.name);
+  if (names < 0.75) return null;
+  let score = names * 60;
+  const reasons = [names === 1 ? 'same name' : `similar names (${Math.round(names * 100)}%)`];
+
+  for (const kind of ['birth', 'death']) {
+    const dateA = personDate(a, kind);
+    const dateB = personDate(b, kind);
+    if (!dateA || !dateB) continue;
+    const gap = Math.abs(dateA.start.year - dateB.start.year);
+    if (gap > 10) return null;
+    if (gap === 0) score += 15;
+    else if (gap <= 2) score += 8;
+    else if (gap > 5) score -= 10;
+    reasons.push(gap === 0 ? `same ${kind} year` : `${kind} years ${gap} apart`);
+  }
+
+  // The same relative, or relatives who look like duplicates themselves
+  const relatives = (p, rel) => (p[rel] || []).filter(id => exists(id, d)).map(id => d.people[id]);
+  [['parents', 'parent', 'parents'], ['spouses', 'spouse', 'spouses'], ['children', 'child', 'children']].forEach(([rel, one, many]) => {
+    const others = relatives(b, rel);
+    const shared = relatives(a, rel).filter(relative =>
+      others.some(other => other.id === relative.id || nameSimilarity(other.name, relative.name) >= 0.85)).length;
+    if (!shared) return;
+    score += Math.min(shared, 2) * 10;
+    reasons.push(`${shared} shared ${shared === 1 ? one : many}`);
+  });
+
+  return { score: Math.max(0, Math.min(100, Math.round(score))), reasons };
+}
+
+function dismissedDuplicates() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem('notDuplicates') || '[]'));
+  } catch {
+    return new Set();
+  }
+}
+
+function duplicatePairKey(idA, idB) {
+  return [idA, idB].sort().join('|');
+}
+
+// Candidate pairs, best first. Only people sharing the first letter of a first or last name are compared.
+function findDuplicates(d = data) {
+  const groups = {};
+  Object.values(d.people).forEach(p => {
+    const tokens = nameTokens(p.name);
+    if (!tokens.length) return;
+    new Set([`first:${tokens[0][0]}`, `last:${tokens[tokens.length - 1][0]}`]).forEach(key => (groups[key] = groups[key] || []).push(p));
+  });
+
+  const dismissed = dismissedDuplicates();
+  const seen = new Set();
+  const pairs = [];
+  Object.values(groups).forEach(group => {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const key = duplicatePairKey(group[i].id, group[j].id);
+        if (seen.has(key) || dismissed.has(key)) continue;
+        seen.add(key);
+        const match = duplicateScore(group[i], group[j], d);
+        if (match && match.score >= DUPLICATE_MIN_SCORE) pairs.push({ ids: [group[i].id, group[j].id], ...match });
+      }
+    }
+  });
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+function renderDuplicates() {
+  const listDiv = document.getElementById('duplicatesList');
+  if (!listDiv) return;
+  const pairs = findDuplicates();
+  if (!pairs.length) {
+    listDiv.innerHTML = '<div class="hint">No likely duplicates found.</div>';
+    return;
+  }
+  const label = id => {
+    const p = data.people[id];
+    const span = lifeSpanText(p, { short: true });
+    return `${escapeHtml(p.name || '(Unnamed)')}${span ? ` <small>(${escapeHtml(span)})</small>` : ''}`;
+  };
+  listDiv.innerHTML = pairs.map(pair => `
+    <div class="history-item">
+      <span><b>${pair.score}</b> · ${label(pair.ids[0])} and ${label(pair.ids[1])}<br><small>${escapeHtml(pair.reasons.join(', '))}</small></span>
+      <span class="row">
+        <button class="btn" type="button" onclick="openPersonMerge(${jsArg(pair.ids[0])}, ${jsArg(pair.ids[1])})">Compare</button>
+        <button class="btn secondary" type="button" onclick="dismissDuplicate(${jsArg(pair.ids[0])}, ${jsArg(pair.ids[1])})">Not the same</button>
+      </span>
+    </div>
+  `).join('');
+}
+
+function dismissDuplicate(idA, idB) {
+  const dismissed = dismissedDuplicates();
+  dismissed.add(duplicatePairKey(idA, idB));
+  localStorage.setItem('notDuplicates', JSON.stringify([...dismissed]));
+  renderDuplicates();
+}
+
+// Fields picked on the merge screen; dates are offered in their display form
+const PERSON_MERGE_FIELDS = [
+  { field: 'name', label: 'Name', value: p => p.name || '' },
+  { field: 'gender', label: 'Gender', value: p => p.gender || '' },
+  { field: 'birthDate', label: 'Birth', value: p => formatGenealogicalDate(personDate(p, 'birth')) },
+  { field: 'deceased', label: 'Deceased', value: p => !!p.deceased },
+  { field: 'deathDate', label: 'Death', value: p => formatGenealogicalDate(personDate(p, 'death')) },
+  { field: 'marriedCity', label: 'Married City', value: p => p.marriedCity || '' },
+  { field: 'bio', label: 'Biography', value: p => p.bio || '' },
+];
+
+// Both galleries in one list; items that clash by ID get a new one, and the same photo only appears once
+function combinedMedia(a, b) {
+  const media = structuredClone(personMedia(a));
+  personMedia(b).forEach(item => {
+    if (media.some(existing => existing.url === item.url)) return;
+    const copy = { ...item, primary: false };
+    if (media.some(existing => existing.id === copy.id)) copy.id = newMediaId();
+    media.push(copy);
+  });
+  return media;
+}
+
+function openPersonMerge(idA, idB) {
+  if (!isAdmin) { alert("You must be admin to merge people."); return; }
+  if (!exists(idA) || !exists(idB)) return;
+  const modal = document.getElementById('personMergeModal');
+  const body = document.getElementById('personMergeBody');
+  if (!modal || !body) return;
+
+  const [a, b] = [data.people[idA], data.people[idB]];
+  const options = {};
+  const media = combinedMedia(a, b);
+  _pendingPersonMerge = { ids: [idA, idB], options, media };
+
+  const showValue = value => {
+    if (value === '' || value === undefined) return '<i>empty</i>';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return escapeHtml(String(value));
+  };
+  const names = ids => ids.filter(id => exists(id)).map(id => escapeHtml(data.people[id].name || '(Unnamed)')).join(', ') || '<i>none</i>';
+  const combined = rel => Array.from(new Set([...(a[rel] || []), ...(b[rel] || [])])).filter(id => id !== idA && id !== idB);
+
+  let html = `<p>Pick the value to keep where the two records differ. Relatives, marriages and photos of both are combined, and every link to the removed record moves to the kept one.</p>
+    <div class="merge-conflict">
+      <div class="merge-label">Keep the record of</div>
+      <label><input type="radio" name="personMergeKeep" value="0" checked /> ${escapeHtml(a.name || '(Unnamed)')} <small>(${escapeHtml(idA)})</small></label>
+      <label><input type="radio" name="personMergeKeep" value="1" /> ${escapeHtml(b.name || '(Unnamed)')} <small>(${escapeHtml(idB)})</small></label>
+    </div>`;
+
+  PERSON_MERGE_FIELDS.forEach(({ field, label, value }) => {
+    const values = [value(a), value(b)];
+    if (field === 'bio' && values[0] && values[1] && values[0] !== values[1]) values.push(`${values[0]}\n\n${values[1]}`);
+    options[field] = values;
+    if (values[0] === values[1]) return;
+    const preferred = values[0] === '' ? 1 : 0;
+    html += `<div class="merge-conflict">
+      <div class="merge-label">${label}</div>
+      ${values.map((v, i) => `<label><input type="radio" name="personMerge-${field}" value="${i}"${i === preferred ? ' checked' : ''} /> ${i === 2 ? 'Both' : showValue(v)}</label>`).join('')}
+    </div>`;
+  });
+
+  html += `<div class="merge-conflict">
+    <div class="merge-label">Combined relatives</div>
+    <div><small>Parents:</small> ${names(combined('parents'))}</div>
+    <div><small>Spouses:</small> ${names(combined('spouses'))}</div>
+    <div><small>Children:</small> ${names(combined('children'))}</div>
+  </div>`;
+
+  if (media.length) {
+    const primary = Math.max(0, media.findIndex(item => item.primary));
+    html += `<div class="merge-conflict">
+      <div class="merge-label">Photos (${media.length}) — pick the main one</div>
+      <div class="gallery">${media.map((item, i) => `
+        <label class="gallery-item">
+          <img src="${escapeHtml(mediaThumb(item))}" alt="${escapeHtml(item.caption || '')}" loading="lazy" />
+          <input type="radio" name="personMergePhoto" value="${i}"${i === primary ? ' checked' : ''} />
+        </label>`).join('')}</div>
+    </div>`;
+  }
+
+  html += `<div class="row" style="justify-content:flex-end; margin-top:1rem;">
+    <button class="btn secondary" type="button" onclick="closePersonMerge()">Cancel</button>
+    <button class="btn" type="button" onclick="applyPersonMerge()">Merge</button>
+  </div>`;
+
+  body.innerHTML = html;
+  modal.setAttribute('aria-hidden', 'false');
+  modal.style.display = 'flex';
+  modal.style.alignItems = 'center';
+  modal.style.justifyContent = 'center';
+}
+
+function closePersonMerge() {
+  const modal = document.getElementById('personMergeModal');
+  if (modal) {
+    modal.setAttribute('aria-hidden', 'true');
+    modal.style.display = 'none';
+  }
+  _pendingPersonMerge = null;
+}
+
+async function applyPersonMerge() {
+  if (!_pendingPersonMerge) return;
+  const { ids, options, media } = _pendingPersonMerge;
+  const picked = name => document.querySelector(`input[name="${name}"]:checked`);
+  const keepIndex = Number(picked('personMergeKeep')?.value || 0);
+  const [keepId, duplicateId] = keepIndex === 0 ? ids : [ids[1], ids[0]];
+
+  const fields = {};
+  Object.entries(options).forEach(([field, values]) => {
+    const choice = picked(`personMerge-${field}`);
+    fields[field] = values[choice ? Number(choice.value) : 0];
+  });
+  if (!fields.name.trim()) { alert("Name is required."); return; }
+  if (!fields.deceased) fields.deathDate = '';
+
+  const primaryIndex = Number(picked('personMergePhoto')?.value || 0);
+  fields.media = media.map((item, i) => ({ ...item, primary: i === primaryIndex }));
+  const main = fields.media[primaryIndex];
+  fields.photo = main ? main.url : '';
+  fields.photoMedium = main ? main.medium || '' : '';
+  fields.photoThumb = main ? main.thumb || '' : '';
+
+  const duplicateName = data.people[duplicateId].name || '(Unnamed)';
+  if (!confirm(`Merge ${duplicateName} (${duplicateId}) into ${fields.name} (${keepId})? The record ${duplicateId} will be removed.`)) return;
+
+  const result = await personRequest('POST', `/people/${encodeURIComponent(keepId)}/merge`, { duplicateId, fields });
+  if (!result) return;
+  closePersonMerge();
+  renderDuplicates();
+}
+
+// --- GEDCOM Import ---
+
+// Parses GEDCOM 5.5.1 / 7.0 text into a tree of { level, xref, tag, value, children } records.
+function parseGedcom(text) {
+  const root = { level: -1, tag: 'ROOT', value: '', children: [] };
+  const stack = [root];
+  const warnings = [];
+
+  String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const match = line.match(/^(\d+)\s+(?:(@[^@\s]+@)\s+)?([A-Za-z0-9_]+)(?:\s(.*))?$/);
+    if (!match) {
+      warnings.push(`Line ${index + 1}: could not parse "${line}"`);
+      return;
+    }
+
+    const level = parseInt(match[1], 10);
+    const tag = match[3].toUpperCase();
+    const value = (match[4] || '').replace(/^@@/, '@'); // GEDCOM 7 escapes a leading @
+
+    const parent = stack[level];
+    if (!parent || level > stack.length - 1) {
+      warnings.push(`Line ${index + 1}: level ${level} has no parent record`);
+      return;
+    }
+
+    // Continuation lines extend the value of their parent instead of becoming records
+    if (tag === 'CONT' || tag === 'CONC') {
+      parent.value += (tag === 'CONT' ? '\n' : '') + value;
+      return;
+    }
+
+    const node = { level, xref: match[2] || null, tag, value, children: [], line: index + 1 };
+    parent.children.push(node);
+    stack.length = level + 1;
+    stack.push(node);
+  });
+
+  return { records: root.children, warnings };
+}
+
+function gedcomChild(node, tag) {
+  return node.children.find(c => c.tag === tag);
+}
+
+function gedcomChildren(node, tag) {
+  return node.children.filter(c => c.tag === tag);
+}
+
+// Undoes gedcomIdToXref: drops the "I" and decodes the _HH escapes. Xrefs from other programs
+// ("@I12@", "@P7@") come through as their own text, minus a leading "I". Returns '' when the result
+// is not a valid ID (see ID_PATTERN), so the importer picks one of its own.
+function gedcomXrefToId(xref) {
+  const body = String(xref || '').replace(/^@|@$/g, '').replace(/^I(?=.)/, '');
+  let id;
+  try {
+    id = decodeURIComponent(body.replace(/%/g, '%25').replace(/_([0-9A-Fa-f]{2})/g, '%$1'));
+  } catch {
+    id = body; // Escapes that aren't UTF-8: keep the text as it is
+  }
+  return ID_PATTERN.test(id) ? id : '';
+}
+
+// Turns "John /Smith/ Jr." (or GIVN/SURN parts) into a display name
+function gedcomName(nameNode) {
+  let name = (nameNode.value || '').replace(/\//g, ' ');
+  if (!name.trim()) {
+    name = ['NPFX', 'GIVN', 'SPFX', 'SURN', 'NSFX']
+      .map(tag => gedcomChild(nameNode, tag)?.value || '')
+      .join(' ');
+  }
+  return name.replace(/\s+/g, ' ').trim();
+}
+
+// Reduces a GEDCOM DATE value to the 4-digit year this app stores
+function gedcomYear(dateValue, label, warnings) {
+  const value = String(dateValue || '').trim();
+  if (!value) return '';
+  const year = value.match(/\b(\d{4})\b/);
+  if (!year) {
+    warnings.push(`${label}: date "${value}" has no 4-digit year and was skipped`);
+    return '';
+  }
+  if (!/^(@#DGREGORIAN@\s+)?((\d{1,2}\s+)?(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s+)?\d{4}$/i.test(value)) {
+    warnings.push(`${label}: date "${value}" was reduced to the year ${year[1]}`);
+  }
+  return year[1];
+}
+
+// A GEDCOM date as birthDate/deathDate text. Forms we cannot keep (other calendars,
+// interpreted dates, open-ended FROM periods) fall back to the year, with a warning.
+function gedcomDate(dateValue, label, warnings) {
+  const value = String(dateValue || '').trim().replace(/^@#DGREGORIAN@\s+/i, '');
+  if (!value) return '';
+  const date = parseGenealogicalDate(value);
+  return date ? formatGenealogicalDate(date) : gedcomYear(dateValue, label, warnings);
+}
+
+// _FREL/_MREL and PEDI values as a parent link type, or '' when not recognized
+function gedcomParentType(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (['natural', 'birth', 'biological'].includes(v)) return 'biological';
+  if (['adopted', 'adoptive'].includes(v)) return 'adoptive';
+  if (['step', 'stepchild'].includes(v)) return 'step';
+  if (v === 'foster') return 'foster';
+  return '';
+}
+
+function gedcomToFamilyData(text) {
+  const { records, warnings } = parseGedcom(text);
+  const people = {};
+  const unions = {};
+  const idsByXref = {};
+  const notesByXref = {};
+  const unmappedTags = {};
+  const summary = { version: '', individuals: 0, families: 0, parentLinks: 0, spouseLinks: 0, notes: 0 };
+
+  const unmapped = (path) => { unmappedTags[path] = (unmappedTags[path] || 0) + 1; };
+  const personLabel = (p) => `${p.name || '(Unnamed)'} (${p.id})`;
+
+  const head = records.find(r => r.tag === 'HEAD');
+  if (head) {
+    summary.version = gedcomChild(head, 'GEDC') && gedcomChild(gedcomChild(head, 'GEDC'), 'VERS')?.value || '';
+    const charset = gedcomChild(head, 'CHAR')?.value || '';
+    if (/ANSEL/i.test(charset)) warnings.push('File uses ANSEL encoding; accented characters may be garbled. Re-export as UTF-8 if possible.');
+  } else {
+    warnings.push('No HEAD record found; this may not be a GEDCOM file.');
+  }
+
+  // Shared notes are referenced by pointer (NOTE in 5.5.1, SNOTE in 7.0)
+  records.filter(r => (r.tag === 'NOTE' || r.tag === 'SNOTE') && r.xref).forEach(r => {
+    notesByXref[r.xref] = r.value;
+  });
+
+  const noteText = (noteNode) => {
+    if (/^@[^@\s]+@$/.test(noteNode.value)) {
+      if (!(noteNode.value in notesByXref)) {
+        warnings.push(`Note ${noteNode.value} is referenced but not defined`);
+        return '';
+      }
+      return notesByXref[noteNode.value];
+    }
+    return noteNode.value;
+  };
+
+  // First pass: individuals
+  const individuals = records.filter(r => r.tag === 'INDI');
+  individuals.forEach(indi => {
+    let id = gedcomXrefToId(indi.xref);
+    if (!id || people[id]) {
+      id = `ged${indi.line}`;
+      warnings.push(`Line ${indi.line}: individual without a unique, usable ID was given ID ${id}`);
+    }
+    if (indi.xref) idsByXref[indi.xref] = id;
+
+    const person = { id, name: '', birthDate: '', birthYear: '', deathDate: '', deathYear: '', bio: '', gender: '', marriedCity: '', parents: [], spouses: [], children: [], photo: '', deceased: false };
+    const bio = [];
+    const media = [];
+    let hasName = false;
+
+    indi.children.forEach(field => {
+      switch (field.tag) {
+        case 'NAME':
+          if (hasName) { unmapped('INDI.NAME (additional)'); break; }
+          person.name = gedcomName(field);
+          hasName = true;
+          break;
+        case 'SEX':
+          person.gender = { M: 'male', F: 'female', X: 'other' }[field.value.trim().toUpperCase()] || '';
+          break;
+        case 'BIRT':
+          person.birthDate = gedcomDate(gedcomChild(field, 'DATE')?.value, `${personLabel(person)} birth`, warnings);
+          person.birthYear = dateYear(parseGenealogicalDate(person.birthDate));
+          field.children.filter(c => c.tag !== 'DATE').forEach(c => unmapped(`INDI.BIRT.${c.tag}`));
+          break;
+        case 'DEAT':
+          person.deceased = true;
+          person.deathDate = gedcomDate(gedcomChild(field, 'DATE')?.value, `${personLabel(person)} death`, warnings);
+          person.deathYear = dateYear(parseGenealogicalDate(person.deathDate));
+          field.children.filter(c => c.tag !== 'DATE').forEach(c => unmapped(`INDI.DEAT.${c.tag}`));
+          break;
+        case 'NOTE':
+        case 'SNOTE': {
+          const note = noteText(field).trim();
+          if (note) bio.push(note);
+          summary.notes++;
+          break;
+        }
+        case 'OBJE': {
+          const fileNode = gedcomChild(field, 'FILE');
+          const file = (fileNode?.value || field.value || '').trim();
+          if (!file || /^@[^@\s]+@$/.test(file)) { unmapped('INDI.OBJE (linked record)'); break; }
+          if (!isMediaUrl(file)) {
+            warnings.push(`Line ${field.line}: ${personLabel(person)} photo "${file}" is not a web address and was skipped`);
+            break;
+          }
+          // TITL sits under FILE in 5.5.1 and under OBJE in 5.5; _DATE and _PRIM come from our export
+          const title = (fileNode && gedcomChild(fileNode, 'TITL')) || gedcomChild(field, 'TITL');
+          const date = gedcomChild(field, '_DATE');
+          media.push({
+            id: `m${media.length + 1}`,
+            url: file,
+            medium: '',
+            thumb: '',
+            caption: title ? title.value.trim() : '',
+            year: date ? gedcomYear(date.value, `${personLabel(person)} photo`, warnings) : '',
+            primary: (gedcomChild(field, '_PRIM')?.value || '').trim().toUpperCase() === 'Y',
+          });
+          break;
+        }
+        case '_MARRIED_CITY':
+          person.marriedCity = field.value.trim(); // Written by our own export when no family carries the place
+          break;
+        case 'FAMC':
+        case 'FAMS':
+          break; // Resolved from the family records below
+        default:
+          unmapped(`INDI.${field.tag}`);
+      }
+    });
+
+    if (!hasName) warnings.push(`Line ${indi.line}: individual ${id} has no NAME`);
+    person.bio = bio.join('\n\n');
+    if (media.length) {
+      const primary = media.find(item => item.primary) || media[0];
+      media.forEach(item => { item.primary = item === primary; });
+      person.media = media;
+      person.photo = primary.url;
+    }
+    people[id] = person;
+  });
+  summary.individuals = individuals.length;
+
+  const personFor = (xref, context) => {
+    const id = idsByXref[xref];
+    if (!id) warnings.push(`${context}: ${xref} does not point to an individual`);
+    return id ? people[id] : null;
+  };
+
+  const linkParent = (child, parent) => {
+    if (!child || !parent || child.id === parent.id || child.parents.includes(parent.id)) return;
+    child.parents.push(parent.id);
+    summary.parentLinks++;
+  };
+
+  const typedLinks = new Set();
+  const setParentType = (child, parent, type) => {
+    typedLinks.add(`${child.id}|${parent.id}`);
+    if (type !== 'biological') child.parentTypes = { ...child.parentTypes, [parent.id]: type };
+  };
+
+  const linkSpouses = (a, b) => {
+    if (!a || !b || a.id === b.id || a.spouses.includes(b.id)) return;
+    a.spouses.push(b.id);
+    b.spouses.push(a.id);
+    summary.spouseLinks++;
+  };
+
+  // Second pass: families connect partners and children
+  const families = records.filter(r => r.tag === 'FAM');
+  const familyMembers = {};
+  families.forEach(fam => {
+    const context = `Family ${fam.xref || `at line ${fam.line}`}`;
+    const partners = [...gedcomChildren(fam, 'HUSB'), ...gedcomChildren(fam, 'WIFE')]
+      .map(n => personFor(n.value, context))
+      .filter(Boolean);
+    const children = gedcomChildren(fam, 'CHIL').map(n => personFor(n.value, context)).filter(Boolean);
+    // Our export marks co-parents who were never recorded as spouses
+    const notPartners = gedcomChild(fam, '_NOSPOUSE')?.value.trim().toUpperCase() === 'Y';
+    familyMembers[fam.xref] = { partners, children, notPartners };
+
+    if (partners.length > 2) warnings.push(`${context} lists ${partners.length} partners`);
+    for (let i = 0; i < partners.length && !notPartners; i++) {
+      for (let j = i + 1; j < partners.length; j++) linkSpouses(partners[i], partners[j]);
+    }
+    children.forEach(child => partners.forEach(parent => linkParent(child, parent)));
+
+    // How each child relates to the father and mother (_FREL/_MREL, as written by most desktop programs)
+    gedcomChildren(fam, 'CHIL').forEach(chil => {
+      const child = people[idsByXref[chil.value]];
+      [['HUSB', '_FREL'], ['WIFE', '_MREL']].forEach(([role, tag]) => {
+        const parent = people[idsByXref[gedcomChild(fam, role)?.value]];
+        const type = gedcomParentType(gedcomChild(chil, tag)?.value);
+        if (child && parent && type) setParentType(child, parent, type);
+      });
+      chil.children.filter(c => !['_FREL', '_MREL'].includes(c.tag)).forEach(c => unmapped(`FAM.CHIL.${c.tag}`));
+    });
+
+    // A couple's family is a union, and its marriage and divorce events are the union's facts
+    let union = null;
+    if (partners.length === 2 && !notPartners && partners[0].id !== partners[1].id) {
+      let unionId = `u-${gedcomXrefToId(fam.xref) || `ged${fam.line}`}`;
+      while (unions[unionId]) unionId += '_';
+      union = unions[unionId] = {
+        id: unionId, partners: partners.map(p => p.id), startDate: '', startPlace: '', endDate: '', endReason: '',
+        children: children.map(c => c.id),
+      };
+    }
+
+    fam.children.forEach(field => {
+      switch (field.tag) {
+        case 'HUSB':
+        case 'WIFE':
+        case 'CHIL':
+        case '_NOSPOUSE':
+          break;
+        case 'MARR': {
+          const place = (gedcomChild(field, 'PLAC')?.value || '').trim();
+          if (union) {
+            union.startDate = gedcomDate(gedcomChild(field, 'DATE')?.value, `${context} marriage`, warnings);
+            union.startPlace = place;
+          } else if (place) {
+            partners.forEach(p => {
+              if (p.marriedCity && p.marriedCity !== place) {
+                warnings.push(`${personLabel(p)} has more than one marriage place; kept "${p.marriedCity}"`);
+              } else {
+                p.marriedCity = place;
+              }
+            });
+          }
+          field.children.filter(c => !['PLAC', 'DATE'].includes(c.tag)).forEach(c => unmapped(`FAM.MARR.${c.tag}`));
+          break;
+        }
+        case 'DIV':
+        case 'ANUL':
+        case '_END': {
+          if (!union) {
+            unmapped(`FAM.${field.tag}`);
+            break;
+          }
+          const type = (gedcomChild(field, 'TYPE')?.value || '').trim().toLowerCase();
+          union.endReason = { DIV: 'divorce', ANUL: 'annulment' }[field.tag] || (type in UNION_END_REASONS ? type : '');
+          union.endDate = gedcomDate(gedcomChild(field, 'DATE')?.value, `${context} end`, warnings);
+          field.children.filter(c => !['DATE', 'TYPE'].includes(c.tag)).forEach(c => unmapped(`FAM.${field.tag}.${c.tag}`));
+          break;
+        }
+        default:
+          unmapped(`FAM.${field.tag}`);
+      }
+    });
+  });
+  summary.families = families.length;
+
+  // Individual-side links catch families that forgot to list a member
+  individuals.forEach(indi => {
+    const person = people[idsByXref[indi.xref]];
+    if (!person) return;
+    gedcomChildren(indi, 'FAMC').forEach(famc => {
+      const fam = familyMembers[famc.value];
+      if (!fam) { warnings.push(`${personLabel(person)}: FAMC ${famc.value} is not a family`); return; }
+      fam.partners.forEach(parent => linkParent(person, parent));
+      // PEDI covers both parents of the family, unless the family already said otherwise per parent
+      const pedigree = gedcomChild(famc, 'PEDI');
+      const type = gedcomParentType(pedigree?.value);
+      if (pedigree && !type) unmapped(`INDI.FAMC.PEDI ${pedigree.value.trim().toLowerCase()}`);
+      fam.partners.forEach(parent => {
+        if (type && !typedLinks.has(`${person.id}|${parent.id}`)) setParentType(person, parent, type);
+      });
+    });
+    gedcomChildren(indi, 'FAMS').forEach(fams => {
+      const fam = familyMembers[fams.value];
+      if (!fam) { warnings.push(`${personLabel(person)}: FAMS ${fams.value} is not a family`); return; }
+      if (fam.notPartners) return;
+      fam.partners.forEach(partner => linkSpouses(person, partner));
+    });
+  });
+
+  records.forEach(r => {
+    if (!['HEAD', 'TRLR', 'INDI', 'FAM', 'NOTE', 'SNOTE'].includes(r.tag)) unmapped(r.tag);
+  });
+
+  const imported = { people, unions };
+  normalizeData(imported);
+  summary.people = Object.keys(people).length;
+
+  return { data: imported, summary, unmappedTags, warnings };
+}
 
-  const name = document.getElementById("editName").value.trim();
-  if (!name) {
-    alert("Name is required.");
-    return;
-  }
+function looksLikeGedcom(text) {
+  return /^\uFEFF?\s*0\s+HEAD\b/i.test(String(text || ''));
+}
 
-  const birthYear = document.getElementById("editBirthYear").value.trim();
-  const deathYear = document.getElementById("editDeathYear").value.trim();
-  const bio = document.getElementById("editBio").value.trim();
-  const gender = document.getElementById("editGender").value;
-  const marriedCity = document.getElementById("editMarriedCity").value.trim();
-  const deceased = document.getElementById("editDeceased").checked;
-  let photo = document.getElementById("editPhotoUrl").value.trim();
+// Shows what a GEDCOM import would do; nothing is saved until the admin confirms
+function previewGedcomImport(text) {
+  const summaryDiv = document.getElementById('gedcomSummary');
+  if (!summaryDiv) return;
+
+  _pendingGedcomImport = gedcomToFamilyData(text);
+  const { summary, unmappedTags, warnings } = _pendingGedcomImport;
+
+  const maxWarnings = 50;
+  const tagRows = Object.entries(unmappedTags).sort((a, b) => b[1] - a[1])
+    .map(([tag, count]) => `<li><code>${escapeHtml(tag)}</code> × ${count}</li>`).join('');
+  const warningRows = warnings.slice(0, maxWarnings).map(w => `<li>${escapeHtml(w)}</li>`).join('')
+    + (warnings.length > maxWarnings ? `<li>…and ${warnings.length - maxWarnings} more</li>` : '');
+
+  summaryDiv.innerHTML = `
+    <h4>GEDCOM import preview${summary.version ? ` (version ${escapeHtml(summary.version)})` : ''}</h4>
+    <ul>
+      <li><b>${summary.people}</b> people from ${summary.individuals} individual records</li>
+      <li><b>${summary.families}</b> families, ${summary.parentLinks} parent links, ${summary.spouseLinks} spouse links</li>
+      <li><b>${summary.notes}</b> notes</li>
+    </ul>
+    ${tagRows ? `<details><summary>Unmapped tags (${Object.keys(unmappedTags).length})</summary><ul>${tagRows}</ul></details>` : ''}
+    ${warnings.length ? `<details open><summary>Warnings (${warnings.length})</summary><ul>${warningRows}</ul></details>` : ''}
+    <p><small>Importing replaces the current tree (${Object.keys(data.people).length} people).</small></p>
+    <div class="row">
+      <button class="btn" id="gedcomConfirmBtn" type="button"${summary.people ? '' : ' disabled'}>Import ${summary.people} people</button>
+      <button class="btn secondary" id="gedcomCancelBtn" type="button">Cancel</button>
+    </div>
+  `;
+  summaryDiv.style.display = 'block';
+
+  document.getElementById('gedcomConfirmBtn').addEventListener('click', confirmGedcomImport);
+  document.getElementById('gedcomCancelBtn').addEventListener('click', cancelGedcomImport);
+}
 
-  // Validate years if provided
-  if (birthYear && !/^\d{4}$/.test(birthYear)) {
-    alert("Birth year must be a 4-digit number.");
-    return;
-  }
-  if (deceased && deathYear && !/^\d{4}$/.test(deathYear)) {
-    alert("Death year must be a 4-digit number.");
-    return;
-  }
-  if (birthYear && deathYear && parseInt(birthYear) > parseInt(deathYear)) {
-    alert("Birth year cannot be after death year.");
-    return;
+async function confirmGedcomImport() {
+  if (!hasRole('owner')) { alert("Owner access required."); return; }
+  if (!_pendingGedcomImport) return;
+  data = _pendingGedcomImport.data;
+  normalizeData(data);
+  cancelGedcomImport();
+  if (await saveData()) {
+    alert("GEDCOM imported and saved remotely!");
+    checkProblems({ scroll: true });
   }
+}
 
-  if (_pendingPhotoDataURL) {
-    const uploadedPhotoUrl = await uploadPhoto(_pendingPhotoDataURL);
-    if (uploadedPhotoUrl) {
-      photo = uploadedPhotoUrl;
-    } else {
-      photo = photo || ''; // Fallback to existing photo URL or empty
-    }
-    _pendingPhotoDataURL = null;
+function cancelGedcomImport() {
+  _pendingGedcomImport = null;
+  const summaryDiv = document.getElementById('gedcomSummary');
+  if (summaryDiv) {
+    summaryDiv.innerHTML = '';
+    summaryDiv.style.display = 'none';
   }
+}
 
-  const p = isNew ? { id: id, parents: [], spouses: [], children: [] } : data.people[id];
+// --- GEDCOM Export ---
 
-  p.name = name;
-  p.birthYear = birthYear;
-  p.deathYear = deceased ? deathYear : ''; // Clear deathYear if not deceased
-  p.bio = bio;
-  p.gender = gender;
-  p.marriedCity = marriedCity;
-  p.photo = photo;
-  p.deceased = deceased;
-  // Old `year` field removed, rely on birth/deathYear
+// Person IDs become xrefs so an export/import round trip keeps them: always "@I<id>@", with every
+// byte other than a letter or digit written as _HH (hex), so distinct IDs never share an xref
+function gedcomIdToXref(id) {
+  const escaped = Array.from(new TextEncoder().encode(String(id)), byte => {
+    const ch = String.fromCharCode(byte);
+    return /[A-Za-z0-9]/.test(ch) ? ch : `_${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }).join('');
+  return `@I${escaped}@`;
+}
 
-  if (isNew) {
-    data.people[id] = p;
-  }
-  normalizeData(data);
-  await saveData();
-  closeEdit(); // Close edit modal
+function gedcomNameValue(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return parts.join(' ');
+  const surname = parts.pop();
+  return `${parts.join(' ')} /${surname}/`;
 }
 
-async function deletePerson(id) {
-  if (!isAdmin) {
-    alert("You must be admin to delete.");
-    return;
-  }
-  if (!confirm(`Are you sure you want to delete ${data.people[id].name}? This cannot be undone.`)) {
-    return;
+// Emits a value as a line plus CONT/CONC continuations (5.5.1 caps lines at 255 characters)
+function gedcomTextLines(level, tag, value) {
+  const maxChunk = 200;
+  const lines = [];
+  String(value || '').split(/\r\n|\r|\n/).forEach((paragraph, index) => {
+    let rest = paragraph;
+    let first = true;
+    do {
+      let cut = Math.min(rest.length, maxChunk);
+      // CONC must not split next to a space, so back off to a non-space boundary
+      while (cut < rest.length && cut > 1 && (rest[cut] === ' ' || rest[cut - 1] === ' ')) cut--;
+      const chunk = rest.slice(0, cut);
+      rest = rest.slice(cut);
+      if (index === 0 && first) lines.push(`${level} ${tag}${chunk ? ' ' + chunk : ''}`);
+      else lines.push(`${level + 1} ${first ? 'CONT' : 'CONC'}${chunk ? ' ' + chunk : ''}`);
+      first = false;
+    } while (rest.length);
+  });
+  return lines;
+}
+
+// GEDCOM date syntax: "12 MAR 1911", "ABT 1850", "BEF 1790", "BET 1820 AND 1825"
+function gedcomDateValue(date) {
+  if (!date) return '';
+  const pointText = (pt) => formatPoint(pt).toUpperCase();
+  switch (date.qualifier) {
+    case 'about': return `ABT ${pointText(date.start)}`;
+    case 'before': return `BEF ${pointText(date.start)}`;
+    case 'after': return `AFT ${pointText(date.start)}`;
+    case 'between': return `BET ${pointText(date.start)} AND ${pointText(date.end)}`;
+    default: return pointText(date.start);
   }
+}
 
-  Object.values(data.people).forEach(person => {
-    person.parents = (person.parents || []).filter(pid => pid !== id);
-    person.spouses = (person.spouses || []).filter(sid => sid !== id);
-    person.children = (person.children || []).filter(cid => cid !== id);
+function familyDataToGedcom(d = data) {
+  const people = Object.values(d.people || {});
+  const xrefs = {};
+  people.forEach(p => { xrefs[p.id] = gedcomIdToXref(p.id); });
+
+  // Families: one per union, plus one per set of parents a child has outside a union. Birth parents
+  // share a family; adoptive, step and foster parents get their own, two at most, so that every family
+  // has no more than one HUSB and one WIFE.
+  const families = [];
+  const familyByUnion = {};
+  const familyByKey = {};
+  const addFamily = (partnerIds, union) => {
+    const fam = { xref: `@F${families.length + 1}@`, partners: partnerIds, children: [], union };
+    families.push(fam);
+    return fam;
+  };
+  const familyFor = (partnerIds) => {
+    const key = [...partnerIds].sort().join('|');
+    if (!familyByKey[key]) familyByKey[key] = addFamily(partnerIds, null);
+    return familyByKey[key];
+  };
+
+  const unionParents = {}; // childId -> the partners of the union the child belongs to
+  Object.values(d.unions || {}).forEach(u => {
+    familyByUnion[u.id] = addFamily(u.partners, u);
+    u.children.filter(cid => exists(cid, d)).forEach(cid => {
+      familyByUnion[u.id].children.push(cid);
+      unionParents[cid] = u.partners;
+    });
+  });
+  people.forEach(child => {
+    const covered = unionParents[child.id] || [];
+    const byType = {};
+    (child.parents || []).filter(pid => exists(pid, d) && !covered.includes(pid)).forEach(pid => {
+      (byType[parentType(child, pid)] = byType[parentType(child, pid)] || []).push(pid);
+    });
+    Object.values(byType).forEach(parentIds => {
+      for (let i = 0; i < parentIds.length; i += 2) {
+        const pair = parentIds.slice(i, i + 2);
+        // Children not tied to a union go with their parents' first union, if they have one
+        const union = pair.length === 2 && unionsOf(pair[0], d).find(u => u.partners.includes(pair[1]));
+        (union ? familyByUnion[union.id] : familyFor(pair)).children.push(child.id);
+      }
+    });
   });
 
-  delete data.people[id];
-  normalizeData(data);
-  await saveData();
-  closePerson(); // Close view modal
-}
+  // HUSB for men and WIFE for women; partners of unknown gender, or a second of the same, take the free role
+  const familyRoles = (fam) => {
+    const roles = {};
+    const known = id => ['male', 'female'].includes(d.people[id].gender);
+    [...fam.partners].sort((a, b) => known(b) - known(a)).forEach(id => {
+      const preferred = d.people[id].gender === 'female' ? 'WIFE' : 'HUSB';
+      const other = preferred === 'HUSB' ? 'WIFE' : 'HUSB';
+      roles[id] = Object.values(roles).includes(preferred) ? other : preferred;
+    });
+    return roles;
+  };
 
-function fillSelects() {
-  // Selects for Compare section
-  const personASelect = document.getElementById("personA");
-  const personBSelect = document.getElementById("personB");
+  const famsOf = {};
+  const famcOf = {};
+  const familyByXref = {};
+  families.forEach(fam => {
+    familyByXref[fam.xref] = fam;
+    fam.partners.forEach(id => (famsOf[id] = famsOf[id] || []).push(fam.xref));
+    fam.children.forEach(id => (famcOf[id] = famcOf[id] || []).push(fam.xref));
+  });
 
-  [personASelect, personBSelect].forEach(sel => {
-    if (sel) sel.innerHTML = '<option value="">(Select)</option>';
+  const today = new Date();
+  const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+  const lines = [
+    '0 HEAD',
+    '1 SOUR FAMILY_TREE',
+    '2 NAME Family Tree',
+    `1 DATE ${today.getDate()} ${months[today.getMonth()]} ${today.getFullYear()}`,
+    '1 GEDC',
+    '2 VERS 5.5.1',
+    '2 FORM LINEAGE-LINKED',
+    '1 CHAR UTF-8',
+  ];
+
+  people.forEach(p => {
+    lines.push(`0 ${xrefs[p.id]} INDI`);
+    lines.push(...gedcomTextLines(1, 'NAME', gedcomNameValue(p.name)));
+    const sex = { male: 'M', female: 'F', other: 'X' }[p.gender];
+    if (sex) lines.push(`1 SEX ${sex}`);
+    const birth = gedcomDateValue(personDate(p, 'birth'));
+    const death = gedcomDateValue(personDate(p, 'death'));
+    if (birth) lines.push('1 BIRT', `2 DATE ${birth}`);
+    if (p.deceased) {
+      if (death) lines.push('1 DEAT', `2 DATE ${death}`);
+      else lines.push('1 DEAT Y');
+    }
+    if (p.marriedCity) lines.push(...gedcomTextLines(1, '_MARRIED_CITY', p.marriedCity));
+    personMedia(p).forEach(item => {
+      const form = (item.url.split(/[?#]/)[0].match(/\.([A-Za-z0-9]{2,4})$/) || [])[1];
+      lines.push('1 OBJE', `2 FILE ${item.url}`);
+      if (form) lines.push(`3 FORM ${form.toLowerCase()}`);
+      if (item.caption) lines.push(`3 TITL ${item.caption.replace(/\s+/g, ' ')}`);
+      if (item.year) lines.push(`2 _DATE ${item.year}`);
+      if (item.primary) lines.push('2 _PRIM Y');
+    });
+    if (p.bio) lines.push(...gedcomTextLines(1, 'NOTE', p.bio));
+    (famcOf[p.id] || []).forEach(xref => {
+      lines.push(`1 FAMC ${xref}`);
+      // PEDI only when the whole family adopted or fostered the child; mixed cases are on the CHIL lines
+      const types = new Set(familyByXref[xref].partners.map(pid => parentType(p, pid)));
+      const pedigree = types.size === 1 && { adoptive: 'adopted', foster: 'foster' }[[...types][0]];
+      if (pedigree) lines.push(`2 PEDI ${pedigree}`);
+    });
+    (famsOf[p.id] || []).forEach(xref => lines.push(`1 FAMS ${xref}`));
   });
 
-  Object.values(data.people).sort((a,b) => a.name.localeCompare(b.name)).forEach(p => {
-    if (personASelect) {
-      const optA = document.createElement("option");
-      optA.value = p.id;
-      optA.textContent = p.name;
-      personASelect.appendChild(optA);
+  families.forEach(fam => {
+    lines.push(`0 ${fam.xref} FAM`);
+    const roles = familyRoles(fam);
+    const partners = [...fam.partners].sort((a, b) => (roles[a] === 'HUSB' ? 0 : 1) - (roles[b] === 'HUSB' ? 0 : 1));
+    partners.forEach(id => lines.push(`1 ${roles[id]} ${xrefs[id]}`));
+    fam.children.forEach(id => {
+      lines.push(`1 CHIL ${xrefs[id]}`);
+      const types = partners.map(pid => parentType(d.people[id], pid));
+      if (types.every(type => type === 'biological')) return;
+      const labels = { biological: 'Natural', adoptive: 'Adopted', step: 'Step', foster: 'Foster' };
+      partners.forEach((pid, index) => lines.push(`2 ${roles[pid] === 'HUSB' ? '_FREL' : '_MREL'} ${labels[types[index]]}`));
+    });
+    const union = fam.union;
+    if (!union) {
+      if (fam.partners.length > 1) lines.push('1 _NOSPOUSE Y');
+      return;
     }
-    if (personBSelect) {
-      const optB = document.createElement("option");
-      optB.value = p.id;
-      optB.textContent = p.name;
-      personBSelect.appendChild(optB);
+    const start = gedcomDateValue(parseGenealogicalDate(union.startDate));
+    if (start || union.startPlace) {
+      lines.push('1 MARR');
+      if (start) lines.push(`2 DATE ${start}`);
+      if (union.startPlace) lines.push(...gedcomTextLines(2, 'PLAC', union.startPlace));
+    }
+    if (union.endDate || union.endReason) {
+      // GEDCOM has events for divorce and annulment; other endings use a custom tag with the reason as TYPE
+      const tag = { divorce: 'DIV', annulment: 'ANUL' }[union.endReason] || '_END';
+      const end = gedcomDateValue(parseGenealogicalDate(union.endDate));
+      lines.push(end ? `1 ${tag}` : `1 ${tag} Y`);
+      if (end) lines.push(`2 DATE ${end}`);
+      if (tag === '_END' && union.endReason) lines.push(`2 TYPE ${union.endReason}`);
     }
   });
-}
 
-function addParent(childId, parentId) {
-  if (parentId && exists(parentId) && childId !== parentId && !(data.people[childId].parents || []).includes(parentId)) {
-    data.people[childId].parents.push(parentId);
-    openEdit(childId); // Re-render edit form to show new parent
-  }
+  lines.push('0 TRLR');
+  return lines.join('\n') + '\n';
 }
 
-function removeParent(childId, parentId) {
-  data.people[childId].parents = (data.people[childId].parents || []).filter(pid => pid !== parentId);
-  openEdit(childId); // Re-render edit form
+function downloadGedcom() {
+  const blob = new Blob([familyDataToGedcom(data)], { type: 'text/plain;charset=utf-8' });
+  downloadBlob(blob, `family-tree-${new Date().toISOString().slice(0, 10)}.ged`);
 }
 
-function addSpouse(personId, spouseId) {
-  if (spouseId && exists(spouseId) && personId !== spouseId && !(data.people[personId].spouses || []).includes(spouseId)) {
-    data.people[personId].spouses.push(spouseId);
-    openEdit(personId); // Re-render edit form to show new spouse
+// --- Tree Export ---
+// Everything is made in the browser. The SVG is the chart itself with its styles and photos
+// inlined; the PNG is that SVG drawn on a canvas; the PDF holds JPEG renderings of it, either
+// tiled across sheets of paper or fitted on one poster page.
+
+const EXPORT_PAPER_SIZES = { // Portrait width and height in points (1/72 inch)
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'US Letter', width: 612, height: 792 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+  a2: { label: 'A2 poster', width: 1190.55, height: 1683.78 },
+  a1: { label: 'A1 poster', width: 1683.78, height: 2383.94 },
+  a0: { label: 'A0 poster', width: 2383.94, height: 3370.39 },
+  poster24x36: { label: '24 × 36 in poster', width: 1728, height: 2592 },
+};
+const EXPORT_PAGE_MARGIN = 28; // Points
+const EXPORT_PDF_DPI = 150;
+// Canvases beyond these sizes fail in some browsers; exports are scaled down to fit
+const EXPORT_MAX_CANVAS_SIDE = 16384;
+const EXPORT_MAX_CANVAS_PIXELS = 120e6;
+
+function openTreeExport() {
+  const modal = document.getElementById('treeExportModal');
+  const personSelect = document.getElementById('treeExportPerson');
+  if (!modal || !personSelect) return;
+  if (!Object.keys(data.people).length) {
+    alert('There is no tree to export yet.');
+    return;
   }
+  const people = Object.values(data.people).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  const selected = personSelect.value || (_treeFocus ? _treeFocus.personId : '');
+  personSelect.innerHTML = people.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name || '(Unnamed)')}</option>`).join('');
+  if (exists(selected)) personSelect.value = selected;
+  updateTreeExportForm();
+  modal.setAttribute('aria-hidden', 'false');
+  modal.style.display = 'flex';
+  modal.style.alignItems = 'center';
+  modal.style.justifyContent = 'center';
 }
 
-function removeSpouse(personId, spouseId) {
-  data.people[personId].spouses = (data.people[personId].spouses || []).filter(sid => sid !== spouseId);
-  openEdit(personId); // Re-render edit form
+function closeTreeExport() {
+  const modal = document.getElementById('treeExportModal');
+  if (modal) {
+    modal.setAttribute('aria-hidden', 'true');
+    modal.style.display = 'none';
+  }
 }
 
-// --- Autocomplete (NEW) ---
-function setupAutocomplete(inputId, suggestionsId, onSelectCallback) {
-  const input = document.getElementById(inputId);
-  const suggestionsDiv = document.getElementById(suggestionsId);
-  if (!input || !suggestionsDiv) return;
-
-  let currentFocus = -1;
+// Shows the options that apply to the chosen scope and format
+function updateTreeExportForm() {
+  const value = id => (document.getElementById(id) || {}).value;
+  const show = (id, visible) => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = visible ? '' : 'none';
+  };
+  const scope = document.querySelector('input[name="treeExportScope"]:checked');
+  const format = value('treeExportFormat');
+  const pdfLayout = value('treeExportPdfLayout');
+  show('treeExportPersonField', scope && scope.value === 'subtree');
+  show('treeExportPngOptions', format === 'png');
+  show('treeExportPdfOptions', format === 'pdf');
+  show('treeExportTileOptions', format === 'pdf' && pdfLayout === 'tiles');
+  show('treeExportPosterOptions', format === 'pdf' && pdfLayout === 'poster');
+}
 
-  const filterSuggestions = (query) => {
-    suggestionsDiv.innerHTML = '';
-    currentFocus = -1;
-    if (!query) return;
+// A person, all their descendants and the partners they had children or marriages with
+function subtreeData(id, d = data) {
+  const kept = new Set([id, ...descendantIds(id, d)]);
+  [...kept].forEach(pid => d.people[pid].spouses.forEach(sid => { if (exists(sid, d)) kept.add(sid); }));
+  return visibleTreeData(d, new Set(Object.keys(d.people).filter(pid => !kept.has(pid))));
+}
 
-    const matches = Object.values(data.people).filter(p =>
-      p.name.toLowerCase().includes(query.toLowerCase())
-    ).sort((a,b) => a.name.localeCompare(b.name));
+// The chart on screen (focus chart, or the whole tree with its collapsed branches), or a subtree
+function treeExportLayout(scope, personId) {
+  if (scope === 'subtree') return exists(personId) ? layoutFamilyTree(subtreeData(personId)) : null;
+  return _treeFocus ? layoutTreeFocus(_treeFocus) : layoutFamilyTree(visibleTreeData(data, hiddenByCollapse(data)));
+}
 
-    matches.forEach((p, index) => {
-      const div = document.createElement('div');
-      div.textContent = p.name;
-      div.dataset.id = p.id;
-      div.addEventListener('click', () => {
-        input.value = p.name;
-        suggestionsDiv.innerHTML = '';
-        onSelectCallback(p.id);
-      });
-      suggestionsDiv.appendChild(div);
+// The page's own rules for the chart, so the file looks the same outside the site
+function treeExportCss() {
+  const rules = [];
+  Array.from(document.styleSheets || []).forEach(sheet => {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch {
+      return; // A stylesheet from another origin can't be read
+    }
+    Array.from(cssRules || []).forEach(rule => {
+      const selector = rule.selectorText || '';
+      if (/\.(tree|fan)-/.test(selector) && !/:hover|focused|highlight|tree-(wrapper|controls|minimap|focus|branch|crumb)|fan-(legend|swatch)/.test(selector)) {
+        rules.push(rule.cssText);
+      }
     });
+  });
+  const font = document.body ? getComputedStyle(document.body).fontFamily : '';
+  rules.push(`.tree-svg { font-family: ${font || 'Arial, sans-serif'}; }`);
+  return rules.join('\n');
+}
 
-    if (matches.length === 0) {
-      suggestionsDiv.innerHTML = '<div>No matches</div>';
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Photos become data URLs so the file stands alone and a canvas can draw it. Photos that can't be
+// fetched are left out, uncovering the initials under them. Returns { svg, missingPhotos }.
+async function inlineTreePhotos(svg) {
+  const hrefs = [...new Set([...svg.matchAll(/<image href="([^"]+)"/g)].map(m => m[1]))];
+  const inlined = new Map();
+  for (const href of hrefs) {
+    try {
+      const response = await fetch(href.replace(/&amp;/g, '&'));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      inlined.set(href, await blobToDataUrl(await response.blob()));
+    } catch {
+      // Left out: the initials under the photo show instead
     }
+  }
+  return {
+    svg: svg.replace(/<image href="([^"]+)"[^>]*\/>/g, (tag, href) => (inlined.has(href) ? tag.replace(href, inlined.get(href)) : '')),
+    missingPhotos: hrefs.length - inlined.size,
   };
+}
 
-  input.addEventListener('input', (e) => filterSuggestions(e.target.value));
+// A standalone SVG of the layout: white background, inlined styles and photos, no click handlers
+async function standaloneTreeSvg(layout) {
+  const width = layout.width + 2 * TREE_MARGIN;
+  const height = layout.height + 2 * TREE_MARGIN;
+  const svg = treeSvg(layout)
+    .replace(/ onclick="[^"]*"/g, '')
+    .replace(/^<svg[^>]*>/, open => `${open}
+    <style>${treeExportCss()}</style>
+    <rect x="${-TREE_MARGIN}" y="${-TREE_MARGIN}" width="${width}" height="${height}" fill="#fff" />`);
+  const result = await inlineTreePhotos(`<?xml version="1.0" encoding="UTF-8"?>\n${svg}`);
+  return { ...result, width, height };
+}
 
-  input.addEventListener('keydown', (e) => {
-    let items = suggestionsDiv.getElementsByTagName('div');
-    if (e.keyCode === 40) { // Down arrow
-      currentFocus++;
-      addActive(items);
-    } else if (e.keyCode === 38) { // Up arrow
-      currentFocus--;
-      addActive(items);
-    } else if (e.keyCode === 13) { // Enter key
-      e.preventDefault();
-      if (currentFocus > -1) {
-        if (items[currentFocus]) items[currentFocus].click();
-      }
-    }
+function loadSvgImage(svg) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The browser could not draw the tree.'));
+    };
+    image.src = url;
   });
+}
 
-  function addActive(items) {
-    if (!items) return false;
-    removeActive(items);
-    if (currentFocus >= items.length) currentFocus = 0;
-    if (currentFocus < 0) currentFocus = (items.length - 1);
-    items[currentFocus].classList.add("selected");
-    items[currentFocus].scrollIntoView({ block: 'nearest' });
-  }
-
-  function removeActive(items) {
-    for (let i = 0; i < items.length; i++) {
-      items[i].classList.remove("selected");
-    }
-  }
+// The largest scale up to `wanted` at which a width × height drawing fits on a canvas
+function canvasScale(width, height, wanted) {
+  return Math.min(wanted,
+    EXPORT_MAX_CANVAS_SIDE / width,
+    EXPORT_MAX_CANVAS_SIDE / height,
+    Math.sqrt(EXPORT_MAX_CANVAS_PIXELS / (width * height)));
+}
 
-  // Close suggestions when clicking outside
-  document.addEventListener('click', (e) => {
-    if (!e.target.closest(`#${suggestionsId}`) && e.target !== input) {
-      suggestionsDiv.innerHTML = '';
-    }
+// Draws part of the chart image on a white canvas: the image scaled by `scale`, its point
+// (x, y) at the canvas's top left corner
+function drawTreeImage(image, { width, height, x = 0, y = 0, scale = 1, type = 'image/png', quality }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, -x * scale, -y * scale, image.width * scale, image.height * scale);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image is too large for this browser.'))), type, quality);
   });
 }
 
+// Sheet size in points, turned to match the chart's shape
+function exportPageSize(paper, chartWidth, chartHeight) {
+  const size = EXPORT_PAPER_SIZES[paper] || EXPORT_PAPER_SIZES.a4;
+  const landscape = chartWidth > chartHeight;
+  return landscape ? { width: size.height, height: size.width } : { width: size.width, height: size.height };
+}
 
-// --- Relationship Checker ---
+function pdfText(text) {
+  return String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, m => `\\${m}`);
+}
 
-function findRelationship(idA, idB) {
-  if (!exists(idA) || !exists(idB)) return null;
+// The smallest PDF that shows one JPEG per page, inside the page's margins, with an optional
+// caption at the bottom. pages: [{ width, height, jpeg: Uint8Array, pixelWidth, pixelHeight,
+// box: { x, y, width, height }, caption }], all sizes in points except the pixel ones.
+function buildImagePdf(pages) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const write = chunk => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const object = (number, ...chunks) => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+    chunks.forEach(write);
+    write('\nendobj\n');
+  };
 
-  const personA = data.people[idA];
-  const personB = data.people[idB];
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  const pageNumbers = pages.map((_, i) => 4 + i * 3);
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  pages.forEach((page, i) => {
+    const [pageNumber, contentNumber, imageNumber] = [pageNumbers[i], pageNumbers[i] + 1, pageNumbers[i] + 2];
+    const fixed = n => n.toFixed(2);
+    let content = `q ${fixed(page.box.width)} 0 0 ${fixed(page.box.height)} ${fixed(page.box.x)} ${fixed(page.box.y)} cm /Im0 Do Q\n`;
+    if (page.caption) content += `BT /F1 8 Tf ${fixed(page.box.x)} ${fixed(EXPORT_PAGE_MARGIN / 2)} Td (${pdfText(page.caption)}) Tj ET\n`;
+    object(pageNumber, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fixed(page.width)} ${fixed(page.height)}] ` +
+      `/Resources << /XObject << /Im0 ${imageNumber} 0 R >> /Font << /F1 3 0 R >> >> /Contents ${contentNumber} 0 R >>`);
+    object(contentNumber, `<< /Length ${encoder.encode(content).length} >>\nstream\n${content}endstream`);
+    object(imageNumber, `<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`, page.jpeg, '\nendstream');
+  });
 
-  // Direct parent/child
-  if ((personA.parents || []).includes(idB)) return `${personB.name} is parent of ${personA.name}`;
-  if ((personA.children || []).includes(idB)) return `${personB.name} is child of ${personA.name}`;
+  const xref = length;
+  const count = pageNumbers.length * 3 + 4;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let n = 1; n < count; n++) write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(parts, { type: 'application/pdf' });
+}
 
-  // Spouses
-  if ((personA.spouses || []).includes(idB)) return `${personB.name} is spouse of ${personA.name}`;
+// Tiles: the chart spread `across` sheets wide, as many rows of sheets as it needs.
+// Poster: the whole chart fitted on one sheet.
+async function treePdf(image, chart, { layout, paper, across }) {
+  const page = exportPageSize(paper, chart.width, chart.height);
+  const room = { width: page.width - 2 * EXPORT_PAGE_MARGIN, height: page.height - 2 * EXPORT_PAGE_MARGIN };
+  const points = layout === 'poster'
+    ? Math.min(room.width / chart.width, room.height / chart.height) // Per chart pixel
+    : across * room.width / chart.width;
+  const tile = layout === 'poster'
+    ? { width: chart.width * points, height: chart.height * points }
+    : room;
+  const columns = layout === 'poster' ? 1 : across;
+  const rows = layout === 'poster' ? 1 : Math.ceil(chart.height * points / room.height - 1e-9);
+  const pixelsPerPoint = canvasScale(tile.width, tile.height, EXPORT_PDF_DPI / 72);
+
+  const pages = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const pixelWidth = Math.round(tile.width * pixelsPerPoint);
+      const pixelHeight = Math.round(tile.height * pixelsPerPoint);
+      const blob = await drawTreeImage(image, {
+        width: pixelWidth,
+        height: pixelHeight,
+        x: column * tile.width / points,
+        y: row * tile.height / points,
+        scale: points * pixelsPerPoint,
+        type: 'image/jpeg',
+        quality: 0.92,
+      });
+      pages.push({
+        ...page,
+        jpeg: new Uint8Array(await blob.arrayBuffer()),
+        pixelWidth,
+        pixelHeight,
+        box: { x: EXPORT_PAGE_MARGIN, y: page.height - EXPORT_PAGE_MARGIN - tile.height, ...tile },
+        caption: rows * columns > 1 ? `Row ${row + 1} of ${rows}, column ${column + 1} of ${columns}` : '',
+      });
+    }
+  }
+  return buildImagePdf(pages);
+}
 
-  // Siblings (shared parents)
-  const parentsA = new Set(personA.parents || []);
-  const parentsB = new Set(personB.parents || []);
-  for (const p of parentsA) {
-    if (parentsB.has(p)) return `${personB.name} is sibling of ${personA.name}`;
+async function exportTree() {
+  const value = id => (document.getElementById(id) || {}).value;
+  const scope = (document.querySelector('input[name="treeExportScope"]:checked') || {}).value || 'chart';
+  const format = value('treeExportFormat') || 'svg';
+  const layout = treeExportLayout(scope, value('treeExportPerson'));
+  if (!layout || !Object.keys(layout.nodes).length) {
+    alert('Nothing to export: choose a person for the subtree.');
+    return;
   }
 
-  // Grandparent/Grandchild
-  for (const parentAId of (personA.parents || [])) {
-    if (exists(parentAId)) {
-      const grandParents = data.people[parentAId].parents || [];
-      if (grandParents.includes(idB)) return `${personB.name} is grandparent of ${personA.name}`;
-    }
+  const button = document.getElementById('treeExportBtn');
+  if (button) {
+    button.disabled = true;
+    button.textContent = 'Exporting…';
   }
-  for (const childAId of (personA.children || [])) {
-    if (exists(childAId)) {
-      const grandChildren = data.people[childAId].children || [];
-      if (grandChildren.includes(idB)) return `${personB.name} is grandchild of ${personA.name}`;
+  try {
+    const chart = await standaloneTreeSvg(layout);
+    const name = `family-tree-${new Date().toISOString().slice(0, 10)}`;
+    const notes = [];
+    if (format === 'svg') {
+      downloadBlob(new Blob([chart.svg], { type: 'image/svg+xml' }), `${name}.svg`);
+    } else {
+      const image = await loadSvgImage(chart.svg);
+      if (format === 'png') {
+        const wanted = parseFloat(value('treeExportPngScale')) || 2;
+        const scale = canvasScale(chart.width, chart.height, wanted);
+        if (scale < wanted) notes.push(`The tree is large, so the PNG was made at ${Math.round(scale * 100)}% instead of ${wanted * 100}%.`);
+        downloadBlob(await drawTreeImage(image, { width: chart.width * scale, height: chart.height * scale, scale }), `${name}.png`);
+      } else {
+        const pdfLayout = value('treeExportPdfLayout') === 'poster' ? 'poster' : 'tiles';
+        const pdf = await treePdf(image, chart, {
+          layout: pdfLayout,
+          paper: pdfLayout === 'poster' ? value('treeExportPoster') : value('treeExportPaper'),
+          across: Math.max(1, parseInt(value('treeExportAcross'), 10) || 1),
+        });
+        downloadBlob(pdf, `${name}.pdf`);
+      }
+    }
+    if (chart.missingPhotos) notes.push(`${chart.missingPhotos} photo(s) could not be loaded and were left out.`);
+    if (notes.length) alert(notes.join('\n'));
+    closeTreeExport();
+  } catch (e) {
+    console.error('Tree export failed:', e);
+    alert(`Export failed: ${e.message}`);
+  } finally {
+    if (button) {
+      button.disabled = false;
+      button.textContent = 'Export';
     }
   }
+}
 
-  // BFS for more complex relationships
-  const queue = [{ id: idA, path: [idA] }];
-  const visited = new Set();
-  visited.add(idA);
+// --- Account Management ---
+async function usersRequest(method, body, query = '') {
+  const listDiv = document.getElementById('usersList');
+  try {
+    const response = await fetch(`${API_BASE_URL}/users${query}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    checkSession(response);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || response.statusText);
+    renderUsers(result.users);
+    return true;
+  } catch (e) {
+    console.error("Accounts error:", e);
+    if (method === 'GET' && listDiv) {
+      listDiv.innerHTML = `<div class="hint">Failed to load accounts: ${escapeHtml(e.message)}</div>`;
+    } else {
+      alert("Account change failed: " + e.message);
+    }
+    return false;
+  }
+}
 
-  while (queue.length > 0) {
-    const { id: currentId, path } = queue.shift();
+function renderUsers(users) {
+  const listDiv = document.getElementById('usersList');
+  if (!listDiv) return;
+  if (!users.length) {
+    listDiv.innerHTML = '<div class="hint">No accounts yet. Until you add one, only the shared admin password can sign in.</div>';
+    return;
+  }
+  listDiv.innerHTML = users.map(u => `
+    <div class="history-item">
+      <span>${escapeHtml(u.username)}${currentUser && u.username === currentUser.username ? ' <small>(you)</small>' : ''}</span>
+      <span class="row">
+        <select onchange="changeUserRole(${jsArg(u.username)}, this.value)">
+          ${ROLES.map(r => `<option value="${r}"${r === u.role ? ' selected' : ''}>${r}</option>`).join('')}
+        </select>
+        <button class="btn secondary" type="button" onclick="resetUserPassword(${jsArg(u.username)})">Reset Password</button>
+        <button class="btn danger" type="button" onclick="deleteUser(${jsArg(u.username)})">Delete</button>
+      </span>
+    </div>
+  `).join('');
+}
 
-    const currentPerson = data.people[currentId];
-    const neighbors = [
-      ...(currentPerson.parents || []),
-      ...(currentPerson.children || []),
-      ...(currentPerson.spouses || []),
-      ...Object.values(data.people).filter(p => (p.spouses || []).includes(currentId)).map(p => p.id), // Inverse spouses
-      ...Object.values(data.people).filter(p => (p.parents || []).includes(currentId)).map(p => p.id), // Inverse children
-    ].filter(nid => exists(nid));
+function loadUsers() {
+  if (!hasRole('owner')) return;
+  return usersRequest('GET');
+}
 
-    for (const neighborId of neighbors) {
-      if (neighborId === idB) {
-        return `Related through a path: ${path.map(id => data.people[id].name).join(" -> ")} -> ${personB.name}`;
-      }
-      if (!visited.has(neighborId)) {
-        visited.add(neighborId);
-        queue.push({ id: neighborId, path: [...path, neighborId] });
-      }
-    }
+async function createUser() {
+  const usernameInput = document.getElementById('newUsername');
+  const passwordInput = document.getElementById('newUserPassword');
+  const roleSelect = document.getElementById('newUserRole');
+  const created = await usersRequest('POST', {
+    username: usernameInput.value.trim(),
+    password: passwordInput.value,
+    role: roleSelect.value,
+  });
+  if (created) {
+    usernameInput.value = '';
+    passwordInput.value = '';
   }
+}
 
-  return "No direct relationship found.";
+async function changeUserRole(username, role) {
+  if (!(await usersRequest('PATCH', { username, role }))) loadUsers();
+}
+
+async function resetUserPassword(username) {
+  const password = prompt(`New password for ${username} (8+ characters):`);
+  if (!password) return;
+  if (await usersRequest('PATCH', { username, password })) alert(`Password for ${username} changed.`);
+}
+
+async function deleteUser(username) {
+  if (!confirm(`Delete the account "${username}"? They will no longer be able to log in.`)) return;
+  await usersRequest('DELETE', null, `?username=${encodeURIComponent(username)}`);
 }
 
 // --- Admin Login ---
 
 async function checkAdminStatus() {
-  const storedKey = localStorage.getItem('adminKey');
-  if (storedKey) {
+  localStorage.removeItem('adminKey'); // Older versions kept the raw password here
+  if (localStorage.getItem('sessionToken')) {
     try {
-      const response = await fetch(`${API_BASE_URL}/admin-login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password: storedKey }),
-      });
+      const response = await fetch(`${API_BASE_URL}/admin-login`, { headers: authHeaders() });
       const result = await response.json();
-      isAdmin = result.success;
-      if (!isAdmin) {
-        localStorage.removeItem('adminKey');
+      setCurrentUser(result.success ? result.user : null);
+      if (!result.success) {
+        localStorage.removeItem('sessionToken');
       }
     } catch (e) {
       console.error("Auto-login check failed:", e);
-      isAdmin = false;
-      localStorage.removeItem('adminKey');
+      setCurrentUser(null);
     }
   }
   renderAdminButtons();
@@ -828,15 +4684,27 @@ function renderAdminButtons() {
   const cloudSaveBtn = document.getElementById("cloudSaveBtn");
   const dataManagementCard = document.getElementById("dataManagementCard"); // New element
 
-  if (loginBtn) loginBtn.style.display = isAdmin ? "none" : "inline-flex";
-  if (logoutBtn) logoutBtn.style.display = isAdmin ? "inline-flex" : "none";
+  const userBadge = document.getElementById("userBadge");
+
+  if (loginBtn) loginBtn.style.display = currentUser ? "none" : "inline-flex";
+  if (logoutBtn) logoutBtn.style.display = currentUser ? "inline-flex" : "none";
   if (addBtn) addBtn.style.display = isAdmin ? "inline-flex" : "none";
-  if (cloudSaveBtn) cloudSaveBtn.style.display = isAdmin ? "inline-flex" : "none";
+  if (cloudSaveBtn) cloudSaveBtn.style.display = hasRole('owner') ? "inline-flex" : "none";
+  if (userBadge) {
+    userBadge.textContent = currentUser ? `${currentUser.username} (${currentUser.role})` : '';
+    userBadge.style.display = currentUser ? "inline-block" : "none";
+  }
 
   // Hide/show entire Data Management card
   if (dataManagementCard) {
     dataManagementCard.style.display = isAdmin ? "block" : "none";
   }
+
+  // Anything marked with data-min-role only shows for that role and above
+  document.querySelectorAll('[data-min-role]').forEach(el => {
+    el.style.display = hasRole(el.dataset.minRole) ? "" : "none";
+  });
+  if (hasRole('owner')) loadUsers();
 }
 
 // --- Tab Management ---
@@ -869,7 +4737,11 @@ function renderNamesList() {
 
   if (!container || !searchInput || !searchResultsDiv) return;
 
-  const people = Object.values(data.people).sort((a,b) => a.name.localeCompare(b.name));
+  const sortSelect = document.getElementById('listSortSelect');
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const people = Object.values(data.people).sort(sortSelect && sortSelect.value === 'birth'
+    ? (a, b) => compareByBirth(a, b) || byName(a, b)
+    : byName);
 
   const displayList = (filterQuery = '') => {
     container.innerHTML = '';
@@ -889,14 +4761,11 @@ function renderNamesList() {
       card.className = 'list-person-card';
       card.onclick = () => openPerson(p.id);
 
-      let lifeSpan = "";
-      if (p.birthYear || p.deathYear) {
-        lifeSpan = `${p.birthYear || '?'} - ${p.deceased ? (p.deathYear || '?') : 'Present'}`;
-      }
+      const lifeSpan = lifeSpanText(p);
 
       card.innerHTML = `
         <div class="name ${p.deceased ? 'deceased' : ''}">${escapeHtml(p.name)}</div>
-        ${lifeSpan ? `<div class="subname">${lifeSpan}</div>` : ''}
+        ${lifeSpan ? `<div class="subname">${escapeHtml(lifeSpan)}</div>` : ''}
       `;
       container.appendChild(card);
     });
@@ -906,49 +4775,26 @@ function renderNamesList() {
   searchInput._listSearchHandler = (event) => displayList(event.target.value);
   searchInput.addEventListener('input', searchInput._listSearchHandler);
 
-  displayList(); // Initial render of the full list
+  displayList(searchInput.value); // Initial render, keeping any search already typed
 }
 
 
-// --- Draggable Tree (NEW) ---
-function setupTreeDragging() {
-  const treeWrapper = document.getElementById('treeWrapper');
-  if (!treeWrapper) return;
-
-  let isDragging = false;
-  let startX;
-  let scrollLeft;
-
-  treeWrapper.addEventListener('mousedown', (e) => {
-    isDragging = true;
-    treeWrapper.classList.add('grabbing');
-    startX = e.pageX - treeWrapper.offsetLeft;
-    scrollLeft = treeWrapper.scrollLeft;
-    e.preventDefault(); // Prevent text selection
-  });
-
-  treeWrapper.addEventListener('mouseleave', () => {
-    isDragging = false;
-    treeWrapper.classList.remove('grabbing');
-  });
+// --- Initial Load and Event Listeners (within DOMContentLoaded) ---
 
-  treeWrapper.addEventListener('mouseup', () => {
-    isDragging = false;
-    treeWrapper.classList.remove('grabbing');
+document.addEventListener("DOMContentLoaded", async () => {
+  document.addEventListener('keydown', (e) => {
+    if (!_lightbox) return;
+    if (e.key === 'ArrowLeft') stepLightbox(-1);
+    else if (e.key === 'ArrowRight') stepLightbox(1);
+    else if (e.key === 'Escape') closeLightbox();
   });
 
-  treeWrapper.addEventListener('mousemove', (e) => {
-    if (!isDragging) return;
-    e.preventDefault();
-    const x = e.pageX - treeWrapper.offsetLeft;
-    const walk = (x - startX) * 1.5; // Adjust scroll speed
-    treeWrapper.scrollLeft = scrollLeft - walk;
-  });
-}
+  const photoScanBtn = document.getElementById("photoScanBtn");
+  if (photoScanBtn) photoScanBtn.addEventListener("click", scanUnusedPhotos);
 
-// --- Initial Load and Event Listeners (within DOMContentLoaded) ---
+  const createUserBtn = document.getElementById("createUserBtn");
+  if (createUserBtn) createUserBtn.addEventListener("click", createUser);
 
-document.addEventListener("DOMContentLoaded", async () => {
   // --- Admin Login/Logout ---
   const loginBtn = document.getElementById("loginBtn");
   const logoutBtn = document.getElementById("logoutBtn");
@@ -956,32 +4802,33 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   if (loginBtn) {
     loginBtn.addEventListener("click", async function () {
-      const password = prompt("Enter admin password:");
+      const username = prompt("Username (leave empty to use the shared admin password):");
+      if (username === null) return;
+      const password = prompt("Password:");
       if (!password) return;
 
       try {
         const response = await fetch(`${API_BASE_URL}/admin-login`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ password: password }),
+          body: JSON.stringify({ username: username.trim(), password: password }),
         });
 
-        if (response.ok) {
-          const result = await response.json();
-          isAdmin = result.success;
-          if (isAdmin) {
-            localStorage.setItem('adminKey', password);
-            alert("Logged in as admin!");
-          } else {
-            alert("Incorrect password.");
-          }
+        const result = await response.json().catch(() => ({}));
+        if (result.success) {
+          localStorage.setItem('sessionToken', result.token);
+          setCurrentUser(result.user);
+          alert(`Logged in as ${result.user.username} (${result.user.role})!`);
+        } else if (response.status === 401) {
+          alert("Incorrect username or password.");
         } else {
-          throw new Error(`Login failed: ${response.statusText}`);
+          throw new Error(result.error || `Login failed: ${response.statusText}`);
         }
       } catch (e) {
         console.error("Admin login error:", e);
         alert("Error during admin login: " + e.message);
       }
+      if (viewLoginRequired && currentUser) await loadData();
       renderAdminButtons();
       renderTree(); // Re-render to show/hide edit buttons on tree
       renderNamesList(); // Re-render names list to update admin features
@@ -989,10 +4836,11 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
   if (logoutBtn) {
-    logoutBtn.addEventListener("click", function () {
-      isAdmin = false;
-      localStorage.removeItem('adminKey');
-      alert("Logged out as admin.");
+    logoutBtn.addEventListener("click", async function () {
+      setCurrentUser(null);
+      localStorage.removeItem('sessionToken');
+      alert("Logged out.");
+      await loadData(); // A private tree is hidden again once signed out
       renderAdminButtons();
       renderTree(); // Re-render to show/hide edit buttons on tree
       renderNamesList(); // Re-render names list to update admin features
@@ -1026,7 +4874,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         const pill = document.createElement("span");
         pill.className = "pill";
         pill.textContent = p.name;
-        pill.onclick = () => openPerson(p.id);
+        pill.onclick = () => centerOnPerson(p.id);
         resultsDiv.appendChild(pill);
       });
 
@@ -1062,6 +4910,14 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       const relation = findRelationship(personAId, personBId);
       resultDiv.textContent = relation || "No direct relationship found.";
+      if (findRelationshipPath(personAId, personBId)) {
+        const showBtn = document.createElement("button");
+        showBtn.className = "btn secondary compare-show";
+        showBtn.type = "button";
+        showBtn.textContent = "Show on tree";
+        showBtn.onclick = () => showRelationshipOnTree(personAId, personBId);
+        resultDiv.appendChild(showBtn);
+      }
     });
   }
 
@@ -1079,12 +4935,29 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   if (cloudSaveBtn) {
     cloudSaveBtn.addEventListener("click", async () => {
-      await saveData();
-      alert("Data saved to cloud!");
+      if (await saveData()) alert("Data saved to cloud!");
     });
   }
 
 
+  // --- Version History ---
+  const duplicatesFindBtn = document.getElementById("duplicatesFindBtn");
+  if (duplicatesFindBtn) {
+    duplicatesFindBtn.addEventListener("click", renderDuplicates);
+  }
+
+  const problemsCheckBtn = document.getElementById("problemsCheckBtn");
+  if (problemsCheckBtn) {
+    problemsCheckBtn.addEventListener("click", () => checkProblems());
+  }
+  renderProblemRules();
+
+  const historyRefreshBtn = document.getElementById("historyRefreshBtn");
+  if (historyRefreshBtn) {
+    historyRefreshBtn.addEventListener("click", loadHistory);
+  }
+
+
   // --- Local Data Export/Import (Textarea) ---
   const exportBtn = document.getElementById("exportBtn");
   const importBtn = document.getElementById("importBtn");
@@ -1099,18 +4972,24 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   if (importBtn) {
     importBtn.addEventListener("click", async () => {
-      if (!isAdmin) { alert("Admin access required."); return; }
+      if (!hasRole('owner')) { alert("Owner access required."); return; }
       if (!dataBox || !dataBox.value) {
         alert("Please paste JSON data into the text area.");
         return;
       }
+      if (looksLikeGedcom(dataBox.value)) {
+        previewGedcomImport(dataBox.value);
+        return;
+      }
       try {
         const importedData = JSON.parse(dataBox.value);
         if (importedData && importedData.people) {
           data = importedData;
           normalizeData(data);
-          await saveData(); // Save imported data to remote
-          alert("Data imported and saved remotely!");
+          if (await saveData()) { // Save imported data to remote
+            alert("Data imported and saved remotely!");
+            checkProblems({ scroll: true });
+          }
         } else {
           alert("Invalid JSON structure. Expected an object with a 'people' property.");
         }
@@ -1122,6 +5001,33 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
 
+  // --- GEDCOM Import / Export ---
+  const gedcomExportBtn = document.getElementById("gedcomExportBtn");
+  const gedcomFileInput = document.getElementById("gedcomFileInput");
+
+  if (gedcomExportBtn) {
+    gedcomExportBtn.addEventListener("click", () => {
+      if (!isAdmin) { alert("Admin access required."); return; }
+      downloadGedcom();
+    });
+  }
+
+  if (gedcomFileInput) {
+    gedcomFileInput.addEventListener("change", async (event) => {
+      if (!hasRole('owner')) { alert("Owner access required."); return; }
+      const file = event.target.files[0];
+      if (!file) return;
+      try {
+        previewGedcomImport(await file.text());
+      } catch (e) {
+        console.error("GEDCOM read error:", e);
+        alert("Failed to read GEDCOM file: " + e.message);
+      }
+      event.target.value = ''; // Allow picking the same file again
+    });
+  }
+
+
   // --- Local File Operations (File System Access API) ---
   const chooseFileBtn = document.getElementById("chooseFileBtn");
   const saveToFileBtn = document.getElementById("saveToFileBtn");
@@ -1185,6 +5091,7 @@ document.addEventListener("DOMContentLoaded", async () => {
           fillSelects();
           renderNamesList();
           alert(`Data loaded from ${currentFileHandle.name}`);
+          if (isAdmin) checkProblems({ scroll: true });
         } else {
           alert("Invalid data structure in file.");
         }
@@ -1205,6 +5112,6 @@ document.addEventListener("DOMContentLoaded", async () => {
   // --- Initial Setup ---
   await checkAdminStatus(); // Check admin login state
   await loadData(); // Load data from remote on page load
-  setupTreeDragging(); // Setup draggable tree
+  setupTreeViewport(); // Zoom and pan on the tree
   showTab(activeTab); // Show the initial tab
 });
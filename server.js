@@ -0,0 +1,185 @@
+// server.js
+// Runs the whole app on a plain machine, no Vercel needed: serves the static files and routes
+// /api/* to the same handler modules Vercel would, following its file naming
+// (api/people/[id].js, api/people/index.js, ...).
+//
+//   STORAGE_DRIVER=local DATA_DIR=./data ADMIN_KEY=... npm start
+//
+//   PORT         port to listen on (default 3000)
+//   HOST         address to bind (default 0.0.0.0)
+//   TRUST_PROXY  set to "true" behind a reverse proxy so the last X-Forwarded-For entry is taken as
+//                the client address; otherwise the socket address is (login throttling uses it)
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const API_DIR = path.join(ROOT, 'api');
+const PORT = parseInt(process.env.PORT || '', 10) || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+};
+const NOT_STATIC = new Set(['server.js']);
+// Folders whose modules both the page and the API import
+const STATIC_DIRS = new Set(['shared']);
+
+async function isFile(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+async function dynamicEntries(dir) {
+  try {
+    return (await fs.readdir(dir)).filter(name => /^\[[A-Za-z]+\](\.js)?$/.test(name));
+  } catch {
+    return [];
+  }
+}
+
+// Finds the handler file for the path segments after /api, collecting [param] values on the way.
+// Exact names win over [param] names, as on Vercel; folders starting with "_" are never routes.
+async function resolveRoute(dir, segments, params = {}) {
+  if (!segments.length) {
+    const index = path.join(dir, 'index.js');
+    return (await isFile(index)) ? { file: index, params } : null;
+  }
+
+  const [segment, ...rest] = segments;
+  if (!segment || segment.startsWith('_') || segment.startsWith('.') || segment.includes('[')) return null;
+
+  if (!rest.length && await isFile(path.join(dir, `${segment}.js`))) {
+    return { file: path.join(dir, `${segment}.js`), params };
+  }
+  if (await isDirectory(path.join(dir, segment))) {
+    const found = await resolveRoute(path.join(dir, segment), rest, params);
+    if (found) return found;
+  }
+
+  for (const entry of await dynamicEntries(dir)) {
+    const name = entry.replace(/^\[|\](\.js)?$/g, '');
+    const withParam = { ...params, [name]: segment };
+    if (entry.endsWith('.js')) {
+      if (!rest.length) return { file: path.join(dir, entry), params: withParam };
+    } else {
+      const found = await resolveRoute(path.join(dir, entry), rest, withParam);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function toWebRequest(req, url, body) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) value.forEach(v => headers.append(name, v));
+    else if (value !== undefined) headers.set(name, value);
+  }
+  // The client address goes in x-real-ip, as on Vercel; the platform header is the client's own invention here
+  headers.delete('x-vercel-forwarded-for');
+  const forwarded = (headers.get('x-forwarded-for') || '').split(',').map(s => s.trim()).filter(Boolean);
+  const address = process.env.TRUST_PROXY === 'true' && forwarded.length
+    ? forwarded[forwarded.length - 1] // Added by the proxy; entries before it came from the client
+    : req.socket.remoteAddress || '';
+  if (process.env.TRUST_PROXY !== 'true') headers.set('x-forwarded-for', address);
+  headers.set('x-real-ip', address);
+  const hasBody = !['GET', 'HEAD'].includes(req.method) && body.length;
+  return new Request(url, { method: req.method, headers, body: hasBody ? body : undefined });
+}
+
+async function sendWebResponse(res, response, method) {
+  const headers = {};
+  response.headers.forEach((value, name) => { headers[name] = value; });
+  res.writeHead(response.status, headers);
+  if (method === 'HEAD' || !response.body) return res.end();
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+async function handleApi(req, res, url) {
+  let segments;
+  try {
+    segments = url.pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return sendJson(res, 400, { ok: false, error: 'Malformed path' });
+  }
+  const route = await resolveRoute(API_DIR, segments);
+  if (!route) return sendJson(res, 404, { ok: false, error: 'Not found' });
+
+  const handlers = await import(pathToFileURL(route.file).href);
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const handler = METHODS.includes(method) ? handlers[method] : undefined;
+  if (!handler) return sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+
+  // Vercel passes dynamic segments as query parameters too
+  Object.entries(route.params).forEach(([name, value]) => {
+    if (!url.searchParams.has(name)) url.searchParams.set(name, value);
+  });
+  const request = toWebRequest(req, url, await readBody(req));
+  await sendWebResponse(res, await handler(request), req.method);
+}
+
+async function handleStatic(req, res, url) {
+  const name = url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname.slice(1));
+  const type = STATIC_TYPES[path.extname(name).toLowerCase()];
+  // Only top-level page assets and shared modules: no other folders, dotfiles, server code or data
+  const parts = name.split('/');
+  const allowed = parts.length === 1 || (parts.length === 2 && STATIC_DIRS.has(parts[0]));
+  if (!type || !allowed || name.includes('\\') || parts.some(part => part.startsWith('.')) || NOT_STATIC.has(name)) {
+    return sendJson(res, 404, { ok: false, error: 'Not found' });
+  }
+  try {
+    const body = await fs.readFile(path.join(ROOT, name));
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    sendJson(res, 404, { ok: false, error: 'Not found' });
+  }
+}
+
+function sendJson(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  try {
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) await handleApi(req, res, url);
+    else await handleStatic(req, res, url);
+  } catch (e) {
+    console.error(`${req.method} ${url.pathname} failed:`, e);
+    if (!res.headersSent) sendJson(res, 500, { ok: false, error: 'Server error' });
+    else res.end();
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Family tree running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,140 @@
+// shared/dates.js
+// Genealogical dates as people write them: exact ("12 Mar 1911"), partial ("Mar 1911", "1911"),
+// approximate ("c. 1850"), open ("before 1790", "after 1790") and ranges ("between 1820 and 1825").
+// They are stored as display text in birthDate/deathDate; birthYear/deathYear keep a plain year
+// for older data and simple consumers.
+// The API imports this module and index.html loads it for script.js, so it must run in both.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// How far "about" may be off, in years, when checking birth against death
+const ABOUT_SLACK_YEARS = 5;
+
+function monthIndex(word) {
+  const index = MONTHS.indexOf(String(word).slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+}
+
+function daysIn(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function point(year, month = null, day = null) {
+  year = Number(year);
+  if (!Number.isInteger(year) || year < 1 || year > 9999) return null;
+  if (month !== null && (month < 1 || month > 12)) return null;
+  if (day !== null && (month === null || day < 1 || day > daysIn(year, month))) return null;
+  return { year, month, day };
+}
+
+// One calendar point: "1911", "Mar 1911", "12 Mar 1911", "March 12, 1911", "1911-03-12", "1911-03"
+function parsePoint(text) {
+  const t = text.trim().replace(/\s+/g, ' ');
+  let m;
+  if ((m = /^(\d{3,4})$/.exec(t))) return point(m[1]);
+  if ((m = /^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/.exec(t))) {
+    return point(m[1], Number(m[2]), m[3] ? Number(m[3]) : null);
+  }
+  if ((m = /^([A-Za-z]+)\.? (\d{3,4})$/.exec(t)) && monthIndex(m[1])) return point(m[2], monthIndex(m[1]));
+  if ((m = /^(\d{1,2}) ([A-Za-z]+)\.?,? (\d{3,4})$/.exec(t)) && monthIndex(m[2])) {
+    return point(m[3], monthIndex(m[2]), Number(m[1]));
+  }
+  if ((m = /^([A-Za-z]+)\.? (\d{1,2}),? (\d{3,4})$/.exec(t)) && monthIndex(m[1])) {
+    return point(m[3], monthIndex(m[1]), Number(m[2]));
+  }
+  return null;
+}
+
+const QUALIFIERS = [
+  { qualifier: 'about', pattern: /^(?:c\.?|ca\.?|circa|abt\.?|about|approx\.?|around|est\.?|estimated|cal\.?|calc\.?|~)\s*(.+)$/i },
+  { qualifier: 'before', pattern: /^(?:before|bef\.?|<)\s*(.+)$/i },
+  { qualifier: 'after', pattern: /^(?:after|aft\.?|>)\s*(.+)$/i },
+];
+
+// Parses a date as typed (or as stored). Returns { qualifier, start, end } where qualifier is
+// 'exact', 'about', 'before', 'after' or 'between'; null when the text is empty or not a date.
+export function parseGenealogicalDate(text) {
+  const t = String(text ?? '').trim().replace(/\s+/g, ' ');
+  if (!t) return null;
+
+  const range = /^(?:between|bet\.?|from)\s+(.+?)\s+(?:and|to|-)\s+(.+)$/i.exec(t) ||
+    /^(\d{3,4})\s*[-–]\s*(\d{3,4})$/.exec(t);
+  if (range) {
+    const start = parsePoint(range[1]);
+    const end = parsePoint(range[2]);
+    if (!start || !end || bounds(start).earliest > bounds(end).latest) return null;
+    return { qualifier: 'between', start, end };
+  }
+
+  for (const { qualifier, pattern } of QUALIFIERS) {
+    const m = pattern.exec(t);
+    if (m) {
+      const start = parsePoint(m[1]);
+      return start ? { qualifier, start, end: null } : null;
+    }
+  }
+
+  const start = parsePoint(t);
+  return start ? { qualifier: 'exact', start, end: null } : null;
+}
+
+// One point as text: "12 Mar 1911", "Mar 1911", "1911"
+export function formatPoint(p) {
+  return [p.day, p.month ? MONTH_LABELS[p.month - 1] : null, p.year].filter(v => v !== null).join(' ');
+}
+
+// The stored/display form, e.g. "12 Mar 1911", "c. 1850", "before 1790", "between 1820 and 1825"
+export function formatGenealogicalDate(date) {
+  if (!date) return '';
+  switch (date.qualifier) {
+    case 'about': return `c. ${formatPoint(date.start)}`;
+    case 'before': return `before ${formatPoint(date.start)}`;
+    case 'after': return `after ${formatPoint(date.start)}`;
+    case 'between': return `between ${formatPoint(date.start)} and ${formatPoint(date.end)}`;
+    default: return formatPoint(date.start);
+  }
+}
+
+// Day numbers (yyyymmdd) a point could stand for: "1911" spans the whole year
+function bounds(p) {
+  const month = p.month || null;
+  return {
+    earliest: p.year * 10000 + (month || 1) * 100 + (p.day || 1),
+    latest: p.year * 10000 + (month || 12) * 100 + (p.day || (month ? daysIn(p.year, month) : 31)),
+  };
+}
+
+// The earliest and latest day the date could mean, as yyyymmdd numbers (open ends are infinite)
+export function dateBounds(date) {
+  const start = bounds(date.start);
+  switch (date.qualifier) {
+    case 'about':
+      return {
+        earliest: start.earliest - ABOUT_SLACK_YEARS * 10000,
+        latest: start.latest + ABOUT_SLACK_YEARS * 10000,
+      };
+    case 'before': return { earliest: -Infinity, latest: start.earliest - 1 };
+    case 'after': return { earliest: start.latest + 1, latest: Infinity };
+    case 'between': return { earliest: start.earliest, latest: bounds(date.end).latest };
+    default: return start;
+  }
+}
+
+// Where a date goes when sorting: the first day it could mean ("before 1790" sorts just before 1790)
+export function dateSortKey(date) {
+  if (!date) return Infinity;
+  const start = bounds(date.start);
+  if (date.qualifier === 'before') return start.earliest - 1;
+  if (date.qualifier === 'after') return start.latest + 1;
+  return start.earliest;
+}
+
+// The year kept in birthYear/deathYear: the stated year, or the first year of a range
+export function dateYear(date) {
+  return date ? String(date.start.year).padStart(4, '0') : '';
+}
+
+// A person's birth or death as a parsed date, from birthDate/deathDate or the older year fields
+export function personDate(p, kind) {
+  return parseGenealogicalDate(p[`${kind}Date`]) || parseGenealogicalDate(p[`${kind}Year`]);
+}
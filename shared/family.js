@@ -0,0 +1,93 @@
+// shared/family.js
+// Rules for the people graph that the API (api/_lib/family.js) and the browser (script.js) both apply.
+// index.html puts these exports on window, so their names must not clash with script.js globals.
+
+// IDs end up in URLs, attributes and GEDCOM xrefs, so they are kept to a safe alphabet
+export const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Photo and media links: web addresses, or uploads served through /api/media. Anything else
+// (javascript:, data: and the like) could run in the page, so it is not stored or shown.
+export function isMediaUrl(url) {
+  return typeof url === 'string' && (/^https?:\/\/[^\s]+$/i.test(url) || /^\/api\/media\?\S+$/.test(url));
+}
+
+// How a child is linked to each parent, kept in person.parentTypes = { parentId: type }.
+// Biological is the default and is not stored.
+export const PARENT_TYPES = ['biological', 'adoptive', 'step', 'foster'];
+
+function hasPerson(d, id) {
+  return !!(d.people && Object.prototype.hasOwnProperty.call(d.people, id));
+}
+
+function hasUnion(d, aId, bId) {
+  return Object.values(d.unions).some(u => u.partners.includes(aId) && u.partners.includes(bId));
+}
+
+// Keeps only the non-biological types of current parents; drops the field when none are left
+export function normalizeParentTypes(p) {
+  const types = {};
+  Object.entries(p.parentTypes || {}).forEach(([pid, type]) => {
+    if (p.parents.includes(pid) && type !== 'biological' && PARENT_TYPES.includes(type)) types[pid] = type;
+  });
+  if (Object.keys(types).length) p.parentTypes = types;
+  else delete p.parentTypes;
+}
+
+// d.unions = { id: { id, partners: [a, b], startDate, startPlace, endDate, endReason, children[] } }
+// A union's children must be children of both partners, and a child belongs to at most one union.
+export function normalizeUnions(d) {
+  if (!d.unions || typeof d.unions !== 'object' || Array.isArray(d.unions)) d.unions = {};
+  const people = Object.values(d.people);
+  const attributed = new Set();
+
+  Object.entries(d.unions).forEach(([id, union]) => {
+    const partners = Array.from(new Set((union && union.partners) || [])).filter(pid => hasPerson(d, pid));
+    if (partners.length !== 2) {
+      delete d.unions[id];
+      return;
+    }
+    union.id = id;
+    union.partners = partners;
+    union.children = Array.from(new Set(union.children || [])).filter(cid =>
+      hasPerson(d, cid) && !attributed.has(cid) && partners.every(pid => d.people[cid].parents.includes(pid)));
+    union.children.forEach(cid => attributed.add(cid));
+  });
+
+  // Spouse links saved before unions existed become unions of their own
+  people.forEach(p => {
+    p.spouses.forEach(sid => {
+      if (!hasUnion(d, p.id, sid)) addLegacyUnion(d, p.id, sid, attributed);
+    });
+  });
+
+  const partnersOf = {};
+  Object.values(d.unions).forEach(({ partners: [a, b] }) => {
+    (partnersOf[a] = partnersOf[a] || new Set()).add(b);
+    (partnersOf[b] = partnersOf[b] || new Set()).add(a);
+  });
+  people.forEach(p => {
+    const partners = partnersOf[p.id] || new Set();
+    p.spouses = p.spouses.filter(sid => partners.has(sid));
+    partners.forEach(sid => { if (!p.spouses.includes(sid)) p.spouses.push(sid); });
+  });
+}
+
+// The ID depends only on the couple, so every copy of the same data migrates alike.
+// The shared children come along, and a marriage place moves over from a person with no other spouse.
+function addLegacyUnion(d, aId, bId, attributed) {
+  const partners = [aId, bId].sort();
+  let id = `u-${partners[0]}-${partners[1]}`;
+  while (d.unions[id]) id += '_';
+  const [a, b] = partners.map(pid => d.people[pid]);
+  const children = a.children.filter(cid => b.children.includes(cid) && !attributed.has(cid));
+  children.forEach(cid => attributed.add(cid));
+
+  let startPlace = '';
+  [a, b].forEach(p => {
+    if (!p.marriedCity || p.spouses.length !== 1) return;
+    if (!startPlace) startPlace = p.marriedCity;
+    if (p.marriedCity === startPlace) p.marriedCity = '';
+  });
+
+  d.unions[id] = { id, partners, startDate: '', startPlace, endDate: '', endReason: '', children };
+}